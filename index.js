@@ -20,6 +20,15 @@ import { registerAnalyticsTools } from "./src/tools/analyticsTools.js";
 // Import SEO analysis tools
 import { registerSeoTools } from "./src/tools/seoTools.js";
 
+// Import tracking validation tools
+import { registerValidationTools } from "./src/tools/validationTools.js";
+
+// Import consent management tools
+import { registerConsentTools } from "./src/tools/consentTools.js";
+
+// Provider registry, extended at startup with user-defined provider modules
+import providerRegistry from "./src/providers/index.js";
+
 // Create the MCP server
 const server = new McpServer({
   name: "puppeteer-plus-martech",
@@ -72,6 +81,8 @@ registerMarketingTools(server, initBrowser);
 registerMarketingAnalysisTools(server, initBrowser); // Register the enhanced marketing tools
 registerAnalyticsTools(server, initBrowser); // Register the analytics beacon parser tools
 registerSeoTools(server, initBrowser);
+registerValidationTools(server, initBrowser); // Register the tracking spec validation tools
+registerConsentTools(server, initBrowser); // Register the consent state scanning tools
 
 // Handle process termination
 process.on("SIGINT", async () => {
@@ -87,6 +98,20 @@ process.on("SIGTERM", async () => {
 // Connect to the MCP transport
 const transport = new StdioServerTransport();
 (async () => {
+  // Load extra providers from MARTECH_PROVIDERS_DIR and/or MARTECH_PROVIDERS_CONFIG
+  if (process.env.MARTECH_PROVIDERS_DIR || process.env.MARTECH_PROVIDERS_CONFIG) {
+    try {
+      const plugins = await providerRegistry.loadProviderModules({
+        directory: process.env.MARTECH_PROVIDERS_DIR,
+        configPath: process.env.MARTECH_PROVIDERS_CONFIG
+      });
+      console.error(`Loaded ${plugins.loaded.length} custom provider(s)${plugins.disabled.length ? `, disabled ${plugins.disabled.join(", ")}` : ""}`);
+      plugins.errors.forEach(({ file, error }) => console.error(`Error loading provider ${file}: ${error}`));
+    } catch (error) {
+      console.error(`Error loading custom providers: ${error.message}`);
+    }
+  }
+
   await server.connect(transport);
   console.error("Puppeteer+ MarTech MCP Server started");
 })();
@@ -0,0 +1,236 @@
+/**
+ * Module for inspecting the Adobe Client Data Layer (ACDL) used by AEM sites:
+ * every push to `window.adobeDataLayer`, the state computed after each one,
+ * the listeners registered on it and the Launch rules triggered by its events
+ *
+ * The state is replayed from the recorded pushes with ACDL's merge rules, so
+ * it can be read as it was at any moment of the page load.
+ */
+
+import {
+  installDataLayerRecorder,
+  collectDataLayerTimeline,
+  collectDataLayerListeners
+} from '../utils/dataLayerRecorder.js';
+
+/**
+ * Records every `adobeDataLayer` push and listener registration from before
+ * any page script runs
+ * @param {Page} page - Puppeteer page object
+ * @returns {Promise<void>}
+ */
+async function installAcdlMonitor(page) {
+  await installDataLayerRecorder(page, { layers: ['adobeDataLayer'] });
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Describes a push the way ACDL processes it: plain objects are data, objects
+ * with a string `event` are events, functions are callbacks run against the
+ * data layer and anything else is ignored
+ * @param {*} payload - Cloned push payload
+ * @returns {{kind: string, event: (string|undefined), eventInfo: (*|undefined), data: (Object|undefined)}} Push classification
+ */
+function classifyItem(payload) {
+  // The recorder replaces functions with a placeholder
+  if (payload === '[function]') {
+    return { kind: 'function' };
+  }
+  if (!isPlainObject(payload)) {
+    return { kind: 'invalid' };
+  }
+  if (!('event' in payload)) {
+    return { kind: 'data', data: payload };
+  }
+  if (typeof payload.event !== 'string') {
+    return { kind: 'invalid' };
+  }
+  const { event, eventInfo, ...data } = payload;
+  return { kind: 'event', event, eventInfo, data };
+}
+
+/**
+ * Merges pushed data into the state: objects merge deeply, arrays merge by
+ * index and a null or undefined value removes the key
+ * @param {*} target - Current value
+ * @param {*} source - Pushed value
+ * @returns {*} Merged value, or undefined when the key is removed
+ */
+function mergeState(target, source) {
+  if (source === null || source === undefined) {
+    return undefined;
+  }
+  if (Array.isArray(source)) {
+    const merged = Array.isArray(target) ? [...target] : [];
+    source.forEach((item, index) => {
+      merged[index] = mergeState(merged[index], item);
+    });
+    return merged.filter(item => item !== undefined);
+  }
+  if (isPlainObject(source)) {
+    const merged = isPlainObject(target) ? { ...target } : {};
+    for (const [key, value] of Object.entries(source)) {
+      const next = mergeState(merged[key], value);
+      if (next === undefined) {
+        delete merged[key];
+      } else {
+        merged[key] = next;
+      }
+    }
+    return merged;
+  }
+  return source;
+}
+
+/**
+ * Replays the recorded pushes and computes the state after each one
+ * @param {Array} pushes - Recorded adobeDataLayer pushes ({time, source, payload})
+ * @returns {Array} One item per push with its classification and the state after it
+ */
+function computeAcdlStates(pushes) {
+  let state = {};
+  return pushes.map((push, index) => {
+    const { kind, event, eventInfo, data } = classifyItem(push.payload);
+    if (data && Object.keys(data).length > 0) {
+      state = mergeState(state, data);
+    }
+    return {
+      index,
+      kind,
+      event,
+      eventInfo,
+      data: data && Object.keys(data).length > 0 ? data : undefined,
+      time: push.time,
+      timestamp: new Date(push.time).toISOString(),
+      source: push.source || null,
+      state
+    };
+  });
+}
+
+/**
+ * Returns the state as it was at a given moment
+ * @param {Array} history - Output of computeAcdlStates
+ * @param {number} time - Moment to read the state at (milliseconds since epoch)
+ * @returns {{lastPushIndex: (number|null), lastEvent: (string|null), state: Object}} State at that moment
+ */
+function stateAtTime(history, time) {
+  const before = history.filter(item => item.time <= time);
+  const last = before[before.length - 1];
+  const lastEvent = before.filter(item => item.kind === 'event').pop();
+  return {
+    lastPushIndex: last ? last.index : null,
+    lastEvent: lastEvent ? lastEvent.event : null,
+    state: last ? last.state : {}
+  };
+}
+
+// JSON with sorted keys, so states built in a different key order compare equal
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// String settings under keys that mention "event", at any depth
+function eventNamesInSettings(settings, names = []) {
+  if (Array.isArray(settings)) {
+    settings.forEach(item => eventNamesInSettings(item, names));
+  } else if (isPlainObject(settings)) {
+    for (const [key, value] of Object.entries(settings)) {
+      if (typeof value === 'string' && /event/i.test(key) && !names.includes(value)) {
+        names.push(value);
+      } else {
+        eventNamesInSettings(value, names);
+      }
+    }
+  }
+  return names;
+}
+
+/**
+ * Finds the Launch rules triggered by the ACDL extension's events and matches
+ * them to the pushed events by the event names in their settings
+ * @param {Array} rules - Rules from inspectLaunch with includeSettings enabled
+ * @param {Array} history - Output of computeAcdlStates
+ * @returns {Array} ACDL-triggered rules with the pushed events they listen to
+ */
+function matchLaunchRules(rules, history) {
+  const pushedEvents = new Set(history.filter(item => item.kind === 'event').map(item => item.event));
+  return rules
+    .map(rule => {
+      const triggers = rule.events.filter(event => /client-data-layer/.test(event.extension || ''));
+      if (triggers.length === 0) {
+        return null;
+      }
+      const eventNames = triggers.reduce((names, trigger) => eventNamesInSettings(trigger.settings || {}, names), []);
+      return {
+        ruleId: rule.id,
+        ruleName: rule.name,
+        fired: rule.fired,
+        triggers: triggers.map(({ type, modulePath, settings }) => ({ type, modulePath, settings })),
+        eventNames,
+        matchedEvents: eventNames.filter(name => pushedEvents.has(name))
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Reads the recorded ACDL pushes and listeners and the library state from the page
+ * @param {Page} page - Puppeteer page object
+ * @returns {Promise<Object>} ACDL history, listeners and library details
+ */
+async function inspectAcdl(page) {
+  const library = await page.evaluate(() => {
+    const dataLayer = window.adobeDataLayer;
+    if (!Array.isArray(dataLayer)) {
+      return { detected: false };
+    }
+    let pageState = null;
+    if (typeof dataLayer.getState === 'function') {
+      try {
+        pageState = JSON.parse(JSON.stringify(dataLayer.getState()));
+      } catch (e) {
+        // Leave the state out when it cannot be serialized
+      }
+    }
+    return {
+      detected: true,
+      // getState() is only defined once the ACDL library has initialized
+      initialized: typeof dataLayer.getState === 'function',
+      version: typeof dataLayer.version === 'string' ? dataLayer.version : null,
+      pageState
+    };
+  });
+
+  const pushes = await collectDataLayerTimeline(page, { layers: ['adobeDataLayer'] });
+  const listeners = await collectDataLayerListeners(page);
+  const history = computeAcdlStates(pushes || []);
+  const finalState = history.length > 0 ? history[history.length - 1].state : {};
+
+  return {
+    ...library,
+    monitorInstalled: Boolean(pushes),
+    history,
+    listeners: listeners || [],
+    finalState,
+    // A mismatch means pushes happened that the recorder could not see
+    stateMatchesPage: library.pageState ? stableStringify(library.pageState) === stableStringify(finalState) : null
+  };
+}
+
+export {
+  installAcdlMonitor,
+  computeAcdlStates,
+  stateAtTime,
+  matchLaunchRules,
+  inspectAcdl
+};
@@ -0,0 +1,443 @@
+/**
+ * Module for simulating Adobe Analytics processing rules against parsed hits
+ *
+ * A rule set is JSON shaped like the processing rules UI in the report suite:
+ *
+ *   {
+ *     "rules": [{
+ *       "name": "Map page name",
+ *       "conditions": {
+ *         "match": "all",
+ *         "criteria": [{ "variable": "c.a.page.name", "operator": "isSet" }]
+ *       },
+ *       "actions": [
+ *         { "action": "copy", "variable": "eVar1", "from": "c.a.page.name" },
+ *         { "action": "concatenate", "variable": "prop2", "from": ["pageName", "c.section"], "delimiter": ":" },
+ *         { "action": "set", "variable": "event5", "value": "1" },
+ *         { "action": "clear", "variable": "prop5" }
+ *       ]
+ *     }]
+ *   }
+ */
+import { readFile } from 'fs/promises';
+
+const OPERATORS = [
+  'equals',
+  'notEquals',
+  'contains',
+  'notContains',
+  'startsWith',
+  'endsWith',
+  'matches',
+  'isSet',
+  'isNotSet',
+  'greaterThan',
+  'lessThan'
+];
+
+const ACTIONS = ['set', 'copy', 'concatenate', 'clear'];
+
+// Parsed fields describing the request rather than report variables
+const HIT_METADATA = ['rsid', 'version', 'trackingServer'];
+
+// Variable names as they appear on the hit, keyed by the name used in rules
+const VARIABLE_ALIASES = {
+  channel: 'ch',
+  referrer: 'r',
+  currencyCode: 'cc',
+  linkName: 'pev2',
+  linkURL: 'pev1',
+  linkType: 'pe'
+};
+
+// "matches" patterns compiled when the rule set is loaded, keyed by criterion
+const COMPILED_PATTERNS = new WeakMap();
+
+/**
+ * Loads a processing rule set from a JSON file or inline JSON
+ * @param {Object} source - Where to read the rule set from
+ * @param {string} source.rulesPath - Path to a JSON rule set
+ * @param {string} source.rules - Inline JSON rule set
+ * @returns {Promise<Object>} Rule set with a validated rules array
+ */
+async function loadProcessingRules({ rulesPath, rules } = {}) {
+  let content = rules;
+  if (rulesPath) {
+    try {
+      content = await readFile(rulesPath, 'utf8');
+    } catch (error) {
+      throw new Error(`Unable to read processing rules ${rulesPath}: ${error.message}`);
+    }
+  }
+
+  if (!content) {
+    throw new Error('A processing rule set is required (rulesPath or rules)');
+  }
+
+  let ruleSet;
+  try {
+    ruleSet = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Processing rules are not valid JSON: ${error.message}`);
+  }
+
+  // Accept a bare array of rules as well as { rules: [...] }
+  if (Array.isArray(ruleSet)) {
+    ruleSet = { rules: ruleSet };
+  }
+  if (!ruleSet || !Array.isArray(ruleSet.rules)) {
+    throw new Error('Processing rules must contain a "rules" array');
+  }
+
+  ruleSet.rules.forEach((rule, index) => {
+    const label = rule.name ? `Rule ${index + 1} (${rule.name})` : `Rule ${index + 1}`;
+    (rule.conditions?.criteria || []).forEach((criterion, criterionIndex) => {
+      if (!OPERATORS.includes(criterion.operator)) {
+        throw new Error(`${label}: unknown operator "${criterion.operator}"`);
+      }
+      if (criterion.operator === 'matches') {
+        try {
+          COMPILED_PATTERNS.set(criterion, new RegExp(criterion.value, criterion.caseSensitive === true ? '' : 'i'));
+        } catch (error) {
+          throw new Error(`${label}, condition ${criterionIndex + 1}: invalid regex "${criterion.value}": ${error.message}`);
+        }
+      }
+    });
+    (rule.actions || []).forEach(action => {
+      if (!ACTIONS.includes(action.action)) {
+        throw new Error(`${label}: unknown action "${action.action}"`);
+      }
+      if (!action.variable) {
+        throw new Error(`${label}: every action needs a target variable`);
+      }
+    });
+  });
+
+  return ruleSet;
+}
+
+/**
+ * Normalizes a variable name used in a rule (eVar1/v1, prop1/c1, c.name/contextData.name)
+ * @param {string} name - Variable name from the rule set
+ * @returns {{kind: string, name: string}} Variable kind and canonical name
+ */
+function normalizeVariable(name = '') {
+  let match;
+  if ((match = name.match(/^(?:eVar|v)(\d+)$/i))) {
+    return { kind: 'variable', name: `eVar${match[1]}` };
+  }
+  if ((match = name.match(/^(?:prop|c)(\d+)$/i))) {
+    return { kind: 'variable', name: `prop${match[1]}` };
+  }
+  if ((match = name.match(/^(?:c|contextData)\.(.+)$/))) {
+    return { kind: 'context', name: match[1] };
+  }
+  if (/^(event\d+|prodView|scOpen|scAdd|scRemove|scView|scCheckout|purchase)$/.test(name)) {
+    return { kind: 'event', name };
+  }
+  return { kind: 'variable', name: VARIABLE_ALIASES[name] || name };
+}
+
+/**
+ * Splits an events list entry into its name, serialization ID and value
+ * ("event2:ABC=5" -> { name: 'event2', id: 'ABC', value: '5' })
+ * @param {string} entry - Single entry of an events list
+ * @returns {{name: string, id: (string|null), value: (string|null)}} Event parts
+ */
+function parseEventEntry(entry) {
+  const [head, value] = entry.split('=');
+  const [name, id] = head.split(':');
+  return {
+    name,
+    id: id === undefined ? null : id,
+    value: value === undefined ? null : value
+  };
+}
+
+/**
+ * Builds the mutable hit state (variables, events, context data) from a parsed beacon
+ * @param {Object} beacon - Adobe Analytics beacon produced by processAnalyticsBeacons
+ * @returns {Object} Hit state
+ */
+function buildHitState(beacon) {
+  const state = {
+    variables: {},
+    events: new Map(),
+    // Serialization IDs, kept so the events list round-trips unchanged
+    eventIds: new Map(),
+    contextData: {}
+  };
+
+  for (const item of beacon.parsedData || []) {
+    const { key, value } = item;
+    if (key.startsWith('omnibug_') || item.hidden || typeof value === 'object') continue;
+    if (HIT_METADATA.includes(key)) continue;
+
+    if (key.startsWith('c.')) {
+      state.contextData[key.slice(2)] = value;
+    } else if (key === 'events') {
+      String(value).split(',').filter(Boolean).forEach(entry => {
+        const event = parseEventEntry(entry);
+        state.events.set(event.name, event.value);
+        if (event.id !== null) {
+          state.eventIds.set(event.name, event.id);
+        }
+      });
+    } else {
+      const variable = normalizeVariable(key);
+      if (variable.kind === 'variable') {
+        state.variables[variable.name] = value;
+      }
+    }
+  }
+
+  return state;
+}
+
+/**
+ * Reads a variable from the hit state
+ * @param {Object} state - Hit state
+ * @param {string} name - Variable name from the rule set
+ * @returns {string|undefined} Current value
+ */
+function readVariable(state, name) {
+  const variable = normalizeVariable(name);
+  if (variable.kind === 'context') {
+    return state.contextData[variable.name];
+  }
+  if (variable.kind === 'event') {
+    if (!state.events.has(variable.name)) return undefined;
+    return state.events.get(variable.name) ?? '1';
+  }
+  if (variable.name === 'events') {
+    return serializeEvents(state) || undefined;
+  }
+  return state.variables[variable.name];
+}
+
+/**
+ * Serializes the hit's events back into an events list string
+ * @param {Object} state - Hit state
+ * @returns {string} Events list
+ */
+function serializeEvents(state) {
+  return Array.from(state.events.entries())
+    .map(([name, value]) => {
+      const id = state.eventIds.get(name);
+      const head = id === undefined ? name : `${name}:${id}`;
+      return value === null ? head : `${head}=${value}`;
+    })
+    .join(',');
+}
+
+/**
+ * Checks a single rule condition against the hit state
+ * @param {Object} state - Hit state
+ * @param {Object} criterion - Condition ({ variable, operator, value, caseSensitive })
+ * @returns {boolean} True if the condition holds
+ */
+function evaluateCriterion(state, criterion) {
+  const actual = readVariable(state, criterion.variable);
+  const isSet = actual !== undefined && actual !== '';
+  const caseSensitive = criterion.caseSensitive === true;
+  const normalize = value => (caseSensitive ? String(value ?? '') : String(value ?? '').toLowerCase());
+  const left = normalize(actual);
+  const right = normalize(criterion.value);
+
+  switch (criterion.operator) {
+    case 'isSet':
+      return isSet;
+    case 'isNotSet':
+      return !isSet;
+    case 'equals':
+      return isSet && left === right;
+    case 'notEquals':
+      return left !== right;
+    case 'contains':
+      return isSet && left.includes(right);
+    case 'notContains':
+      return !left.includes(right);
+    case 'startsWith':
+      return isSet && left.startsWith(right);
+    case 'endsWith':
+      return isSet && left.endsWith(right);
+    case 'matches':
+      return isSet && (COMPILED_PATTERNS.get(criterion) || new RegExp(criterion.value, caseSensitive ? '' : 'i')).test(String(actual));
+    case 'greaterThan':
+      return isSet && Number(actual) > Number(criterion.value);
+    case 'lessThan':
+      return isSet && Number(actual) < Number(criterion.value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Checks whether a rule's conditions hold; a rule without conditions always applies
+ * @param {Object} state - Hit state
+ * @param {Object} rule - Processing rule
+ * @returns {boolean} True if the rule applies
+ */
+function ruleMatches(state, rule) {
+  const criteria = rule.conditions?.criteria || [];
+  if (!criteria.length) return true;
+
+  const results = criteria.map(criterion => evaluateCriterion(state, criterion));
+  return rule.conditions.match === 'any'
+    ? results.some(Boolean)
+    : results.every(Boolean);
+}
+
+/**
+ * Applies a single action to the hit state
+ * @param {Object} state - Hit state
+ * @param {Object} action - Action ({ action, variable, value, from, delimiter, overwrite })
+ * @returns {Object} Description of the change made
+ */
+function applyAction(state, action) {
+  const target = normalizeVariable(action.variable);
+  const before = readVariable(state, action.variable);
+
+  // Mirrors the "Overwrite value if set" checkbox; defaults to overwriting
+  if (action.overwrite === false && before !== undefined && before !== '' && action.action !== 'clear') {
+    return { ...action, applied: false, reason: `${action.variable} is already set` };
+  }
+
+  let value;
+  if (action.action === 'set') {
+    value = action.value === undefined ? '' : String(action.value);
+  } else if (action.action === 'copy') {
+    value = readVariable(state, action.from);
+  } else if (action.action === 'concatenate') {
+    const sources = Array.isArray(action.from) ? action.from : [action.from];
+    value = sources
+      .map(source => (/^["'].*["']$/.test(source) ? source.slice(1, -1) : readVariable(state, source)))
+      .filter(part => part !== undefined && part !== '')
+      .join(action.delimiter ?? '');
+  }
+
+  if (action.action === 'clear' || value === undefined || value === '') {
+    // Copying an empty source clears the target, as it does in Adobe
+    if (target.kind === 'event') {
+      state.events.delete(target.name);
+      state.eventIds.delete(target.name);
+    } else if (target.kind === 'context') {
+      delete state.contextData[target.name];
+    } else if (target.name === 'events') {
+      state.events.clear();
+      state.eventIds.clear();
+    } else {
+      delete state.variables[target.name];
+    }
+  } else if (target.kind === 'event') {
+    state.events.set(target.name, value === '1' ? null : value);
+  } else if (target.kind === 'context') {
+    state.contextData[target.name] = value;
+  } else if (target.name === 'events') {
+    // Setting the events variable adds the listed events
+    value.split(',').filter(Boolean).forEach(entry => {
+      const event = parseEventEntry(entry);
+      state.events.set(event.name, event.value);
+      if (event.id !== null) {
+        state.eventIds.set(event.name, event.id);
+      }
+    });
+  } else {
+    state.variables[target.name] = value;
+  }
+
+  return {
+    ...action,
+    applied: true,
+    before,
+    after: readVariable(state, action.variable)
+  };
+}
+
+/**
+ * Lists every report variable that is set before or after processing, side by side
+ * @param {Object} raw - Hit state before processing
+ * @param {Object} processed - Hit state after processing
+ * @returns {Array} Variable comparisons
+ */
+function compareStates(raw, processed) {
+  const variableOrder = name => {
+    const match = name.match(/^(eVar|prop)(\d+)$/);
+    return match ? `${match[1] === 'eVar' ? 1 : 2}${match[2].padStart(4, '0')}` : `0${name}`;
+  };
+  const names = Array.from(new Set([
+    ...Object.keys(raw.variables),
+    ...Object.keys(processed.variables)
+  ])).sort((a, b) => variableOrder(a).localeCompare(variableOrder(b)));
+
+  const comparison = names.map(name => ({
+    variable: name,
+    raw: raw.variables[name] ?? null,
+    processed: processed.variables[name] ?? null,
+    changed: raw.variables[name] !== processed.variables[name]
+  }));
+
+  const rawEvents = serializeEvents(raw);
+  const processedEvents = serializeEvents(processed);
+  if (rawEvents || processedEvents) {
+    comparison.push({
+      variable: 'events',
+      raw: rawEvents || null,
+      processed: processedEvents || null,
+      changed: rawEvents !== processedEvents
+    });
+  }
+
+  return comparison;
+}
+
+/**
+ * Runs a rule set against Adobe Analytics beacons
+ * @param {Array} beacons - Beacons produced by processAnalyticsBeacons
+ * @param {Object} ruleSet - Rule set loaded with loadProcessingRules
+ * @returns {Object} Raw and post-processing variables for each hit
+ */
+function simulateProcessingRules(beacons, ruleSet) {
+  const hits = beacons
+    .filter(beacon => beacon.providerKey === 'ADOBEANALYTICS')
+    .map(beacon => {
+      const raw = buildHitState(beacon);
+      const processed = buildHitState(beacon);
+
+      // Rules run in order, and each rule sees the changes made by the ones before it
+      const rules = ruleSet.rules.map((rule, index) => {
+        const matched = ruleMatches(processed, rule);
+        return {
+          name: rule.name || `Rule ${index + 1}`,
+          matched,
+          actions: matched ? (rule.actions || []).map(action => applyAction(processed, action)) : []
+        };
+      });
+
+      const variables = compareStates(raw, processed);
+      return {
+        url: beacon.url,
+        timestamp: beacon.timestamp,
+        requestType: beacon.requestType,
+        rsid: beacon.parsedData.find(item => item.key === 'rsid')?.value || null,
+        rules,
+        variables,
+        changedVariables: variables.filter(variable => variable.changed).map(variable => variable.variable),
+        contextData: raw.contextData
+      };
+    });
+
+  return {
+    summary: {
+      hits: hits.length,
+      rules: ruleSet.rules.length,
+      hitsChanged: hits.filter(hit => hit.changedVariables.length).length
+    },
+    hits
+  };
+}
+
+export {
+  loadProcessingRules,
+  simulateProcessingRules
+};
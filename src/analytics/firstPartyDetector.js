@@ -0,0 +1,196 @@
+/**
+ * Module for detecting analytics collection sent through first-party hostnames
+ * Recognises vendor payload signatures (paths, parameters and body shapes)
+ * regardless of the host, so CNAME and server-side proxies are not missed
+ */
+
+/**
+ * Hostname suffixes of vendor-operated collection and tag endpoints.
+ * Requests to any other host are treated as first-party.
+ */
+const VENDOR_HOSTS = [
+  'google-analytics.com',
+  'analytics.google.com',
+  'googletagmanager.com',
+  'doubleclick.net',
+  'googleadservices.com',
+  'google.com',
+  'facebook.com',
+  'facebook.net',
+  'tiktok.com',
+  'omtrdc.net',
+  '2o7.net',
+  'adobedc.net',
+  'demdex.net',
+  'adobedtm.com',
+  'segment.io',
+  'segment.com',
+  'linkedin.com',
+  'licdn.com',
+  'pinterest.com',
+  'twitter.com',
+  'ads-twitter.com',
+  't.co',
+  'clarity.ms',
+  'bing.com',
+  'snapchat.com',
+  'sc-static.net',
+  'reddit.com',
+  'redditstatic.com',
+  'quora.com',
+  'criteo.com',
+  'criteo.net',
+  'tiqcdn.com',
+  'tealiumiq.com',
+  'ensighten.com'
+];
+
+// Google's country domains (google.de, google.co.uk, ...), which also serve Google Ads hits
+const GOOGLE_HOST_PATTERN = /(^|\.)google\.(com?\.)?[a-z]{2,}$/;
+
+// Segment's tracking API call types
+const SEGMENT_CALL_TYPES = ['track', 'page', 'screen', 'identify', 'group', 'alias'];
+
+/**
+ * Vendor payload signatures, checked in order. `providerKey` names the
+ * registered provider able to parse the request, or null if none exists.
+ */
+const PAYLOAD_SIGNATURES = [
+  {
+    vendor: 'adobe',
+    name: 'Adobe Analytics',
+    providerKey: 'ADOBEANALYTICS',
+    test: ({ path }) => /\/b\/ss\/[^/]+\/\d+\//.test(path)
+  },
+  {
+    vendor: 'adobe',
+    name: 'Adobe Experience Platform Web SDK',
+    providerKey: 'ADOBEWEBSDK',
+    test: ({ path }) => /\/(?:ee|edge)\/(?:[a-z]{2,4}\d+\/)?v[12]\/(?:interact|collect)/.test(path)
+  },
+  {
+    vendor: 'google',
+    name: 'Google Analytics 4',
+    providerKey: 'GOOGLEANALYTICS4',
+    test: ({ path, params }) => /\/g\/collect$/.test(path) ||
+      (params.get('v') === '2' && /^G-/.test(params.get('tid') || ''))
+  },
+  {
+    vendor: 'google',
+    name: 'Universal Analytics',
+    providerKey: 'GOOGLEANALYTICS',
+    test: ({ params }) => params.get('v') === '1' && /^UA-/.test(params.get('tid') || '') && params.has('t')
+  },
+  {
+    vendor: 'facebook',
+    name: 'Meta Pixel',
+    providerKey: 'FACEBOOKPIXEL',
+    test: ({ params }) => /^\d{10,20}$/.test(params.get('id') || '') && params.has('ev')
+  },
+  {
+    vendor: 'facebook',
+    name: 'Meta Conversions API',
+    providerKey: null,
+    test: ({ body }) => Array.isArray(body?.data) &&
+      body.data.some(event => event && event.event_name && event.action_source)
+  },
+  {
+    vendor: 'tiktok',
+    name: 'TikTok Pixel',
+    providerKey: 'TIKTOK',
+    test: ({ params, body }) => (params.has('sdkid') && params.has('event')) || Boolean(body?.context?.pixel?.code)
+  },
+  {
+    vendor: 'segment',
+    name: 'Segment',
+    providerKey: null,
+    test: ({ path, body }) => {
+      if (!body || typeof body !== 'object') return false;
+      const messages = Array.isArray(body.batch) ? body.batch : [body];
+      return messages.some(message => message && message.messageId &&
+        SEGMENT_CALL_TYPES.includes(message.type || '')) ||
+        (Boolean(body.writeKey) && /\/v1\/(?:[tpsigab]|track|page|screen|identify|group|alias|batch)$/.test(path));
+    }
+  }
+];
+
+/**
+ * Checks whether a hostname belongs to a known vendor rather than the site itself
+ * @param {string} hostname - Request hostname
+ * @returns {boolean} True for vendor-operated hosts
+ */
+function isVendorHost(hostname = '') {
+  const host = hostname.toLowerCase();
+  if (GOOGLE_HOST_PATTERN.test(host)) return true;
+  return VENDOR_HOSTS.some(suffix => host === suffix || host.endsWith(`.${suffix}`));
+}
+
+/**
+ * Builds the request shape the signatures are tested against
+ * @param {Object} request - Request with url and optional postData
+ * @returns {Object|null} Path, merged URL/form params and JSON body, or null for invalid URLs
+ */
+function getRequestShape(request) {
+  let url;
+  try {
+    url = new URL(request.url);
+  } catch (e) {
+    return null;
+  }
+
+  const params = new URLSearchParams(url.search);
+  let body = null;
+  const postData = typeof request.postData === 'string' ? request.postData.trim() : '';
+  if (postData.startsWith('{') || postData.startsWith('[')) {
+    try {
+      body = JSON.parse(postData);
+    } catch (e) {
+      body = null;
+    }
+  } else if (postData && postData.includes('=') && !postData.includes('\n')) {
+    // Form-encoded bodies (e.g. Adobe Analytics POST hits) carry the parameters
+    new URLSearchParams(postData).forEach((value, key) => params.append(key, value));
+  }
+
+  return {
+    hostname: url.hostname,
+    path: url.pathname.replace(/\/+$/, ''),
+    params,
+    body
+  };
+}
+
+/**
+ * Detects vendor collection requests by payload signature, regardless of host
+ * @param {Object} request - Request with url and optional postData
+ * @returns {Object|null} Matched vendor, provider key and whether the host is first-party
+ */
+function detectFirstPartyRequest(request) {
+  if (!request?.url) return null;
+
+  const shape = getRequestShape(request);
+  if (!shape) return null;
+
+  const signature = PAYLOAD_SIGNATURES.find(candidate => {
+    try {
+      return candidate.test(shape);
+    } catch (e) {
+      return false;
+    }
+  });
+  if (!signature) return null;
+
+  return {
+    vendor: signature.vendor,
+    name: signature.name,
+    providerKey: signature.providerKey,
+    hostname: shape.hostname,
+    firstParty: !isVendorHost(shape.hostname)
+  };
+}
+
+export {
+  VENDOR_HOSTS,
+  isVendorHost,
+  detectFirstPartyRequest
+};
@@ -0,0 +1,176 @@
+/**
+ * Module for inspecting Google Tag Manager in a page: the containers loaded,
+ * the dataLayer event history and the beacons each GTM event led to
+ *
+ * GTM does not expose tag or trigger configuration outside preview mode, so
+ * tag firing is inferred from the beacons captured after each event.
+ */
+
+import { installDataLayerRecorder, collectDataLayerTimeline } from '../utils/dataLayerRecorder.js';
+
+/**
+ * Records every `window.dataLayer` push from before any page script runs.
+ * GTM wraps the same push method when it loads and calls through to the
+ * recorder, so its own gtm.dom/gtm.load pushes are recorded as well.
+ * @param {Page} page - Puppeteer page object
+ * @returns {Promise<void>}
+ */
+async function installGtmMonitor(page) {
+  await installDataLayerRecorder(page, { layers: ['dataLayer'] });
+}
+
+/**
+ * Describes a dataLayer push as a GTM event, a gtag() command or a plain message
+ * @param {*} payload - Cloned push payload
+ * @returns {{kind: string, event: (string|null)}} Push classification
+ */
+function classifyPush(payload) {
+  if (Array.isArray(payload)) {
+    // gtag('event', 'purchase', {...}) / gtag('config', 'G-XXXX')
+    const [command, target] = payload;
+    if (command === 'event') return { kind: 'gtag', event: String(target) };
+    if (command === 'config' || command === 'consent' || command === 'set' || command === 'js') {
+      return { kind: 'gtag', event: `gtag.${command}` };
+    }
+    return { kind: 'gtag', event: null };
+  }
+  if (payload && typeof payload === 'object' && typeof payload.event === 'string') {
+    return { kind: 'event', event: payload.event };
+  }
+  return { kind: 'message', event: null };
+}
+
+/**
+ * Attributes each beacon to the most recent GTM event fired before it
+ * @param {Array} pushes - Recorded dataLayer pushes ({time, payload, source})
+ * @param {Array} beacons - Beacons produced by processAnalyticsBeacons
+ * @param {Object} options - Correlation options
+ * @param {number} options.windowMs - Longest gap between an event and a beacon attributed to it
+ * @returns {{events: Array, messages: number, unattributedBeacons: Array}} Event timeline
+ */
+function correlateGtmEvents(pushes, beacons, { windowMs = 5000 } = {}) {
+  const events = [];
+  let messages = 0;
+  pushes.forEach((push, index) => {
+    const { kind, event } = classifyPush(push.payload);
+    if (!event) {
+      messages++;
+      return;
+    }
+    events.push({
+      index,
+      event,
+      kind,
+      time: push.time ? new Date(push.time).toISOString() : null,
+      timeMs: push.time,
+      source: push.source || null,
+      payload: push.payload,
+      beacons: []
+    });
+  });
+
+  const unattributedBeacons = [];
+  for (const beacon of beacons) {
+    const beaconTime = beacon.timestamp ? Date.parse(beacon.timestamp) : NaN;
+    // Latest event at or before the beacon, inside the window; events
+    // without a push time (no monitor installed) cannot own beacons
+    const owner = isNaN(beaconTime) ? null : events
+      .filter(event => event.timeMs && event.timeMs <= beaconTime && beaconTime - event.timeMs <= windowMs)
+      .pop();
+    const summary = {
+      provider: beacon.provider,
+      providerKey: beacon.providerKey,
+      requestType: beacon.requestType,
+      url: beacon.url,
+      timestamp: beacon.timestamp
+    };
+    if (owner) {
+      owner.beacons.push({ ...summary, delayMs: beaconTime - owner.timeMs });
+    } else {
+      unattributedBeacons.push(summary);
+    }
+  }
+
+  return {
+    events: events.map(({ timeMs, ...event }) => ({
+      ...event,
+      beaconCount: event.beacons.length,
+      providers: [...new Set(event.beacons.map(beacon => beacon.provider))]
+    })),
+    messages,
+    unattributedBeacons
+  };
+}
+
+/**
+ * Reads the GTM containers and the recorded dataLayer history from the page
+ * @param {Page} page - Puppeteer page object
+ * @returns {Promise<Object>} Containers, dataLayer history and GTM's data model state
+ */
+async function inspectGtm(page) {
+  const timeline = await collectDataLayerTimeline(page, { layers: ['dataLayer'] });
+  const pushes = timeline && timeline.map(({ time, source, payload }) => ({ time, source, payload }));
+  return await page.evaluate((pushes) => {
+    const gtm = window.google_tag_manager;
+    const ids = gtm && typeof gtm === 'object'
+      ? Object.keys(gtm).filter(id => /^(GTM|G|AW|DC|GT)-[A-Z0-9]+$/.test(id))
+      : [];
+
+    const history = pushes || (Array.isArray(window.dataLayer)
+      ? window.dataLayer.map(item => {
+        try {
+          const plain = Object.prototype.toString.call(item) === '[object Arguments]' ? Array.from(item) : item;
+          return { time: null, payload: JSON.parse(JSON.stringify(plain)) };
+        } catch (e) {
+          return { time: null, payload: '[unserializable]' };
+        }
+      })
+      : []);
+
+    // Keys pushed to the dataLayer, read back through GTM's merged data model
+    const pushedKeys = new Set();
+    history.forEach(({ payload }) => {
+      if (payload && typeof payload === 'object' && !Array.isArray(payload)) {
+        Object.keys(payload).forEach(key => pushedKeys.add(key));
+      }
+    });
+
+    const containers = ids.map(id => {
+      const container = gtm[id] || {};
+      const model = container.dataLayer && typeof container.dataLayer.get === 'function'
+        ? container.dataLayer
+        : null;
+      const state = {};
+      if (model) {
+        pushedKeys.forEach(key => {
+          try {
+            const value = model.get(key);
+            if (value !== undefined) {
+              state[key] = JSON.parse(JSON.stringify(value));
+            }
+          } catch (e) {
+            // Skip values that cannot be read or serialized
+          }
+        });
+      }
+      return {
+        id,
+        type: id.startsWith('GTM-') ? 'GTM container' : 'Google tag destination',
+        modelState: model ? state : undefined
+      };
+    });
+
+    return {
+      detected: containers.length > 0,
+      containers,
+      monitorInstalled: Boolean(pushes),
+      pushes: history
+    };
+  }, pushes);
+}
+
+export {
+  installGtmMonitor,
+  inspectGtm,
+  correlateGtmEvents
+};
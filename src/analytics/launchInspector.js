@@ -0,0 +1,226 @@
+/**
+ * Module for inspecting the Adobe Experience Platform Launch (Tags) library
+ * loaded in a page: property and build metadata, installed extensions, every
+ * rule with its events, conditions and actions, and the rules that fired
+ */
+
+// Page global the monitor hooks record rule activity into
+const MONITOR_LOG = '__martechLaunchMonitor';
+
+/**
+ * Registers a Launch monitor before any page script runs. Launch reads
+ * `_satellite._monitors` when the library initializes and reports every rule
+ * trigger, completion and failed condition to them, so this must be called
+ * before navigating.
+ * @param {Page} page - Puppeteer page object
+ * @returns {Promise<void>}
+ */
+async function installLaunchMonitor(page) {
+  await page.evaluateOnNewDocument((logName) => {
+    const log = [];
+    Object.defineProperty(window, logName, { value: log, enumerable: false });
+
+    function record(type) {
+      return (event) => {
+        try {
+          const component = event.condition || event.action || null;
+          log.push({
+            type,
+            ruleId: event.rule ? event.rule.id : null,
+            ruleName: event.rule ? event.rule.name : null,
+            modulePath: component ? component.modulePath : undefined,
+            time: new Date().toISOString()
+          });
+        } catch (e) {
+          // Never let the monitor break the page's rules
+        }
+      };
+    }
+
+    window._satellite = window._satellite || {};
+    window._satellite._monitors = window._satellite._monitors || [];
+    window._satellite._monitors.push({
+      ruleTriggered: record('triggered'),
+      ruleCompleted: record('completed'),
+      ruleConditionFailed: record('conditionFailed'),
+      ruleActionFailed: record('actionFailed')
+    });
+  }, MONITOR_LOG);
+}
+
+/**
+ * Summarizes the monitor log per rule
+ * @param {Array} log - Entries recorded by the monitor hooks
+ * @returns {Array} Fired rules in the order they first triggered
+ */
+function summarizeRuleActivity(log) {
+  const rules = new Map();
+  for (const entry of log) {
+    const key = entry.ruleId || entry.ruleName;
+    if (!rules.has(key)) {
+      rules.set(key, {
+        ruleId: entry.ruleId,
+        ruleName: entry.ruleName,
+        triggered: 0,
+        completed: 0,
+        conditionFailed: 0,
+        actionFailed: 0,
+        firstTriggeredAt: null,
+        failedConditions: [],
+        failedActions: []
+      });
+    }
+    const rule = rules.get(key);
+    rule[entry.type]++;
+    if (entry.type === 'triggered' && !rule.firstTriggeredAt) {
+      rule.firstTriggeredAt = entry.time;
+    }
+    if (entry.type === 'conditionFailed' && entry.modulePath && !rule.failedConditions.includes(entry.modulePath)) {
+      rule.failedConditions.push(entry.modulePath);
+    }
+    if (entry.type === 'actionFailed' && entry.modulePath && !rule.failedActions.includes(entry.modulePath)) {
+      rule.failedActions.push(entry.modulePath);
+    }
+  }
+  return Array.from(rules.values());
+}
+
+/**
+ * Reads the Launch container and build metadata from the page
+ * @param {Page} page - Puppeteer page object
+ * @param {Object} options - Inspection options
+ * @param {boolean} options.includeSettings - Include the settings of every rule component and extension
+ * @returns {Promise<Object>} Launch inspection report
+ */
+async function inspectLaunch(page, { includeSettings = false } = {}) {
+  const inspection = await page.evaluate((logName, includeSettings) => {
+    const satellite = window._satellite;
+    // The monitor creates a bare _satellite, so look for the library itself
+    if (!satellite || typeof satellite.track !== 'function') {
+      return { detected: false, monitorLog: window[logName] || null };
+    }
+
+    // Settings can hold custom code functions and circular references
+    function serialize(value, depth = 0) {
+      if (typeof value === 'function') {
+        const source = value.toString();
+        return source.length > 500 ? `${source.slice(0, 500)}…` : source;
+      }
+      if (value === null || typeof value !== 'object') {
+        return value;
+      }
+      if (depth > 6) {
+        return '[object]';
+      }
+      if (Array.isArray(value)) {
+        return value.map(item => serialize(item, depth + 1));
+      }
+      const copy = {};
+      for (const key of Object.keys(value)) {
+        copy[key] = serialize(value[key], depth + 1);
+      }
+      return copy;
+    }
+
+    // e.g. "core/src/lib/events/pageBottom.js" -> extension "core", type "pageBottom"
+    function describeComponent(component) {
+      const modulePath = component.modulePath || '';
+      const described = {
+        extension: modulePath.split('/')[0] || null,
+        type: modulePath.split('/').pop().replace(/\.js$/, '') || null,
+        modulePath
+      };
+      if (component.negate) described.negate = true;
+      if (component.ruleOrder !== undefined) described.ruleOrder = component.ruleOrder;
+      if (component.timeout !== undefined) described.timeout = component.timeout;
+      if (includeSettings) described.settings = serialize(component.settings || {});
+      return described;
+    }
+
+    const container = satellite._container || satellite.container || {};
+    const buildInfo = satellite.buildInfo || container.buildInfo || {};
+    const libraryScript = Array.from(document.scripts)
+      .map(script => script.src)
+      .find(src => /assets\.adobedtm\.com\/.*launch-[^/]+\.min\.js/.test(src)) || null;
+    const scriptEnvironment = libraryScript
+      ? (libraryScript.match(/-(development|staging)\.min\.js/) || [null, 'production'])[1]
+      : null;
+
+    const extensions = Object.entries(container.extensions || {}).map(([name, extension]) => ({
+      name,
+      displayName: extension.displayName || name,
+      version: extension.version || null,
+      hostedLibFilesBaseUrl: extension.hostedLibFilesBaseUrl || null,
+      settings: includeSettings ? serialize(extension.settings || {}) : undefined
+    }));
+
+    const rules = (container.rules || []).map(rule => ({
+      id: rule.id,
+      name: rule.name,
+      events: (rule.events || []).map(describeComponent),
+      conditions: (rule.conditions || []).map(describeComponent),
+      actions: (rule.actions || []).map(describeComponent)
+    }));
+
+    const dataElements = Object.entries(container.dataElements || {}).map(([name, dataElement]) => ({
+      name,
+      type: (dataElement.modulePath || '').split('/').pop().replace(/\.js$/, '') || null,
+      extension: (dataElement.modulePath || '').split('/')[0] || null,
+      storageDuration: dataElement.storageDuration,
+      defaultValue: dataElement.defaultValue
+    }));
+
+    return {
+      detected: true,
+      containerAvailable: Boolean(satellite._container || satellite.container),
+      property: {
+        name: (container.property && container.property.name) || (satellite.property && satellite.property.name) || null,
+        id: (container.property && container.property.id) || (satellite.property && satellite.property.id) || null,
+        company: (container.company && container.company.orgId) || (satellite.company && satellite.company.orgId) || null,
+        libraryUrl: libraryScript
+      },
+      build: {
+        buildDate: buildInfo.buildDate || null,
+        environment: buildInfo.environment || scriptEnvironment,
+        turbineVersion: buildInfo.turbineVersion || null,
+        turbineBuildDate: buildInfo.turbineBuildDate || null,
+        minified: buildInfo.minified
+      },
+      extensions,
+      rules,
+      dataElements,
+      monitorLog: window[logName] || null
+    };
+  }, MONITOR_LOG, includeSettings);
+
+  const { monitorLog, ...report } = inspection;
+  // Without a log, installLaunchMonitor was not called before navigation
+  const firedRules = monitorLog ? summarizeRuleActivity(monitorLog) : null;
+  report.firedRules = firedRules;
+  if (monitorLog) {
+    report.ruleLog = monitorLog;
+  }
+  if (!report.detected) {
+    return report;
+  }
+
+  for (const rule of report.rules) {
+    const activity = firedRules && firedRules.find(fired => fired.ruleId === rule.id || (!fired.ruleId && fired.ruleName === rule.name));
+    rule.fired = firedRules ? Boolean(activity && activity.completed > 0) : null;
+    rule.triggered = firedRules ? (activity ? activity.triggered : 0) : null;
+  }
+  report.summary = {
+    extensions: report.extensions.length,
+    rules: report.rules.length,
+    dataElements: report.dataElements.length,
+    rulesTriggered: firedRules ? firedRules.filter(rule => rule.triggered > 0).length : null,
+    rulesCompleted: firedRules ? firedRules.filter(rule => rule.completed > 0).length : null,
+    rulesWithFailedConditions: firedRules ? firedRules.filter(rule => rule.conditionFailed > 0 && rule.completed === 0).length : null
+  };
+  return report;
+}
+
+export {
+  installLaunchMonitor,
+  inspectLaunch
+};
@@ -3,14 +3,24 @@
  * Enhanced with improved Adobe Experience Cloud detection
  */
 
+import { detectFirstPartyRequest } from './firstPartyDetector.js';
+import { collectDataLayerTimeline, mergeTimeline } from '../utils/dataLayerRecorder.js';
+import { processAnalyticsBeacons } from '../utils/beaconCapture.js';
+
 /**
  * Analyzes the page to detect common marketing pixels and tags
+ *
+ * When installDataLayerRecorder was called before navigation, the results
+ * include `dataLayerTimeline`: every data layer change merged with the beacons
+ * found in `requests`, in the order they happened. Otherwise it is null and
+ * only the five-item `dataLayerSample` read at the end is available.
  * @param {Page} page - Puppeteer page object
+ * @param {Array} requests - Requests captured by setupRequestInterception
  * @returns {Object} Results of the pixel analysis
  */
-async function detectMarketingPixels(page) {
+async function detectMarketingPixels(page, requests = []) {
   // Execute browser script to detect pixels
-  return await page.evaluate(() => {
+  const results = await page.evaluate(() => {
     // Utility function to safely check for a global variable
     function hasGlobalVar(varName) {
       try {
@@ -225,9 +235,103 @@ async function detectMarketingPixels(page) {
         'AEM markers detected'
       );
     }
+
+    // Adobe Client Data Layer (AEM Core Components)
+    if (Array.isArray(window.adobeDataLayer)) {
+      // getState() is only defined once the ACDL library has initialized
+      const initialized = typeof window.adobeDataLayer.getState === 'function';
+      addTech(
+        'Adobe Client Data Layer',
+        'Adobe',
+        'Data Layer',
+        initialized ? 'high' : 'medium',
+        initialized ? 'adobeDataLayer.getState() function present' : 'adobeDataLayer array present'
+      );
+    }
     
+    // ----- TAG MANAGEMENT -----
+
+    // Tealium iQ
+    if (hasGlobalVar('utag') && typeof window.utag === 'object') {
+      addTech(
+        'Tealium iQ',
+        'Tealium',
+        'Tag Management',
+        'high',
+        'utag global object present'
+      );
+
+      try {
+        const cfg = window.utag.cfg || {};
+        // utag.cfg.path is //tags.tiqcdn.com/utag/{account}/{profile}/{env}/
+        const pathMatch = String(cfg.path || '').match(/\/utag\/([^/]+)\/([^/]+)\/([^/]+)\//);
+        const loaderCfg = (window.utag.loader && window.utag.loader.cfg) || {};
+        const sender = window.utag.sender || {};
+
+        const tags = Object.keys(loaderCfg).map(id => ({
+          id,
+          templateId: loaderCfg[id].tid,
+          load: loaderCfg[id].load,
+          send: loaderCfg[id].send,
+          version: loaderCfg[id].v,
+          loaded: Object.prototype.hasOwnProperty.call(sender, id)
+        }));
+
+        results.tealium = {
+          account: pathMatch ? pathMatch[1] : null,
+          profile: pathMatch ? pathMatch[2] : null,
+          environment: pathMatch ? pathMatch[3] : null,
+          version: cfg.v || null,
+          utid: cfg.utid || null,
+          config: {
+            path: cfg.path,
+            noload: cfg.noload,
+            noview: cfg.noview,
+            waittimer: cfg.waittimer,
+            domain: cfg.domain
+          },
+          utagData: isNonEmptyObject(window.utag_data) ? JSON.parse(JSON.stringify(window.utag_data)) : null,
+          tags,
+          loadedTagIds: tags.filter(tag => tag.loaded).map(tag => tag.id)
+        };
+        if (pathMatch) {
+          results.pixelIds.tealium = `${pathMatch[1]}/${pathMatch[2]}/${pathMatch[3]}`;
+        }
+      } catch (e) {
+        // Unable to read the Tealium configuration
+      }
+    } else if (hasGlobalVar('utag_data')) {
+      addTech(
+        'Tealium iQ',
+        'Tealium',
+        'Tag Management',
+        'medium',
+        'utag_data global object present'
+      );
+    }
+
+    // Ensighten
+    if (hasGlobalVar('Bootstrapper')) {
+      addTech(
+        'Ensighten',
+        'Ensighten',
+        'Tag Management',
+        'high',
+        'Bootstrapper global object present'
+      );
+
+      try {
+        const options = window.Bootstrapper.ensightenOptions || {};
+        if (options.client) {
+          results.pixelIds.ensighten = options.publishPath ? `${options.client}/${options.publishPath}` : options.client;
+        }
+      } catch (e) {
+        // Unable to read the Ensighten options
+      }
+    }
+
     // ----- MARKETING AUTOMATION -----
-    
+
     // HubSpot
     if (hasGlobalVar('_hsq')) {
       addTech(
@@ -298,6 +402,50 @@ async function detectMarketingPixels(page) {
       );
     }
     
+    // Snap Pixel
+    if (hasGlobalVar('snaptr')) {
+      addTech(
+        'Snap Pixel',
+        'Snap',
+        'Advertising',
+        'high',
+        'snaptr global object present'
+      );
+    }
+    
+    // Reddit Pixel
+    if (hasGlobalVar('rdt')) {
+      addTech(
+        'Reddit Pixel',
+        'Reddit',
+        'Advertising',
+        'high',
+        'rdt global object present'
+      );
+    }
+    
+    // Quora Pixel
+    if (hasGlobalVar('qp') && typeof window.qp === 'function') {
+      addTech(
+        'Quora Pixel',
+        'Quora',
+        'Advertising',
+        'high',
+        'qp global function present'
+      );
+    }
+    
+    // Criteo OneTag
+    if (window.criteo_q != null && typeof window.criteo_q === 'object') {
+      addTech(
+        'Criteo OneTag',
+        'Criteo',
+        'Advertising',
+        'high',
+        'criteo_q global object present'
+      );
+    }
+    
     // LinkedIn Insight Tag
     if (hasGlobalVar('_linkedin_data_partner_ids')) {
       addTech(
@@ -364,6 +512,24 @@ async function detectMarketingPixels(page) {
         results.pixelIds.facebook = [fbMatch[1]];
       }
       
+      // Snap, Reddit, Quora and Criteo IDs from their init calls
+      const snapMatch = content.match(/snaptr\(['"]init['"], ?['"]([a-f0-9-]+)['"]/i);
+      if (snapMatch) {
+        results.pixelIds.snapchat = snapMatch[1];
+      }
+      const redditMatch = content.match(/rdt\(['"]init['"], ?['"]([\w-]+)['"]/);
+      if (redditMatch) {
+        results.pixelIds.reddit = redditMatch[1];
+      }
+      const quoraMatch = content.match(/qp\(['"]init['"], ?['"]([a-f0-9]+)['"]/i);
+      if (quoraMatch) {
+        results.pixelIds.quora = quoraMatch[1];
+      }
+      const criteoMatch = content.match(/event:\s*['"]setAccount['"],\s*account:\s*['"]?(\d+)/);
+      if (criteoMatch) {
+        results.pixelIds.criteo = criteoMatch[1];
+      }
+      
       // TikTok Pixel ID from script src
       if (src.includes('analytics.tiktok.com')) {
         const ttMatch = src.match(/sdkid=([A-Z0-9]+)/);
@@ -382,7 +548,35 @@ async function detectMarketingPixels(page) {
           'Adobe Launch script detected'
         );
       }
-      
+
+      // Tealium iQ and Ensighten loaders
+      const utagMatch = src.match(/tags\.tiqcdn\.com\/utag\/([^/]+)\/([^/]+)\/([^/]+)\/utag(?:\.sync)?\.js/);
+      if (utagMatch) {
+        addTech(
+          'Tealium iQ',
+          'Tealium',
+          'Tag Management',
+          'high',
+          'utag.js script detected'
+        );
+        if (!results.pixelIds.tealium) {
+          results.pixelIds.tealium = `${utagMatch[1]}/${utagMatch[2]}/${utagMatch[3]}`;
+        }
+      }
+      const ensightenMatch = src.match(/nexus\.ensighten\.com\/([^/]+)\/(?:([^/]+)\/)?Bootstrap\.js/);
+      if (ensightenMatch) {
+        addTech(
+          'Ensighten',
+          'Ensighten',
+          'Tag Management',
+          'high',
+          'Ensighten Bootstrap.js script detected'
+        );
+        if (!results.pixelIds.ensighten) {
+          results.pixelIds.ensighten = ensightenMatch[2] ? `${ensightenMatch[1]}/${ensightenMatch[2]}` : ensightenMatch[1];
+        }
+      }
+
       // Adobe Analytics detection (AppMeasurement)
       if (content.includes('AppMeasurement') || src.includes('AppMeasurement')) {
         addTech(
@@ -462,6 +656,113 @@ async function detectMarketingPixels(page) {
     
     return results;
   });
+  const dataLayerTimeline = await collectDataLayerTimeline(page);
+  results.dataLayerTimeline = dataLayerTimeline
+    ? mergeTimeline(dataLayerTimeline, processAnalyticsBeacons(requests).beacons)
+    : null;
+  return results;
+}
+
+/**
+ * Reads server-side tagging settings from the page: gtag `config` commands with
+ * `server_container_url` / `transport_url`, and GTM/gtag loaders served from
+ * hosts other than www.googletagmanager.com
+ * @param {Page} page - Puppeteer page object
+ * @returns {Object} GA4 configs and container loaders found on the page
+ */
+async function detectTaggingServers(page) {
+  return await page.evaluate(() => {
+    const configs = [];
+    const containers = [];
+    
+    // gtag() pushes its arguments object onto the dataLayer
+    const dataLayer = Array.isArray(window.dataLayer) ? window.dataLayer : [];
+    for (const entry of dataLayer) {
+      if (!entry || typeof entry !== 'object' || typeof entry.length !== 'number') continue;
+      const args = Array.from(entry);
+      if (args[0] !== 'config' || typeof args[1] !== 'string') continue;
+      const settings = args[2] && typeof args[2] === 'object' ? args[2] : {};
+      configs.push({
+        measurementId: args[1],
+        serverContainerUrl: settings.server_container_url || null,
+        transportUrl: settings.transport_url || null
+      });
+    }
+    
+    for (const script of Array.from(document.scripts)) {
+      if (!script.src) continue;
+      let url;
+      try {
+        url = new URL(script.src);
+      } catch (e) {
+        continue;
+      }
+      const id = url.searchParams.get('id') || '';
+      const isLoader = /\/(gtm\.js|gtag\/js)$/.test(url.pathname) || /^GTM-[A-Z0-9]+$/.test(id);
+      if (!isLoader) continue;
+      const serverSide = !/(^|\.)googletagmanager\.com$/.test(url.hostname);
+      containers.push({
+        id: id || null,
+        src: script.src,
+        serverSide,
+        taggingServer: serverSide ? url.origin : null
+      });
+    }
+    
+    return { configs, containers };
+  });
+}
+
+/**
+ * Combines page-level tagging server settings with the transport attribution
+ * of captured beacons into a server-side tagging summary
+ * @param {Array} beacons - Processed beacons
+ * @param {Object} pageTagging - Result of detectTaggingServers, if available
+ * @returns {Object} Tagging servers, containers and GA4 hit counts by transport
+ */
+function summarizeServerSideTagging(beacons, pageTagging = {}) {
+  const configs = pageTagging.configs || [];
+  const containers = [...(pageTagging.containers || [])];
+  const ga4Hits = { clientSideDirect: 0, serverContainer: 0 };
+  const taggingServers = new Set();
+  
+  for (const beacon of beacons) {
+    const value = key => beacon.parsedData?.find(item => item.key === key)?.value;
+    if (beacon.providerKey === 'GOOGLEANALYTICS4') {
+      if (value('omnibug_transport') === 'server container') {
+        ga4Hits.serverContainer++;
+        taggingServers.add(value('omnibug_taggingServer'));
+      } else {
+        ga4Hits.clientSideDirect++;
+      }
+    } else if (beacon.providerKey === 'GOOGLETAGMANAGER' && value('serverSide') === 'true') {
+      taggingServers.add(value('taggingServer'));
+      if (!containers.some(container => container.src === beacon.url)) {
+        containers.push({
+          id: value('id') || null,
+          src: beacon.url,
+          serverSide: true,
+          taggingServer: value('taggingServer')
+        });
+      }
+    }
+  }
+  
+  for (const config of configs) {
+    if (config.serverContainerUrl) taggingServers.add(config.serverContainerUrl);
+    if (config.transportUrl) taggingServers.add(config.transportUrl);
+  }
+  for (const container of containers) {
+    if (container.taggingServer) taggingServers.add(container.taggingServer);
+  }
+  
+  return {
+    detected: taggingServers.size > 0,
+    taggingServers: Array.from(taggingServers).filter(Boolean),
+    configs,
+    containers,
+    ga4Hits
+  };
 }
 
 /**
@@ -473,6 +774,7 @@ function analyzeNetworkRequests(requests) {
   const marketingRequests = [];
   const beaconsByVendor = {
     google: [],
+    googleAds: [],
     facebook: [],
     tiktok: [],
     twitter: [],
@@ -480,33 +782,59 @@ function analyzeNetworkRequests(requests) {
     microsoft: [],
     pinterest: [],
     linkedin: [],
+    snapchat: [],
+    reddit: [],
+    quora: [],
+    criteo: [],
+    segment: [],
     other: []
   };
+  const firstPartyEndpoints = [];
   
   for (const request of requests) {
     const url = request.url;
     
     // Helper to add a request to the appropriate category
-    function addBeacon(vendor) {
+    function addBeacon(vendor, firstParty) {
       beaconsByVendor[vendor].push({
         url: url,
         method: request.method,
         resourceType: request.resourceType,
         time: request.time,
-        headers: request.headers
+        headers: request.headers,
+        firstParty: firstParty ? true : undefined
       });
       
       marketingRequests.push({
         vendor,
         url,
         method: request.method,
-        type: request.resourceType
+        type: request.resourceType,
+        firstParty: firstParty ? true : undefined,
+        detectedAs: firstParty ? firstParty.name : undefined
       });
     }
     
+    // Vendor payloads sent through first-party hostnames (CNAMEs, server-side proxies)
+    const firstParty = detectFirstPartyRequest(request);
+    if (firstParty?.firstParty) {
+      addBeacon(firstParty.vendor, firstParty);
+      if (!firstPartyEndpoints.some(endpoint => endpoint.hostname === firstParty.hostname && endpoint.name === firstParty.name)) {
+        firstPartyEndpoints.push({
+          hostname: firstParty.hostname,
+          vendor: firstParty.vendor,
+          name: firstParty.name
+        });
+      }
+    }
     // Categorize requests by vendor
+    // Google Ads conversion & remarketing
+    else if (url.includes('googleadservices.com') || url.includes('googleads.g.doubleclick.net') ||
+        /\/\/www\.google\.[a-z.]+\/(pagead\/(1p-conversion|1p-user-list)|rmkt\/collect|ccm\/collect)/.test(url)) {
+      addBeacon('googleAds');
+    }
     // Google
-    if (url.includes('google-analytics.com') || url.includes('googletagmanager.com') || 
+    else if (url.includes('google-analytics.com') || url.includes('googletagmanager.com') || 
         url.includes('doubleclick.net') || url.includes('googlesyndication.com')) {
       addBeacon('google');
     } 
@@ -547,6 +875,22 @@ function analyzeNetworkRequests(requests) {
             url.includes('snap.licdn.com')) {
       addBeacon('linkedin');
     } 
+    // Snap
+    else if (url.includes('tr.snapchat.com') || url.includes('sc-static.net')) {
+      addBeacon('snapchat');
+    }
+    // Reddit
+    else if (url.includes('alb.reddit.com') || url.includes('redditstatic.com')) {
+      addBeacon('reddit');
+    }
+    // Quora
+    else if (url.includes('q.quora.com') || url.includes('a.quora.com')) {
+      addBeacon('quora');
+    }
+    // Criteo
+    else if (url.includes('criteo.com') || url.includes('criteo.net')) {
+      addBeacon('criteo');
+    }
     // Generic analytics/pixel patterns
     else if (url.includes('analytics') || url.includes('pixel') || 
             url.includes('tracking') || url.includes('beacon') || 
@@ -562,11 +906,14 @@ function analyzeNetworkRequests(requests) {
   return {
     marketingRequests,
     beaconsByVendor,
+    firstPartyEndpoints,
     totalTrackers: marketingRequests.length
   };
 }
 
 export {
   detectMarketingPixels,
+  detectTaggingServers,
+  summarizeServerSideTagging,
   analyzeNetworkRequests
 };
\ No newline at end of file
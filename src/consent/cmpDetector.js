@@ -0,0 +1,248 @@
+/**
+ * Module for detecting consent management platforms (CMPs) and driving their
+ * accept all / reject all choices
+ */
+
+/**
+ * Known CMPs, described as plain data so they can be passed into page.evaluate.
+ * Each CMP lists the globals that identify it, the banner buttons for each
+ * choice and the JavaScript API calls that record the same choice without a click.
+ * Selectors under `shadowHosts` are searched inside those elements' shadow roots.
+ */
+const CMP_DEFINITIONS = [
+  {
+    key: 'ONETRUST',
+    name: 'OneTrust',
+    globals: ['OneTrust', 'Optanon', 'OnetrustActiveGroups'],
+    selectors: ['#onetrust-banner-sdk', '#onetrust-consent-sdk'],
+    accept: {
+      buttons: ['#onetrust-accept-btn-handler', '#accept-recommended-btn-handler'],
+      api: ['OneTrust.AllowAll']
+    },
+    reject: {
+      buttons: ['#onetrust-reject-all-handler', '.ot-pc-refuse-all-handler'],
+      api: ['OneTrust.RejectAll']
+    }
+  },
+  {
+    key: 'COOKIEBOT',
+    name: 'Cookiebot',
+    globals: ['Cookiebot', 'CookieConsent'],
+    selectors: ['#CybotCookiebotDialog'],
+    accept: {
+      buttons: ['#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll', '#CybotCookiebotDialogBodyButtonAccept'],
+      api: []
+    },
+    reject: {
+      buttons: ['#CybotCookiebotDialogBodyButtonDecline'],
+      api: []
+    }
+  },
+  {
+    key: 'DIDOMI',
+    name: 'Didomi',
+    globals: ['Didomi', 'didomiOnReady'],
+    selectors: ['#didomi-host', '#didomi-notice'],
+    accept: {
+      buttons: ['#didomi-notice-agree-button'],
+      api: ['Didomi.setUserAgreeToAll']
+    },
+    reject: {
+      buttons: ['#didomi-notice-disagree-button'],
+      api: ['Didomi.setUserDisagreeToAll']
+    }
+  },
+  {
+    key: 'USERCENTRICS',
+    name: 'Usercentrics',
+    globals: ['UC_UI', '__ucCmp', 'usercentrics'],
+    selectors: ['#usercentrics-root', '#usercentrics-cmp-ui'],
+    shadowHosts: ['#usercentrics-root', '#usercentrics-cmp-ui'],
+    accept: {
+      buttons: ['[data-testid="uc-accept-all-button"]', '#accept'],
+      api: ['UC_UI.acceptAllConsents', '__ucCmp.acceptAllConsents']
+    },
+    reject: {
+      buttons: ['[data-testid="uc-deny-all-button"]', '#deny'],
+      api: ['UC_UI.denyAllConsents', '__ucCmp.denyAllConsents']
+    }
+  },
+  {
+    key: 'TRUSTARC',
+    name: 'TrustArc',
+    globals: ['truste', 'PrivacyManagerAPI'],
+    selectors: ['#truste-consent-track', '#consent_blackbar'],
+    accept: {
+      buttons: ['#truste-consent-button'],
+      api: []
+    },
+    reject: {
+      buttons: ['#truste-consent-required'],
+      api: []
+    }
+  }
+];
+
+/**
+ * Detects the CMPs present on the page and reads Google Consent Mode commands
+ * from the dataLayer
+ * @param {Page} page - Puppeteer page object
+ * @returns {Promise<Object>} Detected CMPs and Google Consent Mode state
+ */
+async function detectConsentManagers(page) {
+  return await page.evaluate((definitions) => {
+    // Resolve a dotted global path (e.g. "OneTrust.AllowAll") safely
+    function getGlobal(path) {
+      try {
+        return path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), window);
+      } catch (e) {
+        return undefined;
+      }
+    }
+
+    const cmps = [];
+    for (const definition of definitions) {
+      const evidence = [];
+
+      definition.globals
+        .filter(name => typeof getGlobal(name) !== 'undefined')
+        .forEach(name => evidence.push(`${name} global object present`));
+
+      definition.selectors
+        .filter(selector => document.querySelector(selector))
+        .forEach(selector => evidence.push(`${selector} element present`));
+
+      if (evidence.length) {
+        cmps.push({
+          key: definition.key,
+          name: definition.name,
+          evidence
+        });
+      }
+    }
+
+    // Google Consent Mode commands are pushed as gtag() arguments objects:
+    // gtag('consent', 'default' | 'update', { ad_storage: 'denied', ... })
+    const consentMode = {
+      detected: false,
+      commands: []
+    };
+    if (Array.isArray(window.dataLayer)) {
+      window.dataLayer.forEach((entry, index) => {
+        if (entry && typeof entry === 'object' && entry[0] === 'consent') {
+          consentMode.detected = true;
+          consentMode.commands.push({
+            index,
+            command: entry[1],
+            state: entry[2] && typeof entry[2] === 'object' ? JSON.parse(JSON.stringify(entry[2])) : null
+          });
+        }
+      });
+    }
+
+    // The effective state is the default overlaid with every update, in order
+    if (consentMode.detected) {
+      consentMode.effectiveState = consentMode.commands
+        .filter(command => command.state && (command.command === 'default' || command.command === 'update'))
+        .reduce((state, command) => Object.assign(state, command.state), {});
+    }
+
+    return {
+      cmps,
+      consentMode
+    };
+  }, CMP_DEFINITIONS);
+}
+
+/**
+ * Records an accept all or reject all choice with the first CMP that supports it,
+ * preferring a click on the banner button and falling back to the CMP's API
+ * @param {Page} page - Puppeteer page object
+ * @param {Array} detectedCmps - CMPs returned by detectConsentManagers
+ * @param {string} choice - "accept" or "reject"
+ * @returns {Promise<Object>} How the choice was applied
+ */
+async function applyConsentChoice(page, detectedCmps, choice) {
+  const detectedKeys = detectedCmps.map(cmp => cmp.key);
+  const definitions = CMP_DEFINITIONS.filter(definition => detectedKeys.includes(definition.key));
+
+  if (!definitions.length) {
+    return {
+      applied: false,
+      choice,
+      reason: 'No supported consent management platform detected'
+    };
+  }
+
+  return await page.evaluate((definitions, choice) => {
+    function getGlobal(path) {
+      try {
+        return path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), window);
+      } catch (e) {
+        return undefined;
+      }
+    }
+
+    // Find an element in the document or in one of the CMP's shadow roots
+    function findElement(selector, shadowHosts = []) {
+      const element = document.querySelector(selector);
+      if (element) return element;
+
+      for (const hostSelector of shadowHosts) {
+        const host = document.querySelector(hostSelector);
+        const shadowElement = host?.shadowRoot?.querySelector(selector);
+        if (shadowElement) return shadowElement;
+      }
+      return null;
+    }
+
+    for (const definition of definitions) {
+      const actions = definition[choice];
+
+      for (const selector of actions.buttons) {
+        const button = findElement(selector, definition.shadowHosts);
+        if (button) {
+          button.click();
+          return {
+            applied: true,
+            choice,
+            cmp: definition.name,
+            method: 'click',
+            target: selector
+          };
+        }
+      }
+
+      for (const path of actions.api) {
+        const fn = getGlobal(path);
+        if (typeof fn === 'function') {
+          const owner = getGlobal(path.split('.').slice(0, -1).join('.'));
+          try {
+            fn.call(owner);
+            return {
+              applied: true,
+              choice,
+              cmp: definition.name,
+              method: 'api',
+              target: path
+            };
+          } catch (e) {
+            // Try the next API call
+          }
+        }
+      }
+    }
+
+    return {
+      applied: false,
+      choice,
+      reason: `No ${choice} button or API found for ${definitions.map(definition => definition.name).join(', ')}`
+    };
+  }, definitions, choice);
+}
+
+export {
+  CMP_DEFINITIONS,
+  detectConsentManagers,
+  applyConsentChoice
+};
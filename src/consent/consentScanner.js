@@ -0,0 +1,220 @@
+/**
+ * Module for scanning a page under different consent states and reporting
+ * which providers fire in each one
+ */
+import { setupRequestInterception } from '../utils/requestInterceptor.js';
+import { processAnalyticsBeacons } from '../utils/beaconCapture.js';
+import { detectConsentManagers, applyConsentChoice } from './cmpDetector.js';
+
+// Consent states, and the CMP choice made in each
+const CONSENT_STATES = {
+  'no-interaction': null,
+  'reject-all': 'reject',
+  'accept-all': 'accept'
+};
+
+/**
+ * Summarizes processed beacons into the per-provider view used in the report
+ * @param {Array} beacons - Beacons produced by processAnalyticsBeacons
+ * @param {string} phase - "before-consent" or "after-consent"
+ * @returns {Array} Compact beacon records
+ */
+function summarizeBeacons(beacons, phase) {
+  return beacons.map(beacon => ({
+    phase,
+    provider: beacon.provider,
+    providerKey: beacon.providerKey,
+    type: beacon.type,
+    requestType: beacon.requestType,
+    url: beacon.url,
+    timestamp: beacon.timestamp
+  }));
+}
+
+/**
+ * Lists the providers that fired, with their beacon count and phases
+ * @param {Array} beacons - Compact beacon records
+ * @returns {Array} Providers that fired
+ */
+function summarizeProviders(beacons) {
+  const providers = {};
+  for (const beacon of beacons) {
+    if (!providers[beacon.providerKey]) {
+      providers[beacon.providerKey] = {
+        provider: beacon.provider,
+        providerKey: beacon.providerKey,
+        type: beacon.type,
+        beaconCount: 0,
+        phases: []
+      };
+    }
+    const entry = providers[beacon.providerKey];
+    entry.beaconCount++;
+    if (!entry.phases.includes(beacon.phase)) {
+      entry.phases.push(beacon.phase);
+    }
+  }
+  return Object.values(providers);
+}
+
+/**
+ * Loads the page in a fresh browser context and records the beacons sent
+ * before and after the state's consent choice is made
+ * @param {Browser} browser - Puppeteer browser instance
+ * @param {string} url - URL to scan
+ * @param {string} state - One of the CONSENT_STATES keys
+ * @param {Object} config - Scan configuration
+ * @returns {Promise<Object>} Result for the consent state
+ */
+async function scanConsentState(browser, url, state, config) {
+  // A fresh context has no cookies or storage, so no earlier consent carries over
+  const context = await browser.createBrowserContext();
+
+  try {
+    const page = await context.newPage();
+    await page.setViewport({ width: 1280, height: 800 });
+
+    const requests = await setupRequestInterception(page, {
+      blockResources: ['font', 'media'],
+      captureBody: true
+    });
+
+    await page.goto(url, {
+      waitUntil: 'networkidle2',
+      timeout: 60000
+    });
+
+    // CMP banners are usually injected after load; poll until one appears
+    let detection = await detectConsentManagers(page);
+    const started = Date.now();
+    while (!detection.cmps.length && Date.now() - started < config.cmpTimeout) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+      detection = await detectConsentManagers(page);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, config.waitTime));
+
+    const result = {
+      state,
+      cmps: detection.cmps,
+      consentAction: null
+    };
+
+    const beforeConsent = processAnalyticsBeacons(requests.slice(), { providerTypes: [] });
+    let beacons = summarizeBeacons(beforeConsent.beacons, 'before-consent');
+
+    const choice = CONSENT_STATES[state];
+    if (choice) {
+      const baseline = requests.length;
+      result.consentAction = await applyConsentChoice(page, detection.cmps, choice);
+
+      // Give tags released (or suppressed) by the choice time to fire
+      await new Promise(resolve => setTimeout(resolve, config.waitTime));
+
+      const afterConsent = processAnalyticsBeacons(requests.slice(baseline), { providerTypes: [] });
+      beacons = beacons.concat(summarizeBeacons(afterConsent.beacons, 'after-consent'));
+
+      // Report the consent mode state that resulted from the choice
+      detection = await detectConsentManagers(page);
+    }
+
+    result.consentMode = detection.consentMode;
+    result.providers = summarizeProviders(beacons);
+    result.beaconCount = beacons.length;
+    result.beacons = beacons;
+
+    await page.close();
+    return result;
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Flags providers that track without consent: anything other than a tag
+ * manager firing before a choice is made or after everything was rejected
+ * @param {Array} states - Results from scanConsentState
+ * @returns {Array} Compliance findings
+ */
+function buildConsentFindings(states) {
+  const findings = [];
+
+  for (const stateResult of states) {
+    if (stateResult.error) continue;
+
+    for (const provider of stateResult.providers) {
+      if (/tag ?manager/i.test(provider.type)) continue;
+
+      const beforeConsent = provider.phases.includes('before-consent');
+      const afterReject = stateResult.state === 'reject-all' && provider.phases.includes('after-consent');
+      if (!beforeConsent && !afterReject) continue;
+
+      findings.push({
+        severity: /marketing/i.test(provider.type) ? 'high' : 'medium',
+        state: stateResult.state,
+        provider: provider.provider,
+        providerKey: provider.providerKey,
+        type: provider.type,
+        beaconCount: provider.beaconCount,
+        message: afterReject
+          ? `${provider.provider} fired after all consent was rejected`
+          : `${provider.provider} fired before a consent choice was made`
+      });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Scans a page under each consent state, each in its own browser context
+ * @param {Browser} browser - Puppeteer browser instance
+ * @param {string} url - URL to scan
+ * @param {Object} options - Scan options
+ * @param {string[]} options.states - Consent states to run (default: all)
+ * @param {number} options.waitTime - Time to wait for beacons after load and after the consent choice (milliseconds)
+ * @param {number} options.cmpTimeout - Time to wait for a CMP to appear (milliseconds)
+ * @returns {Promise<Object>} Providers fired per consent state and compliance findings
+ */
+async function scanConsentStates(browser, url, options = {}) {
+  // Tool handlers pass every argument through, including the ones left out
+  const config = {
+    ...options,
+    states: options.states || Object.keys(CONSENT_STATES),
+    waitTime: options.waitTime ?? 3000,
+    cmpTimeout: options.cmpTimeout ?? 5000
+  };
+
+  const states = [];
+  for (const state of config.states) {
+    if (!(state in CONSENT_STATES)) {
+      throw new Error(`Unknown consent state: ${state}`);
+    }
+
+    try {
+      states.push(await scanConsentState(browser, url, state, config));
+    } catch (error) {
+      states.push({
+        state,
+        error: error.message
+      });
+    }
+  }
+
+  // The CMPs are the same in every state; report the first detection
+  const cmps = states.find(stateResult => stateResult.cmps?.length)?.cmps || [];
+
+  return {
+    url,
+    scanTime: new Date().toISOString(),
+    cmps,
+    consentModeDetected: states.some(stateResult => stateResult.consentMode?.detected),
+    states,
+    findings: buildConsentFindings(states)
+  };
+}
+
+export {
+  CONSENT_STATES,
+  scanConsentStates
+};
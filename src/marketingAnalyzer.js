@@ -5,6 +5,7 @@
 import { detectMarketingPixels, analyzeNetworkRequests } from './analytics/pixelDetector.js';
 import { analyzeSeoMetadata, analyzeUrl } from './seo/metadataAnalyzer.js';
 import { setupRequestInterception, filterMarketingRequests } from './utils/requestInterceptor.js';
+import { installDataLayerRecorder } from './utils/dataLayerRecorder.js';
 
 /**
  * Performs a comprehensive analysis of marketing technologies and SEO elements
@@ -19,6 +20,9 @@ async function analyzeMarketingTech(page, url, options = {}) {
     blockResources: options.blockResources || [] // Block specified resource types
   };
   const requests = await setupRequestInterception(page, interceptionOptions);
+
+  // Record every data layer push from the start of the page load
+  await installDataLayerRecorder(page);
   
   // Set default timeout options
   const navigationOptions = {
@@ -39,7 +43,7 @@ async function analyzeMarketingTech(page, url, options = {}) {
     }
     
     // Detect marketing pixels and tags
-    const pixelAnalysis = await detectMarketingPixels(page);
+    const pixelAnalysis = await detectMarketingPixels(page, requests);
     
     // Analyze SEO metadata
     const seoMetadata = await analyzeSeoMetadata(page);
@@ -60,6 +64,8 @@ async function analyzeMarketingTech(page, url, options = {}) {
         technologies: pixelAnalysis.technologies,
         pixelIds: pixelAnalysis.pixelIds,
         dataLayerSample: pixelAnalysis.dataLayerSample,
+        dataLayerTimeline: pixelAnalysis.dataLayerTimeline,
+        tealium: pixelAnalysis.tealium,
         networkActivity: {
           totalRequests: requests.length,
           marketingRequests: marketingRequests.length,
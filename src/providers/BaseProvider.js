@@ -170,6 +170,20 @@ export default class BaseProvider {
         };
     }
 
+    /**
+     * Parse a request into one or more beacons. Most providers send a single
+     * beacon per request; providers that batch several hits into one request
+     * override this to return one parsed beacon per hit.
+     *
+     * @param {string}  rawUrl      A URL to check against
+     * @param {string}  postData    POST data, if applicable
+     *
+     * @return {Array} Results of parseUrl, one per beacon
+     */
+    parseBeacons(rawUrl, postData = "") {
+        return [this.parseUrl(rawUrl, postData)];
+    }
+
     /**
      * Parse any POST data into param key/value pairs
      *
@@ -252,6 +266,42 @@ export default class BaseProvider {
         }
     }
 
+    /**
+     * Describe a hashed identifier (e.g. an email or phone number hashed for
+     * advanced matching), warning when the value does not look hashed
+     *
+     * @param {string}  key
+     * @param {string}  field
+     * @param {string}  value
+     * @param {string}  group
+     *
+     * @returns {Array}
+     */
+    handleHashedIdentifier(key, field, value, group = "general") {
+        const hashes = {
+            "32": "MD5",
+            "40": "SHA-1",
+            "64": "SHA-256"
+        };
+        const hash = /^[a-f0-9]+$/i.test(value) ? hashes[String(value).length] : null;
+        const results = [{
+            "key": key,
+            "field": field,
+            "value": hash ? `${value} (${hash})` : "********",
+            "group": group
+        }];
+
+        if (!hash && value) {
+            results.push({
+                "key": "omnibug_warning",
+                "field": "Warning",
+                "value": `${field} (${key}) is not hashed`,
+                "group": group
+            });
+        }
+        return results;
+    }
+
     /**
      * Parse custom properties for a given URL
      *
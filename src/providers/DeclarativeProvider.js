@@ -0,0 +1,251 @@
+/**
+ * Declarative Provider
+ * Builds a provider from a JSON/YAML definition instead of code:
+ *
+ *   key: SNAPCHAT
+ *   name: Snap Pixel
+ *   type: marketing
+ *   pattern: "tr\\.snapchat\\.com/p"
+ *   account: pid
+ *   groups:
+ *     - { key: general, name: General }
+ *   params:
+ *     pid: { name: Pixel ID, group: general }
+ *     ev: Event
+ *   paramPatterns:
+ *     "^cd\\[(\\w+)\\]$": { name: "Custom Data ($1)", group: custom }
+ *   requestType:
+ *     param: ev
+ *     map: { PAGE_VIEW: Page View }
+ *     default: Other
+ *   samples:
+ *     - url: https://tr.snapchat.com/p?pid=123&ev=PAGE_VIEW
+ *       expect: { requestType: Page View, fields: { pid: "123" } }
+ *
+ * @class
+ * @extends BaseProvider
+ */
+import { readFile } from 'fs/promises';
+import yaml from 'js-yaml';
+import BaseProvider from './BaseProvider.js';
+
+// Accept both internal type keys and their display names ("Tag Manager")
+const PROVIDER_TYPES = {
+    "analytics": "analytics",
+    "customer engagement": "customer",
+    "ux testing": "testing",
+    "tag manager": "tagmanager",
+    "visitor identification": "visitorid",
+    "marketing": "marketing",
+    "session replay/heat maps": "replay"
+};
+
+/**
+ * Compile a regular expression from a definition
+ *
+ * @param {string} key - Definition key, for the error message
+ * @param {string} source - Pattern source
+ * @param {string} flags - Pattern flags
+ * @returns {RegExp}
+ */
+function compilePattern(key, source, flags = "") {
+    try {
+        return new RegExp(source, flags || "");
+    } catch (e) {
+        throw new Error(`Invalid pattern for ${key}: ${e.message}`);
+    }
+}
+
+export default class DeclarativeProvider extends BaseProvider {
+    /**
+     * @param {Object} definition - Provider definition
+     */
+    constructor(definition) {
+        super();
+        if (!definition || typeof definition !== "object") {
+            throw new Error("Provider definition must be an object");
+        }
+        if (!definition.key || !definition.name || !definition.pattern) {
+            throw new Error("Provider definition requires key, name and pattern");
+        }
+
+        const type = String(definition.type || "analytics").toLowerCase();
+        const typeKey = Object.values(PROVIDER_TYPES).includes(type) ? type : PROVIDER_TYPES[type];
+        if (!typeKey) {
+            throw new Error(`Unknown provider type "${definition.type}" for ${definition.key}`);
+        }
+
+        this._key = String(definition.key).toUpperCase();
+        this._name = definition.name;
+        this._type = typeKey;
+        this._keywords = definition.keywords || [];
+        // The registry joins every pattern source into one case-insensitive
+        // regex, so other flags would be lost there (and g/y make test() stateful)
+        const patternFlags = String(definition.patternFlags || "");
+        if (!/^i?$/.test(patternFlags)) {
+            throw new Error(`Invalid patternFlags "${patternFlags}" for ${definition.key}: only "i" is supported`);
+        }
+        this._pattern = compilePattern(definition.key, definition.pattern, patternFlags);
+
+        this._definition = definition;
+        this._paramPatterns = Object.entries(definition.paramPatterns || {}).map(([source, param]) => {
+            return {
+                "regex": compilePattern(definition.key, source),
+                "param": this.normalizeParam(param)
+            };
+        });
+        this._requestTypePath = definition.requestType && definition.requestType.path
+            ? compilePattern(definition.key, definition.requestType.path)
+            : null;
+    }
+
+    /**
+     * The definition this provider was built from
+     *
+     * @returns {Object}
+     */
+    get definition() {
+        return this._definition;
+    }
+
+    /**
+     * Retrieve the column mappings for default columns (account, event type)
+     *
+     * @return {{}}
+     */
+    get columnMapping() {
+        return {
+            "account": this._definition.account || "",
+            "requestType": "requestType"
+        };
+    }
+
+    /**
+     * Retrieve the group names & order
+     *
+     * @returns {*[]}
+     */
+    get groups() {
+        return this._definition.groups || [
+            {
+                "key": "general",
+                "name": "General"
+            }
+        ];
+    }
+
+    /**
+     * Get all of the available URL parameter keys
+     *
+     * @returns {{}}
+     */
+    get keys() {
+        const keys = {};
+        Object.entries(this._definition.params || {}).forEach(([name, param]) => {
+            keys[name] = this.normalizeParam(param);
+        });
+        keys.requestType = { "hidden": true };
+        return keys;
+    }
+
+    /**
+     * Expand the "name" shorthand of a parameter definition
+     *
+     * @param {string|Object} param
+     *
+     * @returns {{}}
+     */
+    normalizeParam(param) {
+        return typeof param === "string" ? { "name": param, "group": "general" } : { ...param };
+    }
+
+    /**
+     * Parse a given URL parameter, falling back to the parameter patterns
+     *
+     * @param {string}  name
+     * @param {string}  value
+     * @returns {{}}
+     */
+    handleQueryParam(name, value) {
+        if (!this.keys[name]) {
+            for (const { regex, param } of this._paramPatterns) {
+                const match = name.match(regex);
+                if (match) {
+                    if (param.hidden) {
+                        return;
+                    }
+                    return {
+                        "key": name,
+                        "field": param.name ? name.replace(regex, param.name) : name,
+                        "value": value,
+                        "group": param.group || "other"
+                    };
+                }
+            }
+        }
+        return super.handleQueryParam(name, value);
+    }
+
+    /**
+     * Parse custom properties for a given URL
+     *
+     * @param    {URL}     url
+     * @param    {URLSearchParams}   params
+     *
+     * @returns {Array}
+     */
+    handleCustom(url, params) {
+        const rule = typeof this._definition.requestType === "string"
+            ? { "param": this._definition.requestType }
+            : this._definition.requestType || {};
+        let requestType = rule.default || "Other";
+
+        if (rule.param && params.has(rule.param)) {
+            const value = params.get(rule.param);
+            requestType = (rule.map && rule.map[value]) || value;
+        } else if (this._requestTypePath) {
+            // Take the request type from a path capture group instead
+            const match = url.pathname.match(this._requestTypePath);
+            if (match) {
+                requestType = (rule.map && rule.map[match[1]]) || match[1] || requestType;
+            }
+        }
+
+        return [{
+            "key": "requestType",
+            "value": requestType,
+            "hidden": true
+        }];
+    }
+}
+
+/**
+ * Load provider definitions from a JSON/YAML file or inline JSON/YAML content.
+ * A document may hold one definition, an array, or { providers: [...] }.
+ *
+ * @param {Object} source - Where to read the definitions from
+ * @param {string} source.definitionPath - Path to a JSON or YAML file
+ * @param {string} source.definition - Inline JSON or YAML content
+ * @returns {Promise<Array>} Provider definitions
+ */
+export async function loadProviderDefinitions({ definitionPath, definition } = {}) {
+    let content = definition;
+    if (definitionPath) {
+        try {
+            content = await readFile(definitionPath, "utf8");
+        } catch (error) {
+            throw new Error(`Unable to read provider definition ${definitionPath}: ${error.message}`);
+        }
+    }
+
+    if (!content) {
+        throw new Error("A provider definition is required (definitionPath or definition)");
+    }
+
+    const parsed = typeof content === "string" ? yaml.load(content) : content;
+    const definitions = Array.isArray(parsed) ? parsed : (Array.isArray(parsed?.providers) ? parsed.providers : [parsed]);
+    if (!definitions.every(item => item && typeof item === "object" && !Array.isArray(item))) {
+        throw new Error("Provider definitions must be objects");
+    }
+    return definitions;
+}
@@ -3,7 +3,12 @@
  * Adapted from Omnibug's OmnibugProvider
  */
 
+import { readFile, readdir } from 'fs/promises';
+import { dirname, resolve } from 'path';
+import { pathToFileURL } from 'url';
 import BaseProvider from './BaseProvider.js';
+import DeclarativeProvider, { loadProviderDefinitions } from './DeclarativeProvider.js';
+import { detectFirstPartyRequest } from '../analytics/firstPartyDetector.js';
 
 class ProviderRegistry {
     constructor() {
@@ -19,12 +24,147 @@ class ProviderRegistry {
      */
     addProvider(provider) {
         this.providers[provider.key] = provider;
-        this.defaultPatterns.push(provider.pattern);
+        this.updatePatterns();
+    }
+
+    /**
+     * Remove a provider from the registry
+     * 
+     * @param {string} key - Key of the provider to remove
+     * @returns {boolean} - True if a provider was removed
+     */
+    removeProvider(key) {
+        if (!Object.prototype.hasOwnProperty.call(this.providers, key)) {
+            return false;
+        }
+        delete this.providers[key];
+        this.updatePatterns();
+        return true;
+    }
+
+    /**
+     * Rebuild the combined pattern after providers are added, replaced or removed
+     */
+    updatePatterns() {
+        this.defaultPatterns = Object.values(this.providers).map(provider => provider.pattern);
         this.defaultPatternRegex = new RegExp(this.defaultPatterns.map(pattern => {
             return pattern.source;
         }).join("|"), "i");
     }
 
+    /**
+     * Build a provider from a declarative definition and register it
+     * 
+     * @param {Object} definition - Provider definition (see DeclarativeProvider)
+     * @returns {DeclarativeProvider} - The registered provider
+     */
+    addDefinition(definition) {
+        const provider = new DeclarativeProvider(definition);
+        this.addProvider(provider);
+        return provider;
+    }
+
+    /**
+     * Load extra provider modules, e.g. internal collectors, at startup.
+     * Each module's default export must be a class extending BaseProvider;
+     * .json/.yaml/.yml files hold declarative provider definitions.
+     * A config file is JSON of the form:
+     *   { "directory": "./providers", "modules": ["./acme.js"], "definitions": ["./snap.yaml"],
+     *     "disabledProviders": ["TWITTER"] }
+     * with paths relative to the config file.
+     * 
+     * @param {Object} options - Where to load providers from
+     * @param {string} options.directory - Directory of provider modules (.js/.mjs)
+     * @param {string} options.configPath - Path to a JSON provider config file
+     * @returns {Promise<Object>} - Loaded provider keys, disabled keys and per-file errors
+     */
+    async loadProviderModules({ directory, configPath } = {}) {
+        const result = { loaded: [], disabled: [], errors: [] };
+        let files = [],
+            directories = directory ? [resolve(directory)] : [],
+            disabledProviders = [];
+
+        if (configPath) {
+            const config = JSON.parse(await readFile(configPath, "utf8"));
+            const baseDir = dirname(resolve(configPath));
+            if (config.directory) {
+                directories.push(resolve(baseDir, config.directory));
+            }
+            files = (config.modules || []).concat(config.definitions || []).map(file => resolve(baseDir, file));
+            disabledProviders = config.disabledProviders || [];
+        }
+
+        for (const dir of directories) {
+            const entries = await readdir(dir);
+            files = files.concat(entries.filter(file => /\.(m?js|json|ya?ml)$/.test(file)).sort().map(file => resolve(dir, file)));
+        }
+
+        for (const file of files) {
+            if (/\.(json|ya?ml)$/.test(file)) {
+                try {
+                    for (const definition of await loadProviderDefinitions({ definitionPath: file })) {
+                        const replaced = Object.prototype.hasOwnProperty.call(this.providers, String(definition.key).toUpperCase());
+                        const provider = this.addDefinition(definition);
+                        result.loaded.push({ key: provider.key, name: provider.name, file, replaced });
+                    }
+                } catch (error) {
+                    result.errors.push({ file, error: error.message });
+                }
+                continue;
+            }
+
+            try {
+                const module = await import(pathToFileURL(file).href);
+                const ProviderClass = module.default;
+                if (typeof ProviderClass !== "function" || !(ProviderClass.prototype instanceof BaseProvider)) {
+                    throw new Error("Default export must be a class extending BaseProvider");
+                }
+                const provider = new ProviderClass();
+                if (!provider.key || !(provider.pattern instanceof RegExp)) {
+                    throw new Error("Provider must define _key and a RegExp _pattern");
+                }
+                const replaced = Object.prototype.hasOwnProperty.call(this.providers, provider.key);
+                this.addProvider(provider);
+                result.loaded.push({ key: provider.key, name: provider.name, file, replaced });
+            } catch (error) {
+                result.errors.push({ file, error: error.message });
+            }
+        }
+
+        for (const key of disabledProviders) {
+            if (this.removeProvider(key)) {
+                result.disabled.push(key);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Build the providerInfo map used by getPattern from a list of disabled keys
+     * 
+     * @param {Array<string>} disabledProviders - Provider keys to disable
+     * @returns {Object} - Map of provider keys to { enabled }
+     */
+    getProviderInfo(disabledProviders = []) {
+        const providerInfo = {};
+        disabledProviders.forEach((key) => {
+            providerInfo[key] = { enabled: false };
+        });
+        return providerInfo;
+    }
+
+    /**
+     * Check whether a provider is enabled for the given providerInfo
+     * 
+     * @param {string} key - Provider key
+     * @param {Object} providerInfo - Optional info about which providers to include
+     * @returns {boolean}
+     */
+    isEnabled(key, providerInfo = {}) {
+        return typeof providerInfo[key] === "undefined" || providerInfo[key].enabled;
+    }
+
     /**
      * Get all registered providers
      * 
@@ -80,7 +220,7 @@ class ProviderRegistry {
     getPattern(providerInfo = {}) {
         const patterns = [];
         Object.keys(this.providers).forEach((key) => {
-            if (typeof providerInfo[key] === "undefined" || providerInfo[key].enabled) {
+            if (this.isEnabled(key, providerInfo)) {
                 patterns.push(this.providers[key].pattern.source);
             }
         });
@@ -91,12 +231,14 @@ class ProviderRegistry {
      * Get all providers that match a specific URL
      * 
      * @param {string} url - URL to check
+     * @param {Object} providerInfo - Optional info about which providers to include
      * @returns {Array} - Array of matching providers
      */
-    getMatchingProviders(url) {
+    getMatchingProviders(url, providerInfo = {}) {
         const matches = [];
         for (const key in this.providers) {
             if (Object.prototype.hasOwnProperty.call(this.providers, key) && 
+                this.isEnabled(key, providerInfo) &&
                 this.providers[key].checkUrl(url)) {
                 matches.push(this.providers[key]);
             }
@@ -104,6 +246,28 @@ class ProviderRegistry {
         return matches;
     }
 
+    /**
+     * Get the providers for a request, falling back to vendor payload
+     * signatures when no URL pattern matches (e.g. first-party CNAME or
+     * server-side proxy endpoints)
+     * 
+     * @param {string} url - URL to check
+     * @param {string} postData - POST data, if applicable
+     * @param {Object} providerInfo - Optional info about which providers to include
+     * @returns {Array} - Array of matching providers
+     */
+    getProvidersForRequest(url, postData = "", providerInfo = {}) {
+        const matches = this.getMatchingProviders(url, providerInfo);
+        if (matches.length) {
+            return matches;
+        }
+
+        const signature = detectFirstPartyRequest({ url, postData });
+        const provider = signature?.providerKey && this.isEnabled(signature.providerKey, providerInfo) &&
+            this.providers[signature.providerKey];
+        return provider ? [provider] : [];
+    }
+
     /**
      * Parse a URL with all matching providers
      * 
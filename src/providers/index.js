@@ -17,6 +17,13 @@ import PinterestProvider from './platforms/Pinterest.js';
 import LinkedInProvider from './platforms/LinkedIn.js';
 import TwitterProvider from './platforms/Twitter.js';
 import MicrosoftClarityProvider from './platforms/MicrosoftClarity.js';
+import SnapPixelProvider from './platforms/SnapPixel.js';
+import RedditPixelProvider from './platforms/RedditPixel.js';
+import QuoraPixelProvider from './platforms/QuoraPixel.js';
+import CriteoOneTagProvider from './platforms/CriteoOneTag.js';
+import GoogleAdsProvider from './platforms/GoogleAds.js';
+import FloodlightProvider from './platforms/Floodlight.js';
+import TealiumProvider from './platforms/Tealium.js';
 
 // Initialize and register all providers
 function initializeProviders() {
@@ -33,6 +40,13 @@ function initializeProviders() {
     registry.addProvider(new LinkedInProvider());
     registry.addProvider(new TwitterProvider());
     registry.addProvider(new MicrosoftClarityProvider());
+    registry.addProvider(new SnapPixelProvider());
+    registry.addProvider(new RedditPixelProvider());
+    registry.addProvider(new QuoraPixelProvider());
+    registry.addProvider(new CriteoOneTagProvider());
+    registry.addProvider(new GoogleAdsProvider());
+    registry.addProvider(new FloodlightProvider());
+    registry.addProvider(new TealiumProvider());
     
     // Return the registry for use in tools
     return registry;
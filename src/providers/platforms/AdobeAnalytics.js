@@ -276,6 +276,70 @@ export default class AdobeAnalyticsProvider extends BaseProvider {
         };
     }
 
+    /**
+     * Friendly names for the Media Analytics context data (a.media.*)
+     *
+     * @returns {{}}
+     */
+    get mediaKeys() {
+        return {
+            "name": "Content ID",
+            "friendlyName": "Content Name",
+            "length": "Content Length",
+            "playerName": "Player Name",
+            "channel": "Channel",
+            "contentType": "Content Type",
+            "streamType": "Stream Type",
+            "vsid": "Media Session ID",
+            "view": "Content Start",
+            "play": "Content Play",
+            "timePlayed": "Content Time Spent",
+            "complete": "Content Complete",
+            "resume": "Content Resume",
+            "segment": "Content Segment",
+            "segmentView": "Content Segment View",
+            "progress10": "Content 10% Progress Marker",
+            "progress25": "Content 25% Progress Marker",
+            "progress50": "Content 50% Progress Marker",
+            "progress75": "Content 75% Progress Marker",
+            "progress95": "Content 95% Progress Marker",
+            "sdkVersion": "Media SDK Version",
+            "ad.name": "Ad ID",
+            "ad.friendlyName": "Ad Name",
+            "ad.length": "Ad Length",
+            "ad.playerName": "Ad Player Name",
+            "ad.pod": "Ad Break ID",
+            "ad.podFriendlyName": "Ad Break Name",
+            "ad.podIndex": "Ad Break Index",
+            "ad.podPosition": "Ad Position in Break",
+            "ad.podSecond": "Ad Break Offset",
+            "ad.view": "Ad Start",
+            "ad.timePlayed": "Ad Time Spent",
+            "ad.complete": "Ad Complete",
+            "chapter.friendlyName": "Chapter Name",
+            "chapter.index": "Chapter Position",
+            "chapter.length": "Chapter Length",
+            "chapter.offset": "Chapter Offset",
+            "chapter.view": "Chapter Start",
+            "chapter.timePlayed": "Chapter Time Spent",
+            "chapter.complete": "Chapter Complete"
+        };
+    }
+
+    /**
+     * Friendly names for the Activity Map context data (a.activitymap.*)
+     *
+     * @returns {{}}
+     */
+    get activityMapKeys() {
+        return {
+            "page": "Activity Map Page",
+            "link": "Activity Map Link",
+            "region": "Activity Map Region",
+            "pageIDType": "Activity Map Page ID Type"
+        };
+    }
+
     /**
      * Parse a given URL into human-readable output
      *
@@ -317,7 +381,7 @@ export default class AdobeAnalyticsProvider extends BaseProvider {
             }
         }
 
-        data = data.concat(this.handleCustom(url, params));
+        data = data.concat(this.handleCustom(url, params), this.handleContextData(data));
 
         return {
             "provider": {
@@ -370,16 +434,18 @@ export default class AdobeAnalyticsProvider extends BaseProvider {
                 "group": "listvar"
             };
         } else if (name.indexOf(".a.media.") > 0) {
+            const mediaKey = name.slice(name.indexOf(".a.media.") + 9);
             result = {
                 "key": name,
-                "field": name.split(".").pop(),
+                "field": this.mediaKeys[mediaKey] || mediaKey,
                 "value": value,
                 "group": "media"
             };
         } else if (name.indexOf(".a.activitymap.") > 0) {
+            const activityKey = name.slice(name.indexOf(".a.activitymap.") + 15);
             result = {
                 "key": name,
-                "field": name.split(".").pop(),
+                "field": this.activityMapKeys[activityKey] || activityKey,
                 "value": value,
                 "group": "activity"
             };
@@ -391,9 +457,10 @@ export default class AdobeAnalyticsProvider extends BaseProvider {
                 "group": "customerid"
             };
         } else if (name.indexOf(".") > 0) {
+            // Context data, listed by its dotted path (c.a.page.name => a.page.name)
             result = {
                 "key": name,
-                "field": name.replace("c.", ""),
+                "field": name.replace(/^c\./, ""),
                 "value": value,
                 "group": "context"
             };
@@ -482,6 +549,254 @@ export default class AdobeAnalyticsProvider extends BaseProvider {
             "value": requestType,
             "hidden": true
         });
+        return results.concat(this.handleCommerce(params));
+    }
+
+    /**
+     * Rebuild the Activity Map click from the stacked context data params
+     *
+     * @param {Array}   data    Parsed params, with context data keys already stacked
+     *
+     * @returns {Array}
+     */
+    handleContextData(data) {
+        const prefix = "c.a.activitymap.",
+            activityMap = {};
+
+        data.filter((item) => item.key.indexOf(prefix) === 0).forEach((item) => {
+            activityMap[item.key.slice(prefix.length)] = item.value;
+        });
+
+        if (!Object.keys(activityMap).length) {
+            return [];
+        }
+
+        const pageIDTypes = {
+            "0": "Page Name",
+            "1": "Page URL"
+        };
+        return [{
+            "key": "omnibug_activityMap",
+            "field": "Activity Map Click",
+            "value": {
+                "link": activityMap.link || null,
+                "region": activityMap.region || null,
+                "page": activityMap.page || null,
+                "pageIDType": pageIDTypes[activityMap.pageIDType] || activityMap.pageIDType || null
+            },
+            "group": "activity"
+        }];
+    }
+
+    /**
+     * Parse the events list (e.g. "purchase,event1=5,event2:ABC123") into event objects
+     *
+     * @param {string}  value
+     *
+     * @returns {{events: Array, warnings: Array}}
+     */
+    parseEvents(value) {
+        const standardEvents = ["prodView", "scOpen", "scAdd", "scRemove", "scView", "scCheckout", "purchase"];
+        let events = [],
+            warnings = [],
+            seen = {};
+
+        String(value || "").split(",").forEach((entry) => {
+            entry = entry.trim();
+            if (!entry) {
+                warnings.push(`Empty entry in events list "${value}"`);
+                return;
+            }
+
+            const match = entry.match(/^([^=:]+)(?::([^=]*))?(?:=(.*))?$/);
+            if (!match) {
+                warnings.push(`Malformed event "${entry}"`);
+                return;
+            }
+
+            const [, name, serial, eventValue] = match;
+            let event = {
+                "name": name
+            };
+
+            if (!standardEvents.includes(name) && !/^event([1-9]\d{0,3})$/.test(name)) {
+                warnings.push(`Unknown event name "${name}"`);
+            } else if (/^event(\d+)$/.test(name) && Number(RegExp.$1) > 1000) {
+                warnings.push(`Event number out of range in "${name}" (event1-event1000)`);
+            }
+
+            if (serial !== undefined) {
+                event.serial = serial;
+                if (!/^[a-z0-9]{1,20}$/i.test(serial)) {
+                    warnings.push(`Serial ID for ${name} must be 1-20 alphanumeric characters, got "${serial}"`);
+                }
+            }
+
+            if (eventValue !== undefined) {
+                if (eventValue === "" || isNaN(eventValue)) {
+                    warnings.push(`Value for ${name} is not a number: "${eventValue}"`);
+                    event.value = eventValue;
+                } else {
+                    event.value = Number(eventValue);
+                    // Decimal values are only valid for currency events
+                    event.valueType = /\./.test(eventValue) ? "currency" : "numeric";
+                }
+            } else {
+                event.valueType = "counter";
+            }
+
+            const dedupeKey = `${name}:${serial || ""}`;
+            if (seen[dedupeKey] && serial === undefined) {
+                warnings.push(`Event ${name} is set more than once`);
+            }
+            seen[dedupeKey] = true;
+
+            events.push(event);
+        });
+
+        return {events, warnings};
+    }
+
+    /**
+     * Parse the products string ("category;product;quantity;price;events;eVars",
+     * comma separated, with "|" separating merchandising events and eVars)
+     *
+     * @param {string}  value
+     *
+     * @returns {{products: Array, warnings: Array}}
+     */
+    parseProducts(value) {
+        let products = [],
+            warnings = [];
+
+        String(value || "").split(",").forEach((entry, index) => {
+            const position = index + 1;
+            if (!entry.trim()) {
+                warnings.push(`Product ${position} is empty`);
+                return;
+            }
+
+            const fields = entry.split(";");
+            if (fields.length > 6) {
+                warnings.push(`Product ${position} has ${fields.length} fields; expected at most 6 (category;product;quantity;price;events;eVars)`);
+            }
+
+            const [category = "", name = "", quantity = "", price = "", eventList = "", eVarList = ""] = fields;
+            let product = {
+                "category": category,
+                "product": name,
+                "quantity": null,
+                "price": null,
+                "events": [],
+                "eVars": {}
+            };
+
+            if (!name) {
+                warnings.push(`Product ${position} has no product name`);
+            }
+
+            if (quantity !== "") {
+                product.quantity = Number(quantity);
+                if (isNaN(quantity) || !Number.isInteger(product.quantity)) {
+                    warnings.push(`Product ${position} (${name}) quantity is not a whole number: "${quantity}"`);
+                    product.quantity = quantity;
+                }
+            }
+
+            if (price !== "") {
+                product.price = Number(price);
+                if (isNaN(price)) {
+                    warnings.push(`Product ${position} (${name}) price is not a number: "${price}"`);
+                    product.price = price;
+                }
+            }
+
+            eventList.split("|").filter(Boolean).forEach((productEvent) => {
+                const [eventName, eventValue] = productEvent.split("=");
+                let event = {
+                    "name": eventName
+                };
+                if (!/^event\d+$/.test(eventName)) {
+                    warnings.push(`Product ${position} (${name}) has an invalid merchandising event "${productEvent}"`);
+                }
+                if (eventValue !== undefined) {
+                    event.value = isNaN(eventValue) || eventValue === "" ? eventValue : Number(eventValue);
+                    if (typeof event.value !== "number") {
+                        warnings.push(`Product ${position} (${name}) event ${eventName} value is not a number: "${eventValue}"`);
+                    }
+                }
+                product.events.push(event);
+            });
+
+            eVarList.split("|").filter(Boolean).forEach((productEVar) => {
+                const separator = productEVar.indexOf("="),
+                    eVarName = separator > -1 ? productEVar.slice(0, separator) : productEVar,
+                    eVarValue = separator > -1 ? productEVar.slice(separator + 1) : "";
+                if (!/^eVar\d+$/i.test(eVarName) || separator === -1) {
+                    warnings.push(`Product ${position} (${name}) has an invalid merchandising eVar "${productEVar}"`);
+                }
+                product.eVars[eVarName] = eVarValue;
+            });
+
+            products.push(product);
+        });
+
+        return {products, warnings};
+    }
+
+    /**
+     * Add the parsed events list and products string, with validation warnings
+     *
+     * @param    {URLSearchParams}   params
+     *
+     * @returns {Array}
+     */
+    handleCommerce(params) {
+        let results = [],
+            warnings = [],
+            events = [];
+
+        if (params.has("events")) {
+            const parsed = this.parseEvents(params.get("events"));
+            events = parsed.events;
+            warnings = warnings.concat(parsed.warnings);
+            results.push({
+                "key": "omnibug_events",
+                "field": "Events (parsed)",
+                "value": events,
+                "group": "general"
+            });
+        }
+
+        if (params.has("products")) {
+            const parsed = this.parseProducts(params.get("products"));
+            warnings = warnings.concat(parsed.warnings);
+
+            // Merchandising events only count when they are also set in the events list
+            const eventNames = events.map((event) => event.name);
+            parsed.products.forEach((product, index) => {
+                product.events
+                    .filter((event) => /^event\d+$/.test(event.name) && !eventNames.includes(event.name))
+                    .forEach((event) => warnings.push(`Product ${index + 1} (${product.product}) sets ${event.name}, which is missing from the events list`));
+            });
+
+            results.push({
+                "key": "omnibug_products",
+                "field": "Products (parsed)",
+                "value": parsed.products,
+                "group": "general"
+            });
+        }
+
+        warnings.forEach((warning) => {
+            results.push({
+                "key": "omnibug_warning",
+                "field": "Warning",
+                "value": warning,
+                "group": "general"
+            });
+        });
+
         return results;
     }
 }
\ No newline at end of file
@@ -8,7 +8,9 @@ class AdobeWebSdkProvider extends BaseProvider {
     constructor() {
         super();
         this._key = "ADOBEWEBSDK";
-        this._pattern = /\/(ee|edge|interact|collect)\/v1\/interact/;
+        // Matches /ee/v1/interact, /ee/v1/collect (sendBeacon), /ee/v2/* and regional
+        // paths such as /ee/irl1/v1/interact, on Adobe or first-party CNAME hosts
+        this._pattern = /\/(ee|edge|interact|collect)\/(?:[a-z]{2,4}\d+\/)?v[12]\/(interact|collect|privacy\/set-consent)/;
         this._name = "Adobe Experience Platform Web SDK";
         this._type = "analytics";
         this._keywords = ["aep", "alloy", "xdm", "web sdk"];
@@ -67,7 +69,13 @@ class AdobeWebSdkProvider extends BaseProvider {
     parseUrl(rawUrl, postData = "") {
         let data = [];
         const url = new URL(rawUrl);
-        let requestType = "Interact";
+        const endpoint = url.pathname.match(/\/(?:([a-z]{2,4}\d+)\/)?(v[12])\/(interact|collect|privacy\/set-consent)/) || [];
+        const requestTypes = {
+            "interact": "Interact",
+            "collect": "Collect",
+            "privacy/set-consent": "Set Consent"
+        };
+        const requestType = requestTypes[endpoint[3]] || "Interact";
 
         // Get basic URL data
         data.push({
@@ -85,6 +93,49 @@ class AdobeWebSdkProvider extends BaseProvider {
             "group": "general"
         });
 
+        data.push({
+            "key": "endpointType",
+            "field": "Endpoint Type",
+            "value": `${endpoint[2] || "v1"}/${endpoint[3] || "interact"}`,
+            "group": "general"
+        });
+
+        if (endpoint[1]) {
+            data.push({
+                "key": "edgeRegion",
+                "field": "Edge Region",
+                "value": endpoint[1],
+                "group": "general"
+            });
+        }
+
+        // Requests to a host outside Adobe's domains go through a first-party CNAME
+        data.push({
+            "key": "firstPartyDomain",
+            "field": "First-Party Domain",
+            "value": String(!/(^|\.)(adobedc\.net|demdex\.net|adobe\.io)$/.test(url.hostname)),
+            "group": "general"
+        });
+
+        // The datastream ID travels in the query string
+        const urlConfigId = url.searchParams.get("configId");
+        if (urlConfigId) {
+            data.push({
+                "key": "configId",
+                "field": "Configuration ID",
+                "value": urlConfigId,
+                "group": "general"
+            });
+        }
+        if (url.searchParams.get("requestId")) {
+            data.push({
+                "key": "requestId",
+                "field": "Request ID",
+                "value": url.searchParams.get("requestId"),
+                "group": "general"
+            });
+        }
+
         // Parse the POST data for Alloy requests
         if (postData) {
             try {
@@ -93,7 +144,7 @@ class AdobeWebSdkProvider extends BaseProvider {
                     JSON.parse(postData) : postData;
                 
                 // Process the POST data
-                data = data.concat(this.processPostData(postDataObj));
+                data = data.concat(this.processPostData(postDataObj, urlConfigId));
             } catch (e) {
                 data.push({
                     "key": "error",
@@ -127,59 +178,202 @@ class AdobeWebSdkProvider extends BaseProvider {
      * Process POST data from the Alloy request
      * 
      * @param {Object} postData - The parsed POST data
+     * @param {string} urlConfigId - Datastream ID from the request URL, if any
      * @return {Array} An array of parsed data items
      */
-    processPostData(postData) {
-        const results = [];
+    processPostData(postData, urlConfigId = null) {
+        let results = [];
 
-        // Extract events array
-        if (postData.events && Array.isArray(postData.events)) {
-            const eventData = postData.events;
-            
-            // Add config ID if available
-            if (postData.configId) {
+        // Add config ID if available
+        if (postData.configId && !urlConfigId) {
+            results.push({
+                "key": "configId",
+                "field": "Configuration ID",
+                "value": postData.configId,
+                "group": "general"
+            });
+        }
+
+        const events = Array.isArray(postData.events) ? postData.events : [];
+
+        // Process each event
+        events.forEach((event, index) => {
+            // Add event type
+            if (event.eventType || event.xdm?.eventType) {
                 results.push({
-                    "key": "configId",
-                    "field": "Configuration ID",
-                    "value": postData.configId,
+                    "key": `events[${index}].eventType`,
+                    "field": `Event Type (${index})`,
+                    "value": event.eventType || event.xdm.eventType,
                     "group": "general"
                 });
             }
 
-            // Process each event
-            eventData.forEach((event, index) => {
-                // Add event type
-                if (event.eventType) {
-                    results.push({
-                        "key": `events[${index}].eventType`,
-                        "field": `Event Type (${index})`,
-                        "value": event.eventType,
-                        "group": "general"
-                    });
-                }
+            // Process XDM data
+            if (event.xdm) {
+                const xdmResults = this.processXdmObject(event.xdm, `events[${index}].xdm`, 0);
+                results.push(...xdmResults);
+            }
 
-                // Process XDM data
-                if (event.xdm) {
-                    const xdmResults = this.processXdmObject(event.xdm, `events[${index}].xdm`, 0);
-                    results.push(...xdmResults);
-                }
+            // Process data
+            if (event.data) {
+                const dataResults = this.processXdmObject(event.data, `events[${index}].data`, 0);
+                results.push(...dataResults);
+            }
 
-                // Process data
-                if (event.data) {
-                    const dataResults = this.processXdmObject(event.data, `events[${index}].data`, 0);
-                    results.push(...dataResults);
-                }
+            // Meta & query data
+            if (event.meta) {
+                const metaResults = this.processXdmObject(event.meta, `events[${index}].meta`, 0);
+                results.push(...metaResults);
+            }
 
-                // Meta & query data
-                if (event.meta) {
-                    const metaResults = this.processXdmObject(event.meta, `events[${index}].meta`, 0);
-                    results.push(...metaResults);
-                }
+            if (event.query) {
+                const queryResults = this.processXdmObject(event.query, `events[${index}].query`, 0);
+                results.push(...queryResults);
+            }
+        });
+
+        // Request-level XDM and meta (e.g. meta.state, the Edge cookie state)
+        if (postData.xdm) {
+            results = results.concat(this.processXdmObject(postData.xdm, "xdm", 0));
+        }
+        if (postData.meta) {
+            results = results.concat(this.processXdmObject(postData.meta, "meta", 0));
+        }
+
+        return results.concat(this.decodeEdgeRequest(postData), this.decodeDatastream(postData, urlConfigId));
+    }
 
-                if (event.query) {
-                    const queryResults = this.processXdmObject(event.query, `events[${index}].query`, 0);
-                    results.push(...queryResults);
+    /**
+     * Decode the datastream the request was sent to and any configuration overrides
+     * 
+     * @param {Object} postData - The parsed POST data
+     * @param {string} urlConfigId - Datastream ID from the request URL, if any
+     * @return {Array} Structured data items
+     */
+    decodeDatastream(postData, urlConfigId = null) {
+        const meta = postData.meta || {};
+        const overrides = meta.configOverrides || null;
+        const edgeConfigId = urlConfigId || postData.configId || null;
+
+        // A datastream ID override sends the hit to another datastream and
+        // reports the configured one in meta.sdkConfig.datastream.original
+        const originalId = meta.sdkConfig?.datastream?.original || null;
+
+        if (!edgeConfigId && !overrides && !originalId) {
+            return [];
+        }
+
+        // Sandboxes are not part of the request itself, but overrides may name one
+        const findSandbox = (obj, depth = 0) => {
+            if (!obj || typeof obj !== "object" || depth > 5) {
+                return null;
+            }
+            for (const [key, value] of Object.entries(obj)) {
+                if (/sandbox/i.test(key) && typeof value === "string") {
+                    return value;
+                }
+                const nested = findSandbox(value, depth + 1);
+                if (nested) {
+                    return nested;
                 }
+            }
+            return null;
+        };
+
+        const results = [{
+            "key": "omnibug_datastream",
+            "field": "Datastream",
+            "value": {
+                "edgeConfigId": edgeConfigId,
+                "originalConfigId": originalId,
+                "overridden": Boolean(overrides) || Boolean(originalId && originalId !== edgeConfigId),
+                "sandbox": findSandbox(overrides),
+                "reportSuites": overrides?.com_adobe_analytics?.reportSuites || null,
+                "eventDataset": overrides?.com_adobe_experience_platform?.datasets?.event?.datasetId || null,
+                "profileDataset": overrides?.com_adobe_experience_platform?.datasets?.profile?.datasetId || null,
+                "targetPropertyToken": overrides?.com_adobe_target?.propertyToken || null,
+                "idSyncContainerId": overrides?.com_adobe_identity?.idSyncContainerId ?? null,
+                "configOverrides": overrides
+            },
+            "group": "general"
+        }];
+
+        if (edgeConfigId) {
+            results.push({
+                "key": "edgeConfigId",
+                "field": "Datastream ID (edgeConfigId)",
+                "value": edgeConfigId,
+                "group": "general"
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Decode the Edge Network request into structured events, identities and state
+     * 
+     * @param {Object} postData - The parsed POST data
+     * @return {Array} Structured data items
+     */
+    decodeEdgeRequest(postData) {
+        const results = [];
+        const events = Array.isArray(postData.events) ? postData.events : [];
+        let identityMap = {};
+
+        // Merge identity maps from the request and each event, keeping every ID
+        const addIdentities = (map) => {
+            Object.entries(map || {}).forEach(([namespace, ids]) => {
+                identityMap[namespace] = (identityMap[namespace] || []).concat(Array.isArray(ids) ? ids : [ids]);
+            });
+        };
+        addIdentities(postData.xdm?.identityMap);
+
+        const decodedEvents = events.map((event, index) => {
+            const xdm = event.xdm || {};
+            addIdentities(xdm.identityMap);
+            // The full xdm and data are already listed as events[i].* rows
+            return {
+                "index": index,
+                "eventType": event.eventType || xdm.eventType || null,
+                "webPageDetails": xdm.web?.webPageDetails || null
+            };
+        });
+
+        if (decodedEvents.length) {
+            results.push({
+                "key": "omnibug_events",
+                "field": "Events (decoded)",
+                "value": decodedEvents,
+                "group": "xdm"
+            });
+        }
+
+        const eventTypes = decodedEvents.map((event) => event.eventType).filter(Boolean);
+        if (eventTypes.length) {
+            results.push({
+                "key": "omnibug_eventTypes",
+                "field": "Event Types",
+                "value": eventTypes,
+                "group": "general"
+            });
+        }
+
+        if (Object.keys(identityMap).length) {
+            results.push({
+                "key": "omnibug_identityMap",
+                "field": "Identity Map",
+                "value": identityMap,
+                "group": "identity"
+            });
+        }
+
+        if (postData.meta?.state) {
+            results.push({
+                "key": "omnibug_metaState",
+                "field": "Edge State (meta.state)",
+                "value": postData.meta.state,
+                "group": "general"
             });
         }
 
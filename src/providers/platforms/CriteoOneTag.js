@@ -0,0 +1,255 @@
+/**
+ * Criteo OneTag
+ * https://help.criteo.com/kb/guide/en/all-criteo-onetag-events-and-parameters-vZbzbEeY86/
+ *
+ * @class
+ * @extends BaseProvider
+ */
+import BaseProvider from '../BaseProvider.js';
+
+export default class CriteoOneTagProvider extends BaseProvider {
+    constructor() {
+        super();
+        this._key = "CRITEO";
+        this._pattern = /\/\/(?:ssl)?widget\.criteo\.(?:com|net)\/event(?:[?#]|$)/;
+        this._name = "Criteo OneTag";
+        this._type = "marketing";
+        this._keywords = ["criteo", "onetag", "criteo_q"];
+    }
+
+    /**
+     * Retrieve the column mappings for default columns (account, event type)
+     *
+     * @return {{}}
+     */
+    get columnMapping() {
+        return {
+            "account": "a",
+            "requestType": "requestType"
+        };
+    }
+
+    /**
+     * Retrieve the group names & order
+     *
+     * @returns {*[]}
+     */
+    get groups() {
+        return [
+            {
+                "key": "general",
+                "name": "General"
+            },
+            {
+                "key": "events",
+                "name": "Events"
+            },
+            {
+                "key": "user",
+                "name": "User Data"
+            }
+        ];
+    }
+
+    /**
+     * Map of OneTag event codes (the "e" value of each pN parameter) to readable names
+     *
+     * @returns {{}}
+     */
+    get events() {
+        return {
+            "vh": "View Home",
+            "vl": "View List",
+            "vp": "View Item",
+            "vb": "View Basket",
+            "vc": "Track Transaction",
+            "vs": "View Search",
+            "dis": "Visit",
+            "exd": "Set Site Type",
+            "ce": "Set Email"
+        };
+    }
+
+    /**
+     * Get all of the available URL parameter keys
+     *
+     * @returns {{}}
+     */
+    get keys() {
+        return {
+            "a": {
+                "name": "Account ID",
+                "group": "general"
+            },
+            "v": {
+                "name": "OneTag Version",
+                "group": "general"
+            },
+            "tld": {
+                "name": "Top-Level Domain",
+                "group": "general"
+            },
+            "fu": {
+                "name": "Page URL",
+                "group": "general"
+            },
+            "pu": {
+                "name": "Previous URL",
+                "group": "general"
+            },
+            "ceid": {
+                "name": "Criteo Event ID",
+                "group": "general"
+            },
+            "dtycbr": {
+                "name": "Cache Buster",
+                "group": "general"
+            },
+            "requestType": {
+                "hidden": true
+            }
+        };
+    }
+
+    /**
+     * Parse a given URL parameter into human-readable form
+     *
+     * @param {string}  name
+     * @param {string}  value
+     *
+     * @returns {void|{}}
+     */
+    handleQueryParam(name, value) {
+        // Events are decoded in handleCustom
+        if (/^p\d+$/.test(name)) {
+            return;
+        }
+        return super.handleQueryParam(name, value);
+    }
+
+    /**
+     * Split an event's query string into pairs, keeping "&" inside [...] lists
+     *
+     * @param {string}  value
+     *
+     * @returns {Array}
+     */
+    splitEventParams(value) {
+        let pairs = [],
+            current = "",
+            depth = 0;
+        for (const char of String(value)) {
+            if (char === "[") {
+                depth++;
+            } else if (char === "]") {
+                depth = Math.max(0, depth - 1);
+            }
+            if (char === "&" && depth === 0) {
+                pairs.push(current);
+                current = "";
+            } else {
+                current += char;
+            }
+        }
+        pairs.push(current);
+        return pairs.filter(Boolean).map((pair) => {
+            const index = pair.indexOf("=");
+            return index === -1 ? [pair, ""] : [pair.slice(0, index), pair.slice(index + 1)];
+        });
+    }
+
+    /**
+     * Decode the product list of viewList/viewBasket/trackTransaction events,
+     * e.g. "[i=SKU1&pr=10.5&q=2,i=SKU2&pr=5&q=1]" or "[SKU1,SKU2]"
+     *
+     * @param {string}  value
+     *
+     * @returns {Array}
+     */
+    decodeProducts(value) {
+        const list = String(value).replace(/^\[|]$/g, "");
+        if (!list) {
+            return [];
+        }
+        return list.split(",").map((entry) => {
+            if (!entry.includes("=")) {
+                return { "id": entry };
+            }
+            const product = new URLSearchParams(entry);
+            return {
+                "id": product.get("i"),
+                "price": product.has("pr") ? Number(product.get("pr")) : undefined,
+                "quantity": product.has("q") ? Number(product.get("q")) : undefined
+            };
+        });
+    }
+
+    /**
+     * Parse custom properties for a given URL
+     *
+     * @param    {URL}     url
+     * @param    {URLSearchParams}   params
+     *
+     * @returns {Array}
+     */
+    handleCustom(url, params) {
+        let results = [],
+            events = [];
+
+        // Each OneTag event is sent as an encoded query string in p0, p1, ...
+        Array.from(params.keys())
+            .filter(name => /^p\d+$/.test(name))
+            .sort((a, b) => Number(a.slice(1)) - Number(b.slice(1)))
+            .forEach((name) => {
+                const eventParams = this.splitEventParams(params.get(name));
+                const code = (eventParams.find(([key]) => key === "e") || [])[1] || "";
+                const event = {
+                    "code": code,
+                    "event": this.events[code] || code
+                };
+                eventParams.forEach(([key, value]) => {
+                    if (key === "e") {
+                        return;
+                    }
+                    if (key === "p" && value.startsWith("[")) {
+                        event.products = this.decodeProducts(value);
+                    } else if (key === "m" || key === "em") {
+                        // setEmail sends the hashed email(s) as m=[...] or m
+                        value.replace(/^\[|]$/g, "").split(",").filter(Boolean).forEach((email) => {
+                            results = results.concat(this.handleHashedIdentifier(`${name}.${key}`, "Hashed Email", email, "user"));
+                        });
+                    } else {
+                        event[key] = value;
+                    }
+                });
+                events.push(event);
+
+                results.push({
+                    "key": name,
+                    "field": `Event: ${event.event}`,
+                    "value": JSON.stringify(event),
+                    "group": "events"
+                });
+            });
+
+        if (events.length) {
+            results.push({
+                "key": "omnibug_events",
+                "field": "Events (decoded)",
+                "value": events,
+                "group": "events"
+            });
+        }
+
+        // Setup events (site type, email, visit) accompany the one that matters
+        const setupCodes = ["dis", "exd", "ce"];
+        const primary = events.find(event => !setupCodes.includes(event.code)) || events[0];
+        results.push({
+            "key": "requestType",
+            "value": primary ? primary.event : "Other",
+            "hidden": true
+        });
+
+        return results;
+    }
+}
@@ -0,0 +1,264 @@
+/**
+ * Floodlight (Campaign Manager 360)
+ * https://support.google.com/campaignmanager/answer/2823400
+ *
+ * @class
+ * @extends BaseProvider
+ */
+import BaseProvider from '../BaseProvider.js';
+
+export default class FloodlightProvider extends BaseProvider {
+    constructor() {
+        super();
+        this._key = "FLOODLIGHT";
+        this._pattern = /\/\/(?:ad\.doubleclick\.net|[^/]*\.fls\.doubleclick\.net)\/(?:ddm\/)?activityi?[;/]/;
+        this._name = "Floodlight";
+        this._type = "marketing";
+        this._keywords = ["floodlight", "campaign manager", "cm360", "dcm", "doubleclick"];
+    }
+
+    /**
+     * Retrieve the column mappings for default columns (account, event type)
+     *
+     * @return {{}}
+     */
+    get columnMapping() {
+        return {
+            "account": "src",
+            "requestType": "requestType"
+        };
+    }
+
+    /**
+     * Retrieve the group names & order
+     *
+     * @returns {*[]}
+     */
+    get groups() {
+        return [
+            {
+                "key": "general",
+                "name": "General"
+            },
+            {
+                "key": "sales",
+                "name": "Sales"
+            },
+            {
+                "key": "custom",
+                "name": "Custom Variables"
+            },
+            {
+                "key": "consent",
+                "name": "Consent & Privacy"
+            }
+        ];
+    }
+
+    /**
+     * Get all of the available URL parameter keys
+     *
+     * @returns {{}}
+     */
+    get keys() {
+        return {
+            "src": {
+                "name": "Advertiser ID",
+                "group": "general"
+            },
+            "type": {
+                "name": "Activity Group",
+                "group": "general"
+            },
+            "cat": {
+                "name": "Activity",
+                "group": "general"
+            },
+            "ord": {
+                "name": "Order ID / Cache Buster",
+                "group": "general"
+            },
+            "num": {
+                "name": "Unique Counting Number",
+                "group": "general"
+            },
+            "dc_pre": {
+                "name": "Click Identifier",
+                "group": "general"
+            },
+            "gclid": {
+                "name": "Google Click ID",
+                "group": "general"
+            },
+            "auiddc": {
+                "name": "First-Party Floodlight User ID",
+                "group": "general"
+            },
+            "~oref": {
+                "name": "Page URL",
+                "group": "general"
+            },
+            "gtm": {
+                "name": "Google Tag Build",
+                "group": "general"
+            },
+            "qty": {
+                "name": "Quantity",
+                "group": "sales"
+            },
+            "cost": {
+                "name": "Revenue",
+                "group": "sales"
+            },
+            "dc_lat": {
+                "name": "Limit Ad Tracking",
+                "group": "consent"
+            },
+            "dc_rdid": {
+                "name": "Resettable Device ID",
+                "group": "consent"
+            },
+            "tag_for_child_directed_treatment": {
+                "name": "Child-Directed Treatment",
+                "group": "consent"
+            },
+            "tfua": {
+                "name": "Under Age of Consent",
+                "group": "consent"
+            },
+            "npa": {
+                "name": "Non-Personalized Ads",
+                "group": "consent"
+            },
+            "gdpr": {
+                "name": "GDPR Applies",
+                "group": "consent"
+            },
+            "gdpr_consent": {
+                "name": "GDPR Consent String",
+                "group": "consent"
+            },
+            "gcs": {
+                "name": "Consent Status",
+                "group": "consent"
+            },
+            "gcd": {
+                "name": "Consent Defaults",
+                "group": "consent"
+            },
+            "requestType": {
+                "hidden": true
+            }
+        };
+    }
+
+    /**
+     * Parse a given URL into human-readable output. Floodlight sends its data as
+     * semicolon-delimited matrix parameters in the path (/activity;src=1;type=a;cat=b),
+     * so those are moved into the query string before the standard parsing runs.
+     *
+     * @param {string}  rawUrl      A URL to check against
+     * @param {string}  postData    POST data, if applicable
+     *
+     * @return {{provider: {name: string, key: string, type: string}, data: Array}}
+     */
+    parseUrl(rawUrl, postData = "") {
+        let url;
+        try {
+            url = new URL(rawUrl);
+        } catch (e) {
+            return super.parseUrl(rawUrl, postData);
+        }
+
+        const matrix = url.pathname.match(/^(.*?\/activityi?)[;/](.*)$/);
+        if (matrix) {
+            const queryParams = new URLSearchParams(url.search);
+            url.search = "";
+            url.pathname = matrix[1];
+            matrix[2].split(";").filter(Boolean).forEach((pair) => {
+                const index = pair.indexOf("=");
+                const key = index === -1 ? pair : pair.slice(0, index);
+                let value = index === -1 ? "" : pair.slice(index + 1);
+                try {
+                    value = decodeURIComponent(value);
+                } catch (e) {
+                    // Keep malformed escapes as sent
+                }
+                url.searchParams.append(key, value);
+            });
+            queryParams.forEach((value, key) => url.searchParams.append(key, value));
+        }
+        return super.parseUrl(url.toString(), postData);
+    }
+
+    /**
+     * Parse a given URL parameter into human-readable form
+     *
+     * @param {string}  name
+     * @param {string}  value
+     *
+     * @returns {void|{}}
+     */
+    handleQueryParam(name, value) {
+        // Custom Floodlight variables u1 ... u100
+        if (/^u\d+$/.test(name)) {
+            return {
+                "key": name,
+                "field": `Custom Variable ${name.slice(1)}`,
+                "value": value,
+                "group": "custom"
+            };
+        }
+        return super.handleQueryParam(name, value);
+    }
+
+    /**
+     * Parse custom properties for a given URL
+     *
+     * @param    {URL}     url
+     * @param    {URLSearchParams}   params
+     *
+     * @returns {Array}
+     */
+    handleCustom(url, params) {
+        let results = [];
+
+        // Sales tags report quantity/revenue (ord is the order ID); counter tags
+        // only count conversions, uniquely when a num is sent alongside ord=1
+        const isSales = params.has("qty") || params.has("cost");
+        let countingMethod;
+        if (isSales) {
+            countingMethod = "Transactions / Items Sold";
+        } else if (params.has("num")) {
+            countingMethod = "Unique";
+        } else {
+            countingMethod = "Standard / Per Session";
+        }
+
+        results.push({
+            "key": "tagType",
+            "field": "Tag Type",
+            "value": isSales ? "Sales" : "Counter",
+            "group": "general"
+        }, {
+            "key": "countingMethod",
+            "field": "Counting Method",
+            "value": countingMethod,
+            "group": "general"
+        }, {
+            "key": "tagFormat",
+            "field": "Tag Format",
+            "value": /\/activityi$/.test(url.pathname) ? "iframe" : "image",
+            "group": "general"
+        });
+
+        const activity = [params.get("type"), params.get("cat")].filter(Boolean).join(" / ");
+        results.push({
+            "key": "requestType",
+            "value": `${isSales ? "Sales" : "Counter"}${activity ? `: ${activity}` : ""}`,
+            "hidden": true
+        });
+
+        return results;
+    }
+}
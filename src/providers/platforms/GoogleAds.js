@@ -0,0 +1,324 @@
+/**
+ * Google Ads conversion tracking & remarketing
+ * https://support.google.com/google-ads/answer/1722022
+ *
+ * @class
+ * @extends BaseProvider
+ */
+import BaseProvider from '../BaseProvider.js';
+
+export default class GoogleAdsProvider extends BaseProvider {
+    constructor() {
+        super();
+        this._key = "GOOGLEADS";
+        this._pattern = /\/\/(?:www\.googleadservices\.com|googleads\.g\.doubleclick\.net|www\.google\.[a-z.]+)\/(?:pagead\/(?:conversion|1p-conversion|viewthroughconversion|1p-user-list)\/|rmkt\/collect\/|ccm\/collect(?:[/?#]|$))/;
+        this._name = "Google Ads";
+        this._type = "marketing";
+        this._keywords = ["google ads", "adwords", "conversion", "remarketing", "aw-"];
+    }
+
+    /**
+     * Retrieve the column mappings for default columns (account, event type)
+     *
+     * @return {{}}
+     */
+    get columnMapping() {
+        return {
+            "account": "conversionId",
+            "requestType": "requestType"
+        };
+    }
+
+    /**
+     * Retrieve the group names & order
+     *
+     * @returns {*[]}
+     */
+    get groups() {
+        return [
+            {
+                "key": "general",
+                "name": "General"
+            },
+            {
+                "key": "conversion",
+                "name": "Conversion"
+            },
+            {
+                "key": "enhanced",
+                "name": "Enhanced Conversions"
+            },
+            {
+                "key": "remarketing",
+                "name": "Remarketing Data"
+            },
+            {
+                "key": "consent",
+                "name": "Consent"
+            }
+        ];
+    }
+
+    /**
+     * Map of the user-provided data keys sent in the "em" parameter
+     *
+     * @returns {{}}
+     */
+    get userDataKeys() {
+        return {
+            "em": "email",
+            "pn": "phone number",
+            "fn": "first name",
+            "ln": "last name",
+            "pc": "postal code",
+            "co": "country"
+        };
+    }
+
+    /**
+     * Get all of the available URL parameter keys
+     *
+     * @returns {{}}
+     */
+    get keys() {
+        return {
+            "label": {
+                "name": "Conversion Label",
+                "group": "general"
+            },
+            "tid": {
+                "name": "Tag ID",
+                "group": "general"
+            },
+            "en": {
+                "name": "Event Name",
+                "group": "general"
+            },
+            "bttype": {
+                "name": "Event Type",
+                "group": "general"
+            },
+            "cv": {
+                "name": "Tag Version",
+                "group": "general"
+            },
+            "gtm": {
+                "name": "Google Tag Build",
+                "group": "general"
+            },
+            "url": {
+                "name": "Page URL",
+                "group": "general"
+            },
+            "ref": {
+                "name": "Referrer",
+                "group": "general"
+            },
+            "tiba": {
+                "name": "Page Title",
+                "group": "general"
+            },
+            "guid": {
+                "name": "Google User ID Lookup",
+                "group": "general"
+            },
+            "auid": {
+                "name": "First-Party Ads User ID",
+                "group": "general"
+            },
+            "gclaw": {
+                "name": "Google Click ID (_gcl_aw)",
+                "group": "general"
+            },
+            "fst": {
+                "name": "First Seen Timestamp",
+                "group": "general"
+            },
+            "random": {
+                "name": "Cache Buster",
+                "group": "general"
+            },
+            "value": {
+                "name": "Conversion Value",
+                "group": "conversion"
+            },
+            "currency_code": {
+                "name": "Currency",
+                "group": "conversion"
+            },
+            "oid": {
+                "name": "Transaction ID",
+                "group": "conversion"
+            },
+            "ec_mode": {
+                "name": "Enhanced Conversions Mode",
+                "group": "enhanced"
+            },
+            "gcs": {
+                "name": "Consent Status",
+                "group": "consent"
+            },
+            "gcd": {
+                "name": "Consent Defaults",
+                "group": "consent"
+            },
+            "npa": {
+                "name": "Non-Personalized Ads",
+                "group": "consent"
+            },
+            "dma": {
+                "name": "DMA Compliance",
+                "group": "consent"
+            },
+            "rdp": {
+                "name": "Restricted Data Processing",
+                "group": "consent"
+            },
+            "gdpr": {
+                "name": "GDPR Applies",
+                "group": "consent"
+            },
+            "gdpr_consent": {
+                "name": "GDPR Consent String",
+                "group": "consent"
+            },
+            "em": {
+                "hidden": true
+            },
+            "data": {
+                "hidden": true
+            },
+            "requestType": {
+                "hidden": true
+            }
+        };
+    }
+
+    /**
+     * Decode the enhanced conversions "em" parameter, e.g. "tv.1~em.<hash>~pn.<hash>".
+     * Only the presence of each identifier is reported, never its value.
+     *
+     * @param {string}  value
+     *
+     * @returns {Array}
+     */
+    handleEnhancedConversions(value) {
+        let results = [],
+            version = null,
+            identifiers = [];
+
+        String(value).split("~").filter(Boolean).forEach((part) => {
+            const index = part.indexOf(".");
+            const key = index === -1 ? part : part.slice(0, index);
+            const data = index === -1 ? "" : part.slice(index + 1);
+            if (key === "tv") {
+                version = data;
+                return;
+            }
+            const name = this.userDataKeys[key] || key;
+            identifiers.push(name);
+            // Hashed values are hex or web-safe base64; an "@" means a raw email slipped through
+            if (data.includes("@") || (key === "pn" && /^\+?\d[\d\s-]*$/.test(data))) {
+                results.push({
+                    "key": "omnibug_warning",
+                    "field": "Warning",
+                    "value": `Enhanced conversions ${name} (${key}) is not hashed`,
+                    "group": "enhanced"
+                });
+            }
+        });
+
+        results.unshift({
+            "key": "enhancedConversions",
+            "field": "User-Provided Data",
+            "value": identifiers.length ? `Yes (${identifiers.join(", ")})` : "No",
+            "group": "enhanced"
+        }, {
+            "key": "omnibug_enhancedConversions",
+            "field": "Enhanced Conversions (decoded)",
+            "value": {
+                "version": version,
+                "identifiers": identifiers
+            },
+            "group": "enhanced"
+        });
+        return results;
+    }
+
+    /**
+     * Parse custom properties for a given URL
+     *
+     * @param    {URL}     url
+     * @param    {URLSearchParams}   params
+     *
+     * @returns {Array}
+     */
+    handleCustom(url, params) {
+        let results = [];
+        const path = url.pathname;
+
+        // The conversion ID is part of the path, or the tag ID (AW-...) on /ccm/collect
+        const pathId = path.match(/\/(?:conversion|1p-conversion|viewthroughconversion|1p-user-list|collect)\/(\d+)/);
+        const tagId = (params.get("tid") || "").match(/^AW-(\d+)$/);
+        const conversionId = pathId ? pathId[1] : (tagId ? tagId[1] : null);
+        if (conversionId) {
+            results.push({
+                "key": "conversionId",
+                "field": "Conversion ID",
+                "value": `AW-${conversionId}`,
+                "group": "general"
+            });
+        }
+
+        // Remarketing parameters are sent as "data=event=purchase;ecomm_prodid=SKU1"
+        let dataEvent = null;
+        if (params.has("data")) {
+            params.get("data").split(";").filter(Boolean).forEach((pair) => {
+                const index = pair.indexOf("=");
+                const key = index === -1 ? pair : pair.slice(0, index);
+                const value = index === -1 ? "" : pair.slice(index + 1);
+                if (key === "event") {
+                    dataEvent = value;
+                }
+                results.push({
+                    "key": `data.${key}`,
+                    "field": `Custom Parameter: ${key}`,
+                    "value": value,
+                    "group": "remarketing"
+                });
+            });
+        }
+
+        let requestType;
+        if (/\/1p-user-list\//.test(path)) {
+            requestType = "User List";
+        } else if (/\/(rmkt\/collect|viewthroughconversion)\//.test(path)) {
+            requestType = "Remarketing";
+        } else if (/\/ccm\/collect/.test(path)) {
+            requestType = params.get("en") || "Conversion";
+        } else {
+            requestType = params.has("label") ? "Conversion" : (dataEvent || "Remarketing");
+        }
+        results.push({
+            "key": "requestType",
+            "value": requestType,
+            "hidden": true
+        });
+
+        // Remarketing hits add the visitor to the audience (user) lists tied to the tag
+        if (["User List", "Remarketing"].includes(requestType)) {
+            results.push({
+                "key": "userList",
+                "field": "Remarketing User List",
+                "value": conversionId ? `AW-${conversionId}` : "(unknown)",
+                "group": "remarketing"
+            });
+        }
+
+        if (params.has("em")) {
+            results = results.concat(this.handleEnhancedConversions(params.get("em")));
+        }
+
+        return results;
+    }
+}
@@ -63,6 +63,10 @@ export default class GoogleAnalytics4Provider extends BaseProvider {
             {
                 "key": "contentgroup",
                 "name": "Content Group"
+            },
+            {
+                "key": "consent",
+                "name": "Consent"
             }
         ];
     }
@@ -98,6 +102,14 @@ export default class GoogleAnalytics4Provider extends BaseProvider {
                 "name": "Client ID",
                 "group": "general"
             },
+            "_gsid": {
+                "name": "Tagging Server Session ID",
+                "group": "general"
+            },
+            "richsstsse": {
+                "name": "Server-Side Event Streaming",
+                "group": "general"
+            },
             "sc": {
                 "name": "Session Control",
                 "group": "general"
@@ -366,6 +378,26 @@ export default class GoogleAnalytics4Provider extends BaseProvider {
                 "name": "Display Features Enabled",
                 "group": "general"
             },
+            "gcs": {
+                "name": "Consent State",
+                "group": "consent"
+            },
+            "gcd": {
+                "name": "Consent Default/Update String",
+                "group": "consent"
+            },
+            "npa": {
+                "name": "Non-Personalized Ads",
+                "group": "consent"
+            },
+            "dma": {
+                "name": "Digital Markets Act Applies",
+                "group": "consent"
+            },
+            "dma_cps": {
+                "name": "DMA Consented Purposes",
+                "group": "consent"
+            },
             "requestType": {
                 "hidden": true
             }
@@ -405,6 +437,13 @@ export default class GoogleAnalytics4Provider extends BaseProvider {
                 "value": value,
                 "group": "events"
             };
+        } else if (/^upn?\.(.+)$/.test(name)) {
+            result = {
+                "key": name,
+                "field": `User Property (${RegExp.$1})`,
+                "value": value,
+                "group": "general"
+            };
         } else if (/^cg(\d+)$/i.test(name)) {
             result = {
                 "key": name,
@@ -426,6 +465,13 @@ export default class GoogleAnalytics4Provider extends BaseProvider {
                 "value": value,
                 "group": "promo"
             };
+        } else if (/^pr(\d+)$/.test(name)) {
+            result = {
+                "key": name,
+                "field": `Item ${RegExp.$1}`,
+                "value": this.decodeItem(value),
+                "group": "ecommerce"
+            };
         } else if (/^pr(\d+)([a-z]{2})$/i.test(name)) {
             let lookup = {
                 "id": "ID",
@@ -499,6 +545,32 @@ export default class GoogleAnalytics4Provider extends BaseProvider {
         return result;
     }
 
+    /**
+     * Split a batched request into one beacon per event. GA4 sends several
+     * events in one POST body, one per line, sharing the URL-level params.
+     *
+     * @param {string}  rawUrl      A URL to check against
+     * @param {string}  postData    POST data, if applicable
+     *
+     * @return {Array} Results of parseUrl, one per event
+     */
+    parseBeacons(rawUrl, postData = "") {
+        const events = typeof postData === "string"
+            ? postData.split(/\r?\n/).filter((event) => event.trim() !== "")
+            : [];
+        if (events.length <= 1) {
+            return super.parseBeacons(rawUrl, postData);
+        }
+        return events.map((event, index) => {
+            const parsed = this.parseUrl(rawUrl, event);
+            parsed.batch = {
+                "index": index,
+                "size": events.length
+            };
+            return parsed;
+        });
+    }
+
     /**
      * Parse any POST data into param key/value pairs
      *
@@ -509,8 +581,9 @@ export default class GoogleAnalytics4Provider extends BaseProvider {
         let params = [];
         // Handle POST data first, if applicable (treat as query params)
         if (typeof postData === "string" && postData !== "") {
-            if (/^en=/.test(postData)) {
-                const events = postData.split(/\\s+/);
+            const events = postData.split(/\r?\n/).filter((event) => event.trim() !== "");
+            if (events.length > 1) {
+                // Batched events, one per line: number each event's params
                 let eventNumber = 0;
                 events.forEach((event) => {
                     const eventParams = event.split("&");
@@ -522,8 +595,8 @@ export default class GoogleAnalytics4Provider extends BaseProvider {
                     });
                     eventNumber++;
                 });
-            } else {
-                const keyPairs = postData.split("&");
+            } else if (events.length === 1) {
+                const keyPairs = events[0].split("&");
                 keyPairs.forEach((keyPair) => {
                     const splitPair = keyPair.split("=");
                     params.push([splitPair[0], decodeURIComponent(splitPair[1] || "")]);
@@ -558,7 +631,7 @@ export default class GoogleAnalytics4Provider extends BaseProvider {
 
         const types = Array.from(params.entries())
             .filter(([key, hitType]) => {
-                return key === "t" || key === "en" || /en\\[\\d+]/.test(key);
+                return key === "t" || key === "en" || /^en\[\d+]$/.test(key);
             }).map(([key, hitType]) => {
                 let requestType;
                 hitType = hitType.toLowerCase();
@@ -586,6 +659,235 @@ export default class GoogleAnalytics4Provider extends BaseProvider {
             "hidden": true
         });
 
+        return results.concat(this.handleItems(params), this.handleConsent(params), this.handleTransport(url));
+    }
+
+    /**
+     * Attribute the hit to direct collection by Google or to a server-side
+     * tagging container (sGTM) running on another host, typically first-party
+     *
+     * @param {URL}  url
+     *
+     * @returns {Array}
+     */
+    handleTransport(url) {
+        const direct = /(^|\.)(google-analytics\.com|analytics\.google\.com|google\.com)$/.test(url.hostname);
+        let results = [{
+            "key": "omnibug_transport",
+            "field": "Transport",
+            "value": direct ? "client-side direct" : "server container",
+            "group": "general"
+        }];
+
+        if (!direct) {
+            // The tagging server URL is everything before the /g/collect path
+            const basePath = url.pathname.replace(/\/g\/collect\/?$/, "");
+            results.push({
+                "key": "omnibug_taggingServer",
+                "field": "Tagging Server URL",
+                "value": `${url.origin}${basePath}`,
+                "group": "general"
+            });
+        }
+        return results;
+    }
+
+    /**
+     * Decode a GA4 item string (e.g. "idSKU_1~nmShirt~pr9.99~qt2~k0color~v0blue")
+     * into an item object. Each "~" separated token starts with a two character
+     * prefix naming the field; kN/vN pairs carry custom item parameters.
+     *
+     * @param {string}  value
+     *
+     * @returns {{}}
+     */
+    decodeItem(value) {
+        const fields = {
+            "id": "item_id",
+            "nm": "item_name",
+            "af": "affiliation",
+            "cp": "coupon",
+            "ds": "discount",
+            "lp": "index",
+            "br": "item_brand",
+            "ca": "item_category",
+            "c2": "item_category2",
+            "c3": "item_category3",
+            "c4": "item_category4",
+            "c5": "item_category5",
+            "li": "item_list_id",
+            "ln": "item_list_name",
+            "va": "item_variant",
+            "lo": "location_id",
+            "pr": "price",
+            "qt": "quantity",
+            "pi": "promotion_id",
+            "pn": "promotion_name",
+            "cn": "creative_name",
+            "cs": "creative_slot"
+        };
+        const numeric = ["discount", "index", "price", "quantity"];
+        let item = {},
+            customKeys = {},
+            customValues = {};
+
+        String(value).split("~").forEach((token) => {
+            const prefix = token.slice(0, 2),
+                tokenValue = token.slice(2);
+            if (/^k\d$/.test(prefix)) {
+                customKeys[prefix.charAt(1)] = tokenValue;
+            } else if (/^v\d$/.test(prefix)) {
+                customValues[prefix.charAt(1)] = tokenValue;
+            } else if (fields[prefix]) {
+                const field = fields[prefix];
+                item[field] = numeric.includes(field) && tokenValue !== "" && !isNaN(tokenValue)
+                    ? Number(tokenValue)
+                    : tokenValue;
+            } else if (prefix) {
+                item[prefix] = tokenValue;
+            }
+        });
+
+        Object.entries(customKeys).forEach(([index, key]) => {
+            item[key] = customValues[index];
+        });
+
+        return item;
+    }
+
+    /**
+     * Total the item price x quantity and check it against the event value
+     *
+     * @param    {URLSearchParams}  params
+     *
+     * @returns {Array}
+     */
+    handleItems(params) {
+        const items = Array.from(params.entries())
+            .filter(([key]) => /^pr\d+$/.test(key))
+            .map(([key, value]) => this.decodeItem(value));
+        if (!items.length) {
+            return [];
+        }
+
+        const total = items.reduce((sum, item) => {
+            const price = Number(item.price),
+                quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+            return isNaN(price) || isNaN(quantity) ? sum : sum + price * quantity;
+        }, 0);
+        const roundedTotal = Math.round(total * 100) / 100;
+
+        let results = [{
+            "key": "omnibug_itemCount",
+            "field": "Item Count",
+            "value": String(items.length),
+            "group": "ecommerce"
+        }, {
+            "key": "omnibug_itemsTotal",
+            "field": "Items Total (price x quantity)",
+            "value": String(roundedTotal),
+            "group": "ecommerce"
+        }];
+
+        const eventValue = params.get("epn.value") ?? params.get("ep.value");
+        if (eventValue !== null && eventValue !== "" && !isNaN(eventValue)) {
+            if (Math.abs(Number(eventValue) - roundedTotal) > 0.01) {
+                results.push({
+                    "key": "omnibug_warning",
+                    "field": "Warning",
+                    "value": `Event value ${eventValue} does not match the items total ${roundedTotal} (price x quantity)`,
+                    "group": "ecommerce"
+                });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Decode the Consent Mode parameters (gcs, gcd) into per-signal states
+     *
+     * gcs is "G1" followed by ad_storage and analytics_storage (1 granted, 0 denied).
+     * gcd carries one letter per signal, in the order ad_storage, analytics_storage,
+     * ad_user_data, ad_personalization, describing its default and update commands.
+     *
+     * @param    {URLSearchParams}  params
+     *
+     * @returns {Array}
+     */
+    handleConsent(params) {
+        const signals = {
+            "ad_storage": "Ad Storage",
+            "analytics_storage": "Analytics Storage",
+            "ad_user_data": "Ad User Data",
+            "ad_personalization": "Ad Personalization"
+        };
+        const gcdLetters = {
+            "l": {"default": "not set", "update": "not set"},
+            "p": {"default": "denied", "update": "not set"},
+            "q": {"default": "denied", "update": "denied"},
+            "t": {"default": "granted", "update": "not set"},
+            "r": {"default": "denied", "update": "granted"},
+            "m": {"default": "not set", "update": "denied"},
+            "n": {"default": "not set", "update": "granted"},
+            "u": {"default": "granted", "update": "denied"},
+            "v": {"default": "granted", "update": "granted"}
+        };
+        let results = [],
+            analyticsStorage;
+
+        const gcd = params.get("gcd");
+        if (gcd) {
+            const letters = gcd.match(/[a-z]/gi) || [];
+            Object.entries(signals).forEach(([signal, name], index) => {
+                const state = gcdLetters[(letters[index] || "").toLowerCase()];
+                if (!state) {
+                    return;
+                }
+                const final = state.update !== "not set" ? state.update : state.default;
+                if (signal === "analytics_storage") {
+                    analyticsStorage = final;
+                }
+                results.push({
+                    "key": `gcd.${signal}`,
+                    "field": name,
+                    "value": `${final} (default: ${state.default}, update: ${state.update})`,
+                    "group": "consent"
+                });
+            });
+        }
+
+        const gcs = params.get("gcs");
+        if (/^G1[01]{2}$/.test(gcs || "")) {
+            const storage = {
+                "ad_storage": gcs.charAt(2) === "1" ? "granted" : "denied",
+                "analytics_storage": gcs.charAt(3) === "1" ? "granted" : "denied"
+            };
+            // gcs reflects the state at the time of the hit, so it wins over gcd
+            analyticsStorage = storage.analytics_storage;
+            results.push({
+                "key": "gcs.ad_storage",
+                "field": "Ad Storage (gcs)",
+                "value": storage.ad_storage,
+                "group": "consent"
+            }, {
+                "key": "gcs.analytics_storage",
+                "field": "Analytics Storage (gcs)",
+                "value": storage.analytics_storage,
+                "group": "consent"
+            });
+        }
+
+        // With analytics_storage denied, Consent Mode sends cookieless pings
+        if (analyticsStorage) {
+            results.push({
+                "key": "omnibug_cookielessPing",
+                "field": "Cookieless Ping",
+                "value": analyticsStorage === "denied" ? "true" : "false",
+                "group": "consent"
+            });
+        }
+
         return results;
     }
 }
\ No newline at end of file
@@ -11,7 +11,9 @@ export default class GoogleTagManagerProvider extends BaseProvider {
     constructor() {
         super();
         this._key = "GOOGLETAGMANAGER";
-        this._pattern = /\/\/www\.googletagmanager\.com(?:\/[a-z]+|)\/[a-z]+\.js/;
+        // Google's CDN, or a server-side tagging container serving the loader
+        // (gtm.js / gtag/js, or a custom loader path) from another host
+        this._pattern = /\/\/www\.googletagmanager\.com(?:\/[a-z]+|)\/[a-z]+\.js|\/\/[^/]+\/(?:[^?#]*\/)?(?:gtm\.js|gtag\/js)\?(?:[^#]*&)?id=|\/\/[^/]+\/[^?#]*\.js\?(?:[^#]*&)?id=GTM-[A-Z0-9]+/;
         this._name = "Google Tag Manager";
         this._type = "tagmanager";
         this._keywords = ["google", "gtm", "tag manager"];
@@ -121,6 +123,8 @@ export default class GoogleTagManagerProvider extends BaseProvider {
             scriptType = "GTM Preview";
         } else if (url.pathname.includes("/ns.html")) {
             scriptType = "GTM No-Script";
+        } else if (!/(^|\.)googletagmanager\.com$/.test(url.hostname)) {
+            scriptType = "Custom Loader";
         }
 
         results.push({
@@ -130,6 +134,23 @@ export default class GoogleTagManagerProvider extends BaseProvider {
             "group": "general"
         });
 
+        // Loaders served from any host but Google's come from a server-side tagging container
+        const serverSide = !/(^|\.)googletagmanager\.com$/.test(url.hostname);
+        results.push({
+            "key": "serverSide",
+            "field": "Server-Side Container",
+            "value": String(serverSide),
+            "group": "general"
+        });
+        if (serverSide) {
+            results.push({
+                "key": "taggingServer",
+                "field": "Tagging Server URL",
+                "value": url.origin,
+                "group": "general"
+            });
+        }
+
         return results;
     }
 }
\ No newline at end of file
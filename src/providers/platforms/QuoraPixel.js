@@ -0,0 +1,156 @@
+/**
+ * Quora Pixel
+ * https://quoraadsupport.zendesk.com/hc/en-us/articles/115010466208
+ *
+ * @class
+ * @extends BaseProvider
+ */
+import BaseProvider from '../BaseProvider.js';
+
+export default class QuoraPixelProvider extends BaseProvider {
+    constructor() {
+        super();
+        this._key = "QUORA";
+        this._pattern = /\/\/q\.quora\.com\/_\/ad\/[^/]+\/pixel(?:[?#]|$)/;
+        this._name = "Quora Pixel";
+        this._type = "marketing";
+        this._keywords = ["quora", "qp"];
+    }
+
+    /**
+     * Retrieve the column mappings for default columns (account, event type)
+     *
+     * @return {{}}
+     */
+    get columnMapping() {
+        return {
+            "account": "pixelId",
+            "requestType": "requestType"
+        };
+    }
+
+    /**
+     * Retrieve the group names & order
+     *
+     * @returns {*[]}
+     */
+    get groups() {
+        return [
+            {
+                "key": "general",
+                "name": "General"
+            },
+            {
+                "key": "event",
+                "name": "Event Data"
+            },
+            {
+                "key": "user",
+                "name": "User Data"
+            }
+        ];
+    }
+
+    /**
+     * Map of Quora event tags to readable names
+     *
+     * @returns {{}}
+     */
+    get events() {
+        return {
+            "ViewContent": "View Content",
+            "Generic": "Page View",
+            "AppInstall": "App Install",
+            "Purchase": "Purchase",
+            "GenerateLead": "Generate Lead",
+            "CompleteRegistration": "Complete Registration",
+            "AddPaymentInfo": "Add Payment Info",
+            "AddToCart": "Add to Cart",
+            "AddToWishlist": "Add to Wishlist",
+            "InitiateCheckout": "Initiate Checkout",
+            "Search": "Search"
+        };
+    }
+
+    /**
+     * Get all of the available URL parameter keys
+     *
+     * @returns {{}}
+     */
+    get keys() {
+        return {
+            "tag": {
+                "name": "Event",
+                "group": "general"
+            },
+            "noscript": {
+                "name": "No Script",
+                "group": "general"
+            },
+            "value": {
+                "name": "Value",
+                "group": "event"
+            },
+            "currency": {
+                "name": "Currency",
+                "group": "event"
+            },
+            "order_id": {
+                "name": "Order ID",
+                "group": "event"
+            },
+            "email": {
+                "hidden": true
+            },
+            "hashed_email": {
+                "hidden": true
+            },
+            "requestType": {
+                "hidden": true
+            }
+        };
+    }
+
+    /**
+     * Parse custom properties for a given URL
+     *
+     * @param    {URL}     url
+     * @param    {URLSearchParams}   params
+     *
+     * @returns {Array}
+     */
+    handleCustom(url, params) {
+        let results = [];
+        const event = params.get("tag") || "Generic";
+
+        // The pixel ID is part of the path: /_/ad/<pixel id>/pixel
+        const pixelId = url.pathname.match(/\/_\/ad\/([^/]+)\/pixel/);
+        if (pixelId) {
+            results.push({
+                "key": "pixelId",
+                "field": "Pixel ID",
+                "value": pixelId[1],
+                "group": "general"
+            });
+        }
+
+        results.push({
+            "key": "requestType",
+            "value": this.events[event] || event,
+            "hidden": true
+        });
+
+        // Advanced matching email, set via qp('init', id, { email })
+        const identifiers = {
+            "hashed_email": "Hashed Email",
+            "email": "Email"
+        };
+        Object.entries(identifiers).forEach(([key, field]) => {
+            if (params.has(key)) {
+                results = results.concat(this.handleHashedIdentifier(key, field, params.get(key), "user"));
+            }
+        });
+
+        return results;
+    }
+}
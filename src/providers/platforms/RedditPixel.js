@@ -0,0 +1,233 @@
+/**
+ * Reddit Pixel
+ * https://business.reddithelp.com/s/article/reddit-pixel
+ *
+ * @class
+ * @extends BaseProvider
+ */
+import BaseProvider from '../BaseProvider.js';
+
+export default class RedditPixelProvider extends BaseProvider {
+    constructor() {
+        super();
+        this._key = "REDDIT";
+        this._pattern = /\/\/alb\.reddit\.com\/rp\.gif(?:[?#]|$)/;
+        this._name = "Reddit Pixel";
+        this._type = "marketing";
+        this._keywords = ["reddit", "rdt"];
+    }
+
+    /**
+     * Retrieve the column mappings for default columns (account, event type)
+     *
+     * @return {{}}
+     */
+    get columnMapping() {
+        return {
+            "account": "id",
+            "requestType": "requestType"
+        };
+    }
+
+    /**
+     * Retrieve the group names & order
+     *
+     * @returns {*[]}
+     */
+    get groups() {
+        return [
+            {
+                "key": "general",
+                "name": "General"
+            },
+            {
+                "key": "event",
+                "name": "Event Metadata"
+            },
+            {
+                "key": "user",
+                "name": "User Data"
+            }
+        ];
+    }
+
+    /**
+     * Map of Reddit event names to readable names
+     *
+     * @returns {{}}
+     */
+    get events() {
+        return {
+            "PageVisit": "Page Visit",
+            "ViewContent": "View Content",
+            "Search": "Search",
+            "AddToCart": "Add to Cart",
+            "AddToWishlist": "Add to Wishlist",
+            "Purchase": "Purchase",
+            "Lead": "Lead",
+            "SignUp": "Sign Up",
+            "Custom": "Custom"
+        };
+    }
+
+    /**
+     * Get all of the available URL parameter keys
+     *
+     * @returns {{}}
+     */
+    get keys() {
+        return {
+            "id": {
+                "name": "Pixel ID",
+                "group": "general"
+            },
+            "event": {
+                "name": "Event",
+                "group": "general"
+            },
+            "ts": {
+                "name": "Timestamp",
+                "group": "general"
+            },
+            "v": {
+                "name": "Pixel Version",
+                "group": "general"
+            },
+            "integration": {
+                "name": "Integration",
+                "group": "general"
+            },
+            "opt_out": {
+                "name": "Opt Out",
+                "group": "general"
+            },
+            "uuid": {
+                "name": "Conversion ID",
+                "group": "general"
+            },
+            "click_id": {
+                "name": "Reddit Click ID",
+                "group": "user"
+            },
+            "sh": {
+                "name": "Screen Height",
+                "group": "general"
+            },
+            "sw": {
+                "name": "Screen Width",
+                "group": "general"
+            },
+            "m.itemCount": {
+                "name": "Item Count",
+                "group": "event"
+            },
+            "m.value": {
+                "name": "Value",
+                "group": "event"
+            },
+            "m.valueDecimal": {
+                "name": "Value (Decimal)",
+                "group": "event"
+            },
+            "m.currency": {
+                "name": "Currency",
+                "group": "event"
+            },
+            "m.transactionId": {
+                "name": "Transaction ID",
+                "group": "event"
+            },
+            "m.customEventName": {
+                "name": "Custom Event Name",
+                "group": "event"
+            },
+            "m.products": {
+                "name": "Products",
+                "group": "event"
+            },
+            "m.conversionId": {
+                "name": "Conversion ID",
+                "group": "event"
+            },
+            "em": {
+                "hidden": true
+            },
+            "external_id": {
+                "hidden": true
+            },
+            "aaid": {
+                "hidden": true
+            },
+            "idfa": {
+                "hidden": true
+            },
+            "phone": {
+                "hidden": true
+            },
+            "requestType": {
+                "hidden": true
+            }
+        };
+    }
+
+    /**
+     * Parse a given URL parameter into human-readable form
+     *
+     * @param {string}  name
+     * @param {string}  value
+     *
+     * @returns {void|{}}
+     */
+    handleQueryParam(name, value) {
+        // Any other event metadata is sent as m.<name>
+        if (!this.keys[name] && name.startsWith("m.")) {
+            return {
+                "key": name,
+                "field": `Metadata: ${name.slice(2)}`,
+                "value": value,
+                "group": "event"
+            };
+        }
+        return super.handleQueryParam(name, value);
+    }
+
+    /**
+     * Parse custom properties for a given URL
+     *
+     * @param    {URL}     url
+     * @param    {URLSearchParams}   params
+     *
+     * @returns {Array}
+     */
+    handleCustom(url, params) {
+        let results = [];
+        const event = params.get("event") || "PageVisit";
+
+        // Custom events report their own name
+        let requestType = this.events[event] || event;
+        if (event === "Custom" && params.has("m.customEventName")) {
+            requestType = params.get("m.customEventName");
+        }
+        results.push({
+            "key": "requestType",
+            "value": requestType,
+            "hidden": true
+        });
+
+        // Advanced matching identifiers
+        const identifiers = {
+            "em": "Hashed Email",
+            "phone": "Hashed Phone Number",
+            "external_id": "Hashed External ID",
+            "aaid": "Hashed Android Advertising ID",
+            "idfa": "Hashed iOS Advertising ID"
+        };
+        Object.entries(identifiers).forEach(([key, field]) => {
+            if (params.has(key)) {
+                results = results.concat(this.handleHashedIdentifier(key, field, params.get(key), "user"));
+            }
+        });
+
+        return results;
+    }
+}
@@ -0,0 +1,228 @@
+/**
+ * Snap Pixel
+ * https://businesshelp.snapchat.com/s/article/pixel-direct-implementation
+ *
+ * @class
+ * @extends BaseProvider
+ */
+import BaseProvider from '../BaseProvider.js';
+
+export default class SnapPixelProvider extends BaseProvider {
+    constructor() {
+        super();
+        this._key = "SNAPCHAT";
+        this._pattern = /\/\/tr(?:-shadow)?\.snapchat\.com\/p(?:[/?#]|$)/;
+        this._name = "Snap Pixel";
+        this._type = "marketing";
+        this._keywords = ["snapchat", "snap", "snaptr"];
+    }
+
+    /**
+     * Retrieve the column mappings for default columns (account, event type)
+     *
+     * @return {{}}
+     */
+    get columnMapping() {
+        return {
+            "account": "pid",
+            "requestType": "requestType"
+        };
+    }
+
+    /**
+     * Retrieve the group names & order
+     *
+     * @returns {*[]}
+     */
+    get groups() {
+        return [
+            {
+                "key": "general",
+                "name": "General"
+            },
+            {
+                "key": "event",
+                "name": "Event Data"
+            },
+            {
+                "key": "user",
+                "name": "User Data"
+            }
+        ];
+    }
+
+    /**
+     * Map of Snap event codes to readable names
+     *
+     * @returns {{}}
+     */
+    get events() {
+        return {
+            "PAGE_VIEW": "Page View",
+            "VIEW_CONTENT": "View Content",
+            "ADD_CART": "Add to Cart",
+            "ADD_TO_WISHLIST": "Add to Wishlist",
+            "START_CHECKOUT": "Start Checkout",
+            "ADD_BILLING": "Add Billing",
+            "PURCHASE": "Purchase",
+            "SIGN_UP": "Sign Up",
+            "SEARCH": "Search",
+            "LIST_VIEW": "List View",
+            "SAVE": "Save",
+            "SUBSCRIBE": "Subscribe",
+            "START_TRIAL": "Start Trial",
+            "COMPLETE_TUTORIAL": "Complete Tutorial",
+            "LEVEL_COMPLETE": "Level Complete",
+            "INVITE": "Invite",
+            "LOGIN": "Login",
+            "SHARE": "Share",
+            "RESERVE": "Reserve",
+            "ACHIEVEMENT_UNLOCKED": "Achievement Unlocked",
+            "SPENT_CREDITS": "Spent Credits",
+            "RATE": "Rate",
+            "AD_CLICK": "Ad Click",
+            "AD_VIEW": "Ad View",
+            "APP_OPEN": "App Open",
+            "CUSTOM_EVENT_1": "Custom Event 1",
+            "CUSTOM_EVENT_2": "Custom Event 2",
+            "CUSTOM_EVENT_3": "Custom Event 3",
+            "CUSTOM_EVENT_4": "Custom Event 4",
+            "CUSTOM_EVENT_5": "Custom Event 5"
+        };
+    }
+
+    /**
+     * Get all of the available URL parameter keys
+     *
+     * @returns {{}}
+     */
+    get keys() {
+        return {
+            "pid": {
+                "name": "Pixel ID",
+                "group": "general"
+            },
+            "ev": {
+                "name": "Event",
+                "group": "general"
+            },
+            "v": {
+                "name": "Pixel Version",
+                "group": "general"
+            },
+            "ts": {
+                "name": "Timestamp",
+                "group": "general"
+            },
+            "pl": {
+                "name": "Page URL",
+                "group": "general"
+            },
+            "rf": {
+                "name": "Referrer",
+                "group": "general"
+            },
+            "e_cur": {
+                "name": "Currency",
+                "group": "event"
+            },
+            "e_pr": {
+                "name": "Price",
+                "group": "event"
+            },
+            "e_tid": {
+                "name": "Transaction ID",
+                "group": "event"
+            },
+            "e_ni": {
+                "name": "Number of Items",
+                "group": "event"
+            },
+            "e_iids": {
+                "name": "Item IDs",
+                "group": "event"
+            },
+            "e_ic": {
+                "name": "Item Category",
+                "group": "event"
+            },
+            "e_desc": {
+                "name": "Description",
+                "group": "event"
+            },
+            "e_ss": {
+                "name": "Search String",
+                "group": "event"
+            },
+            "e_su": {
+                "name": "Sign Up Method",
+                "group": "event"
+            },
+            "e_cid": {
+                "name": "Client Dedup ID",
+                "group": "event"
+            },
+            "u_c1": {
+                "name": "Snap Cookie ID",
+                "group": "user"
+            },
+            "u_scsid": {
+                "name": "Session ID",
+                "group": "user"
+            },
+            "u_sclid": {
+                "name": "Snap Click ID",
+                "group": "user"
+            },
+            "u_hem": {
+                "hidden": true
+            },
+            "u_hpn": {
+                "hidden": true
+            },
+            "u_em": {
+                "hidden": true
+            },
+            "u_pn": {
+                "hidden": true
+            },
+            "requestType": {
+                "hidden": true
+            }
+        };
+    }
+
+    /**
+     * Parse custom properties for a given URL
+     *
+     * @param    {URL}     url
+     * @param    {URLSearchParams}   params
+     *
+     * @returns {Array}
+     */
+    handleCustom(url, params) {
+        let results = [];
+        const event = params.get("ev") || "PAGE_VIEW";
+
+        results.push({
+            "key": "requestType",
+            "value": this.events[event] || event,
+            "hidden": true
+        });
+
+        // Advanced matching identifiers; u_em/u_pn are the unhashed forms
+        const identifiers = {
+            "u_hem": "Hashed Email",
+            "u_hpn": "Hashed Phone Number",
+            "u_em": "Email",
+            "u_pn": "Phone Number"
+        };
+        Object.entries(identifiers).forEach(([key, field]) => {
+            if (params.has(key)) {
+                results = results.concat(this.handleHashedIdentifier(key, field, params.get(key), "user"));
+            }
+        });
+
+        return results;
+    }
+}
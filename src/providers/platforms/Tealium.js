@@ -0,0 +1,264 @@
+/**
+ * Tealium iQ & Tealium Collect
+ * https://docs.tealium.com/platforms/javascript/
+ *
+ * @class
+ * @extends BaseProvider
+ */
+import BaseProvider from '../BaseProvider.js';
+
+export default class TealiumProvider extends BaseProvider {
+    constructor() {
+        super();
+        this._key = "TEALIUM";
+        this._pattern = /\/\/tags\.tiqcdn\.com\/utag\/[^/]+\/[^/]+\/[^/]+\/utag(?:\.sync|\.\d+)?\.js|\/\/(?:collect|datacloud)(?:-[a-z0-9-]+)?\.tealiumiq\.com\/(?:event(?:[/?#]|$)|vdata\/i\.gif|[^/]+\/[^/]+\/2\/i\.gif)/;
+        this._name = "Tealium iQ";
+        this._type = "tagmanager";
+        this._keywords = ["tealium", "utag", "tiq", "eventstream", "audiencestream"];
+    }
+
+    /**
+     * Retrieve the column mappings for default columns (account, event type)
+     *
+     * @return {{}}
+     */
+    get columnMapping() {
+        return {
+            "account": "account",
+            "requestType": "requestType"
+        };
+    }
+
+    /**
+     * Retrieve the group names & order
+     *
+     * @returns {*[]}
+     */
+    get groups() {
+        return [
+            {
+                "key": "general",
+                "name": "General"
+            },
+            {
+                "key": "data",
+                "name": "Data Layer"
+            },
+            {
+                "key": "cookies",
+                "name": "Cookies"
+            },
+            {
+                "key": "dom",
+                "name": "Page (DOM)"
+            },
+            {
+                "key": "query",
+                "name": "Query Parameters"
+            },
+            {
+                "key": "meta",
+                "name": "Meta Tags"
+            },
+            {
+                "key": "utag",
+                "name": "utag Internals"
+            }
+        ];
+    }
+
+    /**
+     * Map of built-in data source prefixes to their groups
+     *
+     * @returns {{}}
+     */
+    get prefixGroups() {
+        return {
+            "cp": "cookies",
+            "dom": "dom",
+            "qp": "query",
+            "meta": "meta",
+            "ut": "utag",
+            "js_page": "data",
+            "va": "data"
+        };
+    }
+
+    /**
+     * Get all of the available URL parameter keys
+     *
+     * @returns {{}}
+     */
+    get keys() {
+        return {
+            "tealium_event": {
+                "name": "Event",
+                "group": "general"
+            },
+            "tealium_event_type": {
+                "name": "Event Type",
+                "group": "general"
+            },
+            "tealium_datasource": {
+                "name": "Data Source Key",
+                "group": "general"
+            },
+            "tealium_visitor_id": {
+                "name": "Visitor ID",
+                "group": "general"
+            },
+            "tealium_session_id": {
+                "name": "Session ID",
+                "group": "general"
+            },
+            "tealium_session_number": {
+                "name": "Session Number",
+                "group": "general"
+            },
+            "tealium_session_event_number": {
+                "name": "Session Event Number",
+                "group": "general"
+            },
+            "tealium_timestamp_epoch": {
+                "name": "Timestamp",
+                "group": "general"
+            },
+            "tealium_library_name": {
+                "name": "Library Name",
+                "group": "general"
+            },
+            "tealium_library_version": {
+                "name": "Library Version",
+                "group": "general"
+            },
+            "tealium_trace_id": {
+                "name": "Trace ID",
+                "group": "general"
+            },
+            "tealium_random": {
+                "name": "Cache Buster",
+                "group": "general"
+            },
+            "utv": {
+                "name": "utag Version",
+                "group": "general"
+            },
+            "cb": {
+                "name": "Cache Buster",
+                "group": "general"
+            },
+            "tealium_account": {
+                "hidden": true
+            },
+            "tealium_profile": {
+                "hidden": true
+            },
+            "tealium_environment": {
+                "hidden": true
+            },
+            "requestType": {
+                "hidden": true
+            }
+        };
+    }
+
+    /**
+     * Parse a given URL parameter into human-readable form
+     *
+     * @param {string}  name
+     * @param {string}  value
+     *
+     * @returns {void|{}}
+     */
+    handleQueryParam(name, value) {
+        if (this.keys[name]) {
+            return super.handleQueryParam(name, value);
+        }
+
+        // Built-in data sources are prefixed (cp.cookie, dom.url, qp.query, ...);
+        // anything else is a UDO (utag_data) variable
+        const prefix = name.split(".")[0];
+        return {
+            "key": name,
+            "field": name,
+            "value": value,
+            "group": this.prefixGroups[prefix] && name.includes(".") ? this.prefixGroups[prefix] : "data"
+        };
+    }
+
+    /**
+     * Parse custom properties for a given URL
+     *
+     * @param    {URL}     url
+     * @param    {URLSearchParams}   params
+     *
+     * @returns {Array}
+     */
+    handleCustom(url, params) {
+        let results = [],
+            account = params.get("tealium_account"),
+            profile = params.get("tealium_profile"),
+            environment = params.get("tealium_environment"),
+            requestType;
+
+        // utag loads: /utag/{account}/{profile}/{env}/utag.js, utag.sync.js or utag.{tag id}.js
+        const library = url.pathname.match(/\/utag\/([^/]+)\/([^/]+)\/([^/]+)\/utag(?:\.(sync|\d+))?\.js$/);
+        // Collect hits with the account and profile in the path: /{account}/{profile}/2/i.gif
+        const collectPath = url.pathname.match(/^\/([^/]+)\/([^/]+)\/2\/i\.gif$/);
+
+        if (library) {
+            [, account, profile, environment] = library;
+            if (library[4] === "sync") {
+                requestType = "Sync Library Load";
+            } else if (library[4]) {
+                requestType = "Tag Load";
+                results.push({
+                    "key": "tagId",
+                    "field": "Tag UID",
+                    "value": library[4],
+                    "group": "general"
+                });
+            } else {
+                requestType = "Library Load";
+            }
+        } else {
+            if (collectPath && !account) {
+                [, account, profile] = collectPath;
+            }
+            requestType = params.get("tealium_event") || params.get("tealium_event_type") || "Event";
+        }
+
+        if (account) {
+            results.push({
+                "key": "account",
+                "field": "Account",
+                "value": account,
+                "group": "general"
+            });
+        }
+        if (profile) {
+            results.push({
+                "key": "profile",
+                "field": "Profile",
+                "value": profile,
+                "group": "general"
+            });
+        }
+        if (environment) {
+            results.push({
+                "key": "environment",
+                "field": "Environment",
+                "value": environment,
+                "group": "general"
+            });
+        }
+
+        results.push({
+            "key": "requestType",
+            "value": requestType,
+            "hidden": true
+        });
+
+        return results;
+    }
+}
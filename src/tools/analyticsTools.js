@@ -3,7 +3,22 @@
  * Tools for capturing and parsing analytics beacons from webpages
  */
 import { z } from "zod";
-import { captureAnalyticsBeacons, captureInteractionBeacons } from '../utils/beaconCapture.js';
+import {
+    captureAnalyticsBeacons,
+    captureInteractionBeacons,
+    parseHarBeacons,
+    runTrackingJourney,
+    processAnalyticsBeacons,
+    JOURNEY_ACTIONS
+} from '../utils/beaconCapture.js';
+import { setupRequestInterception } from '../utils/requestInterceptor.js';
+import { harBlockResources, saveHar } from '../utils/harExport.js';
+import { loadProcessingRules, simulateProcessingRules } from '../analytics/adobeProcessingRules.js';
+import { loadXdmSchema, validateWebSdkBeacons } from '../validation/xdmSchemaValidator.js';
+import { detectTaggingServers, summarizeServerSideTagging } from '../analytics/pixelDetector.js';
+import { installLaunchMonitor, inspectLaunch } from '../analytics/launchInspector.js';
+import { installGtmMonitor, inspectGtm, correlateGtmEvents } from '../analytics/gtmInspector.js';
+import { installAcdlMonitor, inspectAcdl, stateAtTime, matchLaunchRules } from '../analytics/acdlInspector.js';
 
 /**
  * Register analytics tools with the server
@@ -19,10 +34,16 @@ export function registerAnalyticsTools(server, initBrowser) {
         {
             url: z.string().url().describe("The URL of the webpage to analyze"),
             waitTime: z.number().optional().describe("Time to wait for beacons to fire (milliseconds)"),
-            simulateClick: z.string().optional().describe("Optional CSS selector to click for interaction beacons")
+            simulateClick: z.string().optional().describe("Optional CSS selector to click for interaction beacons"),
+            harPath: z.string().optional().describe("Optional file path to save the full capture as a HAR 1.2 file"),
+            xdmSchemaPath: z.string().optional().describe("Optional path to an XDM JSON schema to validate Web SDK event payloads against"),
+            disabledProviders: z.array(z.string()).optional().describe("Provider keys to skip (e.g. \"TWITTER\", \"MICROSOFTCLARITY\")")
         },
-        async ({ url, waitTime = 3000, simulateClick }) => {
+        async ({ url, waitTime = 3000, simulateClick, harPath, xdmSchemaPath, disabledProviders }) => {
             try {
+                // Load the schema up front so a bad path fails before the browser starts
+                const xdmSchema = xdmSchemaPath ? await loadXdmSchema(xdmSchemaPath) : null;
+                
                 // Initialize browser with optimization options
                 const browser = await initBrowser({
                     args: [
@@ -35,121 +56,695 @@ export function registerAnalyticsTools(server, initBrowser) {
                 
                 // Create a new page
                 const page = await browser.newPage();
+                try {
+                    // Set a desktop viewport
+                    await page.setViewport({ width: 1280, height: 800 });
+                    
+                    // Intercept before navigating so page load beacons are part of the capture;
+                    // the beacon capture helpers below reuse this request log
+                    const requests = await setupRequestInterception(page, {
+                        blockResources: harBlockResources(['image', 'font', 'media'], harPath),
+                        captureBody: true
+                    });
+                    
+                    // Navigate to URL with extended timeout
+                    await page.goto(url, { 
+                        waitUntil: 'networkidle2', 
+                        timeout: 60000 // 60 second timeout
+                    });
+                    
+                    // Capture page load beacons
+                    const pageLoadBeacons = await captureAnalyticsBeacons(page, {
+                        waitTime,
+                        includeBody: true,
+                        providerTypes: ['analytics'],
+                        disabledProviders
+                    });
+                    
+                    // Capture interaction beacons if a selector is provided
+                    let interactionBeacons = null;
+                    if (simulateClick) {
+                        try {
+                            await page.waitForSelector(simulateClick, { timeout: 5000 });
+                            interactionBeacons = await captureInteractionBeacons(page, simulateClick, 'click', {
+                                waitTime: 3000,
+                                includeBody: true,
+                                providerTypes: ['analytics'],
+                                disabledProviders
+                            });
+                        } catch (clickError) {
+                            interactionBeacons = {
+                                error: `Failed to find or click element: ${clickError.message}`,
+                                selector: simulateClick
+                            };
+                        }
+                    }
+                    
+                    // Read gtag server_container_url / transport_url and sGTM loaders
+                    const pageTagging = await detectTaggingServers(page).catch(() => ({}));
+                    
+                    // Format and categorize the results
+                    const result = {
+                        url,
+                        scanTime: new Date().toISOString(),
+                        pageLoad: {
+                            beaconCount: pageLoadBeacons.beacons.length,
+                            beacons: pageLoadBeacons.beacons
+                        },
+                        summary: {
+                            totalBeacons: pageLoadBeacons.beacons.length + 
+                                        (interactionBeacons?.beacons?.length || 0),
+                            cookielessPings: pageLoadBeacons.summary.cookielessPings +
+                                        (interactionBeacons?.summary?.cookielessPings || 0),
+                            warnings: pageLoadBeacons.summary.warnings +
+                                        (interactionBeacons?.summary?.warnings || 0),
+                            firstPartyRequests: pageLoadBeacons.summary.firstPartyRequests +
+                                        (interactionBeacons?.summary?.firstPartyRequests || 0),
+                            providers: pageLoadBeacons.summary.providers
+                        }
+                    };
+                    
+                    // Add interaction data if available
+                    if (interactionBeacons) {
+                        if (interactionBeacons.error) {
+                            result.interaction = {
+                                error: interactionBeacons.error,
+                                selector: simulateClick
+                            };
+                        } else {
+                            result.interaction = {
+                                beaconCount: interactionBeacons.beacons.length,
+                                selector: simulateClick,
+                                beacons: interactionBeacons.beacons
+                            };
+                            
+                            // Update providers in summary
+                            if (interactionBeacons.summary?.providers) {
+                                for (const [provider, count] of Object.entries(interactionBeacons.summary.providers)) {
+                                    if (result.summary.providers[provider]) {
+                                        result.summary.providers[provider] += count;
+                                    } else {
+                                        result.summary.providers[provider] = count;
+                                    }
+                                }
+                            }
+                        }
+                    }
+                    
+                    // Group by beacon type and extract Adobe details for easier analysis
+                    const allBeacons = [
+                        ...pageLoadBeacons.beacons,
+                        ...(interactionBeacons?.beacons || [])
+                    ];
+                    addBeaconBreakdown(result, allBeacons, { xdmSchema, requests, disabledProviders });
+                    
+                    // Attribute GA4 hits to direct collection or a server-side tagging container
+                    result.serverSideTagging = summarizeServerSideTagging(allBeacons, pageTagging);
+                    
+                    // Save the full capture as a HAR file if requested
+                    if (harPath) {
+                        result.harFile = await saveHar(requests, harPath, { pageUrl: url, disabledProviders });
+                    }
+                    
+                    return {
+                        content: [{
+                            type: "text",
+                            text: JSON.stringify(result, null, 2)
+                        }]
+                    };
+                } finally {
+                    await page.close();
+                }
+            } catch (error) {
+                return {
+                    content: [{
+                        type: "text",
+                        text: `Error parsing analytics beacons: ${error.message}`
+                    }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Offline parsing of beacons recorded in a HAR file
+    server.tool(
+        "import-har-beacons",
+        "Parse analytics and marketing beacons from a recorded HAR 1.2 file without launching a browser",
+        {
+            harPath: z.string().describe("Path to the HAR file to import"),
+            providerTypes: z.array(z.string()).optional().describe("Provider types to include (e.g. \"Analytics\", \"Marketing\", \"Tag Manager\"); defaults to all"),
+            includeRaw: z.boolean().optional().describe("Include the raw URL and POST body of each beacon"),
+            xdmSchemaPath: z.string().optional().describe("Optional path to an XDM JSON schema to validate Web SDK event payloads against"),
+            disabledProviders: z.array(z.string()).optional().describe("Provider keys to skip (e.g. \"TWITTER\", \"MICROSOFTCLARITY\")")
+        },
+        async ({ harPath, providerTypes, includeRaw = false, xdmSchemaPath, disabledProviders }) => {
+            try {
+                const xdmSchema = xdmSchemaPath ? await loadXdmSchema(xdmSchemaPath) : null;
+                const harBeacons = await parseHarBeacons(harPath, {
+                    providerTypes,
+                    includeRaw,
+                    disabledProviders
+                });
                 
-                // Set a desktop viewport
-                await page.setViewport({ width: 1280, height: 800 });
+                const result = {
+                    harFile: harPath,
+                    scanTime: new Date().toISOString(),
+                    pages: harBeacons.har.pages,
+                    pageLoad: {
+                        beaconCount: harBeacons.beacons.length,
+                        beacons: harBeacons.beacons
+                    },
+                    summary: {
+                        totalEntries: harBeacons.har.entries,
+                        totalBeacons: harBeacons.beacons.length,
+                        cookielessPings: harBeacons.summary.cookielessPings,
+                        warnings: harBeacons.summary.warnings,
+                        firstPartyRequests: harBeacons.summary.firstPartyRequests,
+                        providers: harBeacons.summary.providers
+                    }
+                };
                 
-                // Navigate to URL with extended timeout
-                await page.goto(url, { 
-                    waitUntil: 'networkidle2', 
-                    timeout: 60000 // 60 second timeout
+                addBeaconBreakdown(result, harBeacons.beacons, { xdmSchema, requests: harBeacons.requests, disabledProviders });
+                result.serverSideTagging = summarizeServerSideTagging(harBeacons.beacons);
+                
+                return {
+                    content: [{
+                        type: "text",
+                        text: JSON.stringify(result, null, 2)
+                    }]
+                };
+            } catch (error) {
+                return {
+                    content: [{
+                        type: "text",
+                        text: `Error importing HAR beacons: ${error.message}`
+                    }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Multi-step journeys with per-step beacon attribution
+    server.tool(
+        "run-tracking-journey",
+        "Run an ordered list of user journey steps in one page and attribute every captured beacon to the step that triggered it",
+        {
+            url: z.string().url().optional().describe("Optional URL to load before the first step"),
+            steps: z.array(z.object({
+                action: z.enum(JOURNEY_ACTIONS).describe("Step action"),
+                label: z.string().optional().describe("Optional name for the step in the report"),
+                url: z.string().url().optional().describe("URL to load (navigate)"),
+                selector: z.string().optional().describe("CSS selector of the target element"),
+                text: z.string().optional().describe("Text to type (type)"),
+                value: z.union([z.string(), z.array(z.string())]).optional().describe("Option value(s) to select (select)"),
+                script: z.string().optional().describe("JavaScript expression to evaluate in the page (evaluate)"),
+                provider: z.string().optional().describe("Provider key or name to wait for (wait-for-beacon)"),
+                requestType: z.string().optional().describe("Beacon request type to wait for (wait-for-beacon)"),
+                visible: z.boolean().optional().describe("Wait for the element to be visible (wait-for-selector)"),
+                waitTime: z.number().optional().describe("Time to wait for beacons after this step (milliseconds)"),
+                timeout: z.number().optional().describe("Timeout for this step (milliseconds)")
+            })).min(1).describe("Ordered journey steps"),
+            waitTime: z.number().optional().describe("Default time to wait for beacons after each step (milliseconds)"),
+            continueOnError: z.boolean().optional().describe("Keep running the remaining steps after a step fails"),
+            providerTypes: z.array(z.string()).optional().describe("Provider types to include (e.g. \"Analytics\", \"Marketing\", \"Tag Manager\"); defaults to all"),
+            disabledProviders: z.array(z.string()).optional().describe("Provider keys to skip (e.g. \"TWITTER\", \"MICROSOFTCLARITY\")"),
+            harPath: z.string().optional().describe("Optional file path to save the full capture as a HAR 1.2 file")
+        },
+        async ({ url, steps, waitTime = 1500, continueOnError = false, providerTypes, disabledProviders, harPath }) => {
+            try {
+                const browser = await initBrowser({
+                    args: [
+                        '--no-sandbox',
+                        '--disable-setuid-sandbox',
+                        '--disable-dev-shm-usage',
+                        '--disable-accelerated-2d-canvas'
+                    ]
                 });
                 
-                // Capture page load beacons
-                const pageLoadBeacons = await captureAnalyticsBeacons(page, {
-                    waitTime,
-                    includeBody: true,
-                    providerTypes: ['analytics']
+                const page = await browser.newPage();
+                await page.setViewport({ width: 1280, height: 800 });
+                
+                // Intercept before the first step so every request is attributed;
+                // images stay unblocked as most pixel beacons load as images
+                const requests = await setupRequestInterception(page, {
+                    blockResources: ['font', 'media'],
+                    captureBody: true
                 });
                 
-                // Capture interaction beacons if a selector is provided
-                let interactionBeacons = null;
-                if (simulateClick) {
+                // A starting URL becomes an implicit first navigate step
+                const journeySteps = url
+                    ? [{ action: 'navigate', url, label: 'Initial page load' }, ...steps]
+                    : steps;
+                
+                let journey;
+                try {
+                    journey = await runTrackingJourney(page, journeySteps, {
+                        waitTime,
+                        continueOnError,
+                        providerTypes,
+                        disabledProviders
+                    });
+                } finally {
+                    await page.close();
+                }
+                
+                const result = {
+                    url: url || journeySteps.find(step => step.action === 'navigate')?.url,
+                    scanTime: new Date().toISOString(),
+                    summary: journey.summary,
+                    steps: journey.steps
+                };
+                
+                if (harPath) {
+                    result.harFile = await saveHar(requests, harPath, { pageUrl: result.url, disabledProviders });
+                }
+                
+                return {
+                    content: [{
+                        type: "text",
+                        text: JSON.stringify(result, null, 2)
+                    }]
+                };
+            } catch (error) {
+                return {
+                    content: [{
+                        type: "text",
+                        text: `Error running tracking journey: ${error.message}`
+                    }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Preview Adobe Analytics processing rules against captured hits
+    server.tool(
+        "simulate-processing-rules",
+        "Apply an Adobe Analytics processing rule set to captured hits and show the post-processing variables next to the raw hit",
+        {
+            url: z.string().url().optional().describe("The URL of the webpage to capture Adobe Analytics hits from"),
+            harPath: z.string().optional().describe("Path to a HAR file to read hits from instead of loading a URL"),
+            beaconUrl: z.string().url().optional().describe("A single Adobe Analytics hit URL to process"),
+            postData: z.string().optional().describe("POST body of the hit given in beaconUrl"),
+            rulesPath: z.string().optional().describe("Path to a JSON processing rule set"),
+            rules: z.string().optional().describe("Inline JSON processing rule set"),
+            waitTime: z.number().optional().describe("Time to wait for beacons to fire (milliseconds)")
+        },
+        async ({ url, harPath, beaconUrl, postData, rulesPath, rules, waitTime = 3000 }) => {
+            try {
+                if (!url && !harPath && !beaconUrl) {
+                    throw new Error('One of url, harPath or beaconUrl is required');
+                }
+                
+                const ruleSet = await loadProcessingRules({ rulesPath, rules });
+                
+                let captured;
+                if (beaconUrl) {
+                    captured = processAnalyticsBeacons([{
+                        url: beaconUrl,
+                        method: postData ? 'POST' : 'GET',
+                        postData,
+                        timestamp: new Date().toISOString()
+                    }]);
+                } else if (harPath) {
+                    captured = await parseHarBeacons(harPath);
+                } else {
+                    const browser = await initBrowser({
+                        args: [
+                            '--no-sandbox',
+                            '--disable-setuid-sandbox',
+                            '--disable-dev-shm-usage'
+                        ]
+                    });
+                    
+                    const page = await browser.newPage();
                     try {
-                        await page.waitForSelector(simulateClick, { timeout: 5000 });
-                        interactionBeacons = await captureInteractionBeacons(page, simulateClick, 'click', {
-                            waitTime: 3000,
+                        await page.setViewport({ width: 1280, height: 800 });
+                        
+                        await setupRequestInterception(page, {
+                            blockResources: ['font', 'media'],
+                            captureBody: true
+                        });
+                        
+                        await page.goto(url, {
+                            waitUntil: 'networkidle2',
+                            timeout: 60000
+                        });
+                        
+                        captured = await captureAnalyticsBeacons(page, {
+                            waitTime,
                             includeBody: true,
-                            providerTypes: ['analytics']
+                            providerTypes: []
                         });
-                    } catch (clickError) {
-                        interactionBeacons = {
-                            error: `Failed to find or click element: ${clickError.message}`,
-                            selector: simulateClick
-                        };
+                    } finally {
+                        await page.close();
                     }
                 }
                 
-                // Close the page
-                await page.close();
+                const simulation = simulateProcessingRules(captured.beacons, ruleSet);
                 
-                // Format and categorize the results
                 const result = {
-                    url,
+                    source: beaconUrl || harPath || url,
                     scanTime: new Date().toISOString(),
-                    pageLoad: {
-                        beaconCount: pageLoadBeacons.beacons.length,
-                        beacons: pageLoadBeacons.beacons
-                    },
-                    summary: {
-                        totalBeacons: pageLoadBeacons.beacons.length + 
-                                    (interactionBeacons?.beacons?.length || 0),
-                        providers: pageLoadBeacons.summary.providers
-                    }
+                    summary: simulation.summary,
+                    hits: simulation.hits
                 };
                 
-                // Add interaction data if available
-                if (interactionBeacons) {
-                    if (interactionBeacons.error) {
-                        result.interaction = {
-                            error: interactionBeacons.error,
-                            selector: simulateClick
-                        };
-                    } else {
-                        result.interaction = {
-                            beaconCount: interactionBeacons.beacons.length,
-                            selector: simulateClick,
-                            beacons: interactionBeacons.beacons
-                        };
-                        
-                        // Update providers in summary
-                        if (interactionBeacons.summary?.providers) {
-                            for (const [provider, count] of Object.entries(interactionBeacons.summary.providers)) {
-                                if (result.summary.providers[provider]) {
-                                    result.summary.providers[provider] += count;
-                                } else {
-                                    result.summary.providers[provider] = count;
-                                }
-                            }
+                return {
+                    content: [{
+                        type: "text",
+                        text: JSON.stringify(result, null, 2)
+                    }]
+                };
+            } catch (error) {
+                return {
+                    content: [{
+                        type: "text",
+                        text: `Error simulating processing rules: ${error.message}`
+                    }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Adobe Launch library, rules and rule firing (like the Launch tab of the Experience Platform Debugger)
+    server.tool(
+        "inspect-adobe-launch",
+        "Read the Adobe Launch (Tags) library in a webpage: property, build info, extensions, rules with their events, conditions and actions, and which rules fired",
+        {
+            url: z.string().url().describe("The URL of the webpage to analyze"),
+            waitTime: z.number().optional().describe("Time to wait for rules to fire after load (milliseconds)"),
+            simulateClick: z.string().optional().describe("Optional CSS selector to click before reading, to fire interaction rules"),
+            includeSettings: z.boolean().optional().describe("Include the settings of every rule component and extension (custom code is truncated)")
+        },
+        async ({ url, waitTime = 3000, simulateClick, includeSettings = false }) => {
+            try {
+                const browser = await initBrowser({
+                    args: [
+                        '--no-sandbox',
+                        '--disable-setuid-sandbox',
+                        '--disable-dev-shm-usage'
+                    ]
+                });
+                
+                const page = await browser.newPage();
+                await page.setViewport({ width: 1280, height: 800 });
+                
+                await setupRequestInterception(page, {
+                    blockResources: ['image', 'font', 'media']
+                });
+                
+                let launch;
+                try {
+                    // The monitor must be registered before the library initializes
+                    await installLaunchMonitor(page);
+                    
+                    await page.goto(url, {
+                        waitUntil: 'networkidle2',
+                        timeout: 60000
+                    });
+                    await new Promise(resolve => setTimeout(resolve, waitTime));
+                    
+                    let interaction;
+                    if (simulateClick) {
+                        try {
+                            await page.waitForSelector(simulateClick, { timeout: 5000 });
+                            await page.click(simulateClick);
+                            await new Promise(resolve => setTimeout(resolve, 2000));
+                            interaction = { selector: simulateClick };
+                        } catch (clickError) {
+                            interaction = {
+                                selector: simulateClick,
+                                error: `Failed to find or click element: ${clickError.message}`
+                            };
                         }
                     }
+                    
+                    launch = await inspectLaunch(page, { includeSettings });
+                    if (interaction) {
+                        launch.interaction = interaction;
+                    }
+                } finally {
+                    await page.close();
                 }
                 
-                // Group by beacon type for easier analysis
-                const groupedBeacons = {
-                    adobe_analytics: [],
-                    adobe_experience_platform: [],
-                    other_analytics: []
+                const result = {
+                    url,
+                    scanTime: new Date().toISOString(),
+                    ...launch
                 };
                 
-                // Process all beacons into their categories
-                const allBeacons = [
-                    ...pageLoadBeacons.beacons,
-                    ...(interactionBeacons?.beacons || [])
-                ];
-                
-                for (const beacon of allBeacons) {
-                    if (beacon.providerKey === 'ADOBEANALYTICS') {
-                        groupedBeacons.adobe_analytics.push(beacon);
-                    } else if (beacon.providerKey === 'ADOBEWEBSDK') {
-                        groupedBeacons.adobe_experience_platform.push(beacon);
-                    } else {
-                        groupedBeacons.other_analytics.push(beacon);
+                return {
+                    content: [{
+                        type: "text",
+                        text: JSON.stringify(result, null, 2)
+                    }]
+                };
+            } catch (error) {
+                return {
+                    content: [{
+                        type: "text",
+                        text: `Error inspecting Adobe Launch: ${error.message}`
+                    }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // GTM containers and the beacons each dataLayer event led to
+    server.tool(
+        "inspect-gtm-container",
+        "Read the Google Tag Manager containers and dataLayer history in a webpage and show which beacons fired after each GTM event (gtm.js, gtm.dom, gtm.load, custom events)",
+        {
+            url: z.string().url().describe("The URL of the webpage to analyze"),
+            waitTime: z.number().optional().describe("Time to wait for tags to fire after load (milliseconds)"),
+            simulateClick: z.string().optional().describe("Optional CSS selector to click, to fire interaction events"),
+            windowMs: z.number().optional().describe("Longest gap between an event and a beacon attributed to it (milliseconds, default 5000)"),
+            disabledProviders: z.array(z.string()).optional().describe("Provider keys to skip (e.g. \"TWITTER\", \"MICROSOFTCLARITY\")")
+        },
+        async ({ url, waitTime = 3000, simulateClick, windowMs = 5000, disabledProviders }) => {
+            try {
+                const browser = await initBrowser({
+                    args: [
+                        '--no-sandbox',
+                        '--disable-setuid-sandbox',
+                        '--disable-dev-shm-usage'
+                    ]
+                });
+                
+                const page = await browser.newPage();
+                await page.setViewport({ width: 1280, height: 800 });
+                
+                // Images are kept: many tags fire as image requests
+                const requests = await setupRequestInterception(page, {
+                    blockResources: ['font', 'media'],
+                    captureBody: true
+                });
+                
+                let gtm;
+                let interaction;
+                try {
+                    // The push hook must be in place before the GTM snippet runs
+                    await installGtmMonitor(page);
+                    
+                    await page.goto(url, {
+                        waitUntil: 'networkidle2',
+                        timeout: 60000
+                    });
+                    await new Promise(resolve => setTimeout(resolve, waitTime));
+                    
+                    if (simulateClick) {
+                        try {
+                            await page.waitForSelector(simulateClick, { timeout: 5000 });
+                            await page.click(simulateClick);
+                            await new Promise(resolve => setTimeout(resolve, 3000));
+                            interaction = { selector: simulateClick };
+                        } catch (clickError) {
+                            interaction = {
+                                selector: simulateClick,
+                                error: `Failed to find or click element: ${clickError.message}`
+                            };
+                        }
                     }
+                    
+                    gtm = await inspectGtm(page);
+                } finally {
+                    await page.close();
                 }
                 
-                result.groupedBeacons = groupedBeacons;
+                const captured = processAnalyticsBeacons(requests, { disabledProviders });
+                // GTM's own library loads are not tag fires
+                const beacons = captured.beacons.filter(beacon => beacon.providerKey !== 'GOOGLETAGMANAGER');
+                const timeline = correlateGtmEvents(gtm.pushes, beacons, { windowMs });
                 
-                // Extract key variables for Adobe Analytics for easier analysis
-                if (groupedBeacons.adobe_analytics.length > 0) {
-                    const aaVariables = extractAdobeAnalyticsVariables(groupedBeacons.adobe_analytics);
-                    result.adobeAnalyticsVariables = aaVariables;
+                const result = {
+                    url,
+                    scanTime: new Date().toISOString(),
+                    detected: gtm.detected,
+                    containers: gtm.containers,
+                    summary: {
+                        containers: gtm.containers.length,
+                        dataLayerPushes: gtm.pushes.length,
+                        events: timeline.events.length,
+                        messages: timeline.messages,
+                        beacons: beacons.length,
+                        eventsWithoutBeacons: timeline.events
+                            .filter(event => event.beaconCount === 0)
+                            .map(event => event.event),
+                        unattributedBeacons: timeline.unattributedBeacons.length
+                    },
+                    events: timeline.events,
+                    unattributedBeacons: timeline.unattributedBeacons
+                };
+                if (interaction) {
+                    result.interaction = interaction;
                 }
                 
-                // Extract XDM data for Adobe Experience Platform
-                if (groupedBeacons.adobe_experience_platform.length > 0) {
-                    const xdmData = extractXdmData(groupedBeacons.adobe_experience_platform);
-                    result.xdmData = xdmData;
+                return {
+                    content: [{
+                        type: "text",
+                        text: JSON.stringify(result, null, 2)
+                    }]
+                };
+            } catch (error) {
+                return {
+                    content: [{
+                        type: "text",
+                        text: `Error inspecting GTM container: ${error.message}`
+                    }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Adobe Client Data Layer pushes, computed state and the rules listening to it
+    server.tool(
+        "inspect-adobe-data-layer",
+        "Record every Adobe Client Data Layer (window.adobeDataLayer) push in a webpage, compute the state after each one, list the listeners and Launch rules triggered by its events, and read the state as it was when an Adobe Analytics or Web SDK beacon fired",
+        {
+            url: z.string().url().describe("The URL of the webpage to analyze"),
+            waitTime: z.number().optional().describe("Time to wait for tags to fire after load (milliseconds)"),
+            simulateClick: z.string().optional().describe("Optional CSS selector to click, to fire interaction events"),
+            beacon: z.string().optional().describe("Index in the returned beacons list, or a substring of the beacon URL, of the Adobe Analytics or Web SDK beacon to return the data layer state for"),
+            includeStates: z.boolean().optional().describe("Include the computed state after every push (default: false)")
+        },
+        async ({ url, waitTime = 3000, simulateClick, beacon, includeStates = false }) => {
+            try {
+                const browser = await initBrowser({
+                    args: [
+                        '--no-sandbox',
+                        '--disable-setuid-sandbox',
+                        '--disable-dev-shm-usage'
+                    ]
+                });
+                
+                const page = await browser.newPage();
+                await page.setViewport({ width: 1280, height: 800 });
+                
+                // Images are kept: Adobe Analytics fires image requests
+                const requests = await setupRequestInterception(page, {
+                    blockResources: ['font', 'media'],
+                    captureBody: true
+                });
+                
+                let acdl;
+                let launch;
+                let interaction;
+                try {
+                    // Both hooks must be in place before the page's scripts run
+                    await installAcdlMonitor(page);
+                    await installLaunchMonitor(page);
+                    
+                    await page.goto(url, {
+                        waitUntil: 'networkidle2',
+                        timeout: 60000
+                    });
+                    await new Promise(resolve => setTimeout(resolve, waitTime));
+                    
+                    if (simulateClick) {
+                        try {
+                            await page.waitForSelector(simulateClick, { timeout: 5000 });
+                            await page.click(simulateClick);
+                            await new Promise(resolve => setTimeout(resolve, 3000));
+                            interaction = { selector: simulateClick };
+                        } catch (clickError) {
+                            interaction = {
+                                selector: simulateClick,
+                                error: `Failed to find or click element: ${clickError.message}`
+                            };
+                        }
+                    }
+                    
+                    acdl = await inspectAcdl(page);
+                    launch = await inspectLaunch(page, { includeSettings: true });
+                } finally {
+                    await page.close();
+                }
+                
+                const captured = processAnalyticsBeacons(requests);
+                const adobeBeacons = captured.beacons
+                    .filter(item => item.providerKey === 'ADOBEANALYTICS' || item.providerKey === 'ADOBEWEBSDK')
+                    .map((item, index) => ({
+                        index,
+                        provider: item.provider,
+                        requestType: item.requestType,
+                        url: item.url,
+                        timestamp: item.timestamp,
+                        time: Date.parse(item.timestamp)
+                    }));
+                const launchRules = launch.detected ? matchLaunchRules(launch.rules, acdl.history) : [];
+                
+                const result = {
+                    url,
+                    scanTime: new Date().toISOString(),
+                    detected: acdl.detected,
+                    initialized: acdl.initialized,
+                    version: acdl.version,
+                    summary: {
+                        pushes: acdl.history.length,
+                        events: acdl.history.filter(item => item.kind === 'event').length,
+                        dataPushes: acdl.history.filter(item => item.kind === 'data').length,
+                        functionPushes: acdl.history.filter(item => item.kind === 'function').length,
+                        ignoredPushes: acdl.history.filter(item => item.kind === 'invalid').length,
+                        listeners: acdl.listeners.filter(listener => listener.method === 'addEventListener').length,
+                        launchRules: launchRules.length,
+                        adobeBeacons: adobeBeacons.length,
+                        stateMatchesPage: acdl.stateMatchesPage
+                    },
+                    history: acdl.history.map(({ time, state, ...item }) => ({
+                        ...item,
+                        listeningRules: item.kind === 'event'
+                            ? launchRules.filter(rule => rule.eventNames.includes(item.event)).map(rule => rule.ruleName)
+                            : undefined,
+                        state: includeStates ? state : undefined
+                    })),
+                    finalState: acdl.finalState,
+                    listeners: acdl.listeners,
+                    launchRules,
+                    beacons: adobeBeacons.map(({ time, ...item }) => {
+                        const { lastPushIndex, lastEvent } = stateAtTime(acdl.history, time);
+                        return { ...item, lastPushIndex, lastEvent };
+                    })
+                };
+                
+                if (beacon !== undefined) {
+                    const match = /^\d+$/.test(beacon)
+                        ? adobeBeacons[Number(beacon)]
+                        : adobeBeacons.find(item => item.url.includes(beacon));
+                    result.stateAtBeacon = match
+                        ? {
+                            beacon: { index: match.index, provider: match.provider, requestType: match.requestType, url: match.url, timestamp: match.timestamp },
+                            ...stateAtTime(acdl.history, match.time)
+                        }
+                        : { query: beacon, error: 'No Adobe Analytics or Web SDK beacon matches this index or URL' };
+                }
+                if (interaction) {
+                    result.interaction = interaction;
                 }
                 
                 return {
@@ -162,7 +757,7 @@ export function registerAnalyticsTools(server, initBrowser) {
                 return {
                     content: [{
                         type: "text",
-                        text: `Error parsing analytics beacons: ${error.message}`
+                        text: `Error inspecting Adobe Client Data Layer: ${error.message}`
                     }],
                     isError: true
                 };
@@ -171,6 +766,51 @@ export function registerAnalyticsTools(server, initBrowser) {
     );
 }
 
+/**
+ * Group beacons by platform and attach the Adobe-specific extractions to a result
+ * 
+ * @param {Object} result - Tool result to decorate
+ * @param {Array} beacons - All beacons captured for the result
+ * @param {Object} options - Breakdown options
+ * @param {Object} options.xdmSchema - XDM JSON schema to validate Web SDK events against
+ * @param {Array} options.requests - Captured requests the beacons were parsed from, for XDM validation
+ * @param {string[]} options.disabledProviders - Provider keys to skip
+ */
+function addBeaconBreakdown(result, beacons, { xdmSchema, requests = [], disabledProviders } = {}) {
+    // Group by beacon type for easier analysis
+    const groupedBeacons = {
+        adobe_analytics: [],
+        adobe_experience_platform: [],
+        other_analytics: []
+    };
+    
+    for (const beacon of beacons) {
+        if (beacon.providerKey === 'ADOBEANALYTICS') {
+            groupedBeacons.adobe_analytics.push(beacon);
+        } else if (beacon.providerKey === 'ADOBEWEBSDK') {
+            groupedBeacons.adobe_experience_platform.push(beacon);
+        } else {
+            groupedBeacons.other_analytics.push(beacon);
+        }
+    }
+    
+    result.groupedBeacons = groupedBeacons;
+    
+    // Extract key variables for Adobe Analytics for easier analysis
+    if (groupedBeacons.adobe_analytics.length > 0) {
+        result.adobeAnalyticsVariables = extractAdobeAnalyticsVariables(groupedBeacons.adobe_analytics);
+    }
+    
+    // Extract XDM data for Adobe Experience Platform
+    if (groupedBeacons.adobe_experience_platform.length > 0) {
+        result.xdmData = extractXdmData(groupedBeacons.adobe_experience_platform);
+        
+        if (xdmSchema) {
+            result.xdmValidation = validateWebSdkBeacons(requests, xdmSchema, { disabledProviders });
+        }
+    }
+}
+
 /**
  * Extract key variables from Adobe Analytics beacons for easier analysis
  * 
@@ -188,11 +828,15 @@ function extractAdobeAnalyticsVariables(beacons) {
             pageName: null,
             events: null,
             products: null,
+            parsedEvents: null,
+            parsedProducts: null,
             eVars: {},
             props: {},
             listVars: {},
             contextData: {},
-            other: {}
+            activityMap: null,
+            other: {},
+            warnings: []
         };
         
         // Process each data item from the beacon
@@ -207,6 +851,14 @@ function extractAdobeAnalyticsVariables(beacons) {
                 variables.events = value;
             } else if (key === 'products') {
                 variables.products = value;
+            } else if (key === 'omnibug_events') {
+                variables.parsedEvents = value;
+            } else if (key === 'omnibug_products') {
+                variables.parsedProducts = value;
+            } else if (key === 'omnibug_warning') {
+                variables.warnings.push(value);
+            } else if (key === 'omnibug_activityMap') {
+                variables.activityMap = value;
             } else if (/^eVar\d+$/.test(field) || /^v\d+$/.test(key)) {
                 // Match both eVar patterns
                 const eVarMatch = field.match(/^eVar(\d+)$/) || key.match(/^v(\d+)$/);
@@ -229,8 +881,8 @@ function extractAdobeAnalyticsVariables(beacons) {
                     variables.listVars[`list${listNum}`] = value;
                 }
             } else if (group === 'context' || key.includes('.')) {
-                // Handle context data variables
-                const contextKey = field.replace('c.', '');
+                // Handle context data variables, keyed by their dotted path (a.page.name)
+                const contextKey = key.replace(/^c\./, '');
                 variables.contextData[contextKey] = value;
             } else if (['pageName', 'rsid', 'events', 'products'].indexOf(key) === -1) {
                 // Add all other variables to the "other" category
@@ -257,6 +909,11 @@ function extractXdmData(beacons) {
         const xdmData = {
             timestamp: beacon.timestamp,
             endpoint: beacon.parsedData.find(item => item.key === 'endpoint')?.value,
+            requestType: beacon.requestType || 'Unknown',
+            events: beacon.parsedData.find(item => item.key === 'omnibug_events')?.value || [],
+            identityMap: beacon.parsedData.find(item => item.key === 'omnibug_identityMap')?.value || null,
+            metaState: beacon.parsedData.find(item => item.key === 'omnibug_metaState')?.value || null,
+            datastream: beacon.parsedData.find(item => item.key === 'omnibug_datastream')?.value || null,
             categories: {
                 identity: [],
                 target: [],
@@ -271,8 +928,8 @@ function extractXdmData(beacons) {
             // Skip endpoint as we've already captured it
             if (item.key === 'endpoint') continue;
             
-            // Skip hidden items
-            if (item.hidden) continue;
+            // Skip hidden items and the structured items captured above
+            if (item.hidden || item.key.startsWith('omnibug_')) continue;
             
             // Create a simplified data item
             const dataItem = {
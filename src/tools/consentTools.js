@@ -0,0 +1,57 @@
+/**
+ * Consent Management Tools
+ * Tools for auditing which providers fire under each consent state
+ */
+import { z } from "zod";
+import { CONSENT_STATES, scanConsentStates } from '../consent/consentScanner.js';
+
+/**
+ * Register consent tools with the server
+ *
+ * @param {Object} server - MCP server instance
+ * @param {Function} initBrowser - Browser initialization function
+ */
+export function registerConsentTools(server, initBrowser) {
+    server.tool(
+        "scan-consent-states",
+        "Detect the consent management platform on a webpage and report which providers fire with no interaction, after reject all and after accept all",
+        {
+            url: z.string().url().describe("The URL of the webpage to analyze"),
+            states: z.array(z.enum(Object.keys(CONSENT_STATES))).optional().describe("Consent states to scan (default: no-interaction, reject-all, accept-all)"),
+            waitTime: z.number().optional().describe("Time to wait for beacons after load and after the consent choice (milliseconds)"),
+            cmpTimeout: z.number().optional().describe("Time to wait for a consent banner to appear (milliseconds)")
+        },
+        async ({ url, states, waitTime = 3000, cmpTimeout = 5000 }) => {
+            try {
+                const browser = await initBrowser({
+                    args: [
+                        '--no-sandbox',
+                        '--disable-setuid-sandbox',
+                        '--disable-dev-shm-usage'
+                    ]
+                });
+
+                const result = await scanConsentStates(browser, url, {
+                    states,
+                    waitTime,
+                    cmpTimeout
+                });
+
+                return {
+                    content: [{
+                        type: "text",
+                        text: JSON.stringify(result, null, 2)
+                    }]
+                };
+            } catch (error) {
+                return {
+                    content: [{
+                        type: "text",
+                        text: `Error scanning consent states: ${error.message}`
+                    }],
+                    isError: true
+                };
+            }
+        }
+    );
+}
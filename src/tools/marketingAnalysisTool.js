@@ -5,6 +5,9 @@
 import { z } from "zod";
 import providerRegistry from '../providers/index.js';
 import { setupRequestInterception } from '../utils/requestInterceptor.js';
+import { harBlockResources, saveHar } from '../utils/harExport.js';
+import { getRequestType } from '../utils/beaconCapture.js';
+import { installDataLayerRecorder, collectDataLayerTimeline, mergeTimeline } from '../utils/dataLayerRecorder.js';
 
 /**
  * Register marketing analysis tools using the provider framework
@@ -18,9 +21,11 @@ export function registerMarketingAnalysisTools(server, initBrowser) {
         "Comprehensive analysis of all marketing and analytics technologies on a webpage",
         {
             url: z.string().url().describe("The URL of the webpage to analyze"),
-            waitTime: z.number().optional().describe("Additional time to wait in milliseconds for delayed pixels to fire")
+            waitTime: z.number().optional().describe("Additional time to wait in milliseconds for delayed pixels to fire"),
+            harPath: z.string().optional().describe("Optional file path to save the full capture as a HAR 1.2 file"),
+            disabledProviders: z.array(z.string()).optional().describe("Provider keys to skip (e.g. \"TWITTER\", \"MICROSOFTCLARITY\")")
         },
-        async ({ url, waitTime }) => {
+        async ({ url, waitTime, harPath, disabledProviders }) => {
             try {
                 // Initialize browser with optimization options
                 const browser = await initBrowser({
@@ -34,425 +39,496 @@ export function registerMarketingAnalysisTools(server, initBrowser) {
                 
                 // Create a new page
                 const page = await browser.newPage();
-                
-                // Set a desktop viewport
-                await page.setViewport({ width: 1280, height: 800 });
-                
-                // Intercept requests to identify analytics and marketing calls
-                const requests = await setupRequestInterception(page, {
-                    blockResources: ['image', 'font', 'media'] // Block heavy resources
-                });
-                
-                // Navigate to URL with extended timeout
-                await page.goto(url, { 
-                    waitUntil: 'networkidle2', 
-                    timeout: 60000 // 60 second timeout
-                });
-                
-                // Additional wait time for delayed pixel fires
-                const actualWaitTime = waitTime || 3000; // Use at least 3 seconds for delayed pixels
-                console.error(`Waiting ${actualWaitTime}ms for marketing pixels to fire`);
-                await new Promise(resolve => setTimeout(resolve, actualWaitTime));
-                
-                // Get all marketing tech detection from the page
-                const detectedTechnologies = await page.evaluate(() => {
-                    /**
-                     * Check for common marketing and analytics tools in the global scope
-                     */
-                    function detectMarketingTech() {
-                        const tools = {};
-                        
-                        // Google Analytics presence (Universal Analytics)
-                        if (typeof window.ga === 'function' || typeof window._ga === 'function' || typeof window.GoogleAnalyticsObject === 'string') {
-                            tools.googleAnalytics = {
-                                name: 'Google Analytics (Universal)',
-                                found: true,
-                                properties: {}
-                            };
+                try {
+                    // Set a desktop viewport
+                    await page.setViewport({ width: 1280, height: 800 });
+                    
+                    // Intercept requests to identify analytics and marketing calls
+                    const requests = await setupRequestInterception(page, {
+                        blockResources: harBlockResources(['image', 'font', 'media'], harPath), // Block heavy resources
+                        captureBody: true // Providers match first-party endpoints by their POST payload
+                    });
+                    
+                    // Record every data layer push before any page script runs
+                    await installDataLayerRecorder(page);
+                    
+                    // Navigate to URL with extended timeout
+                    await page.goto(url, { 
+                        waitUntil: 'networkidle2', 
+                        timeout: 60000 // 60 second timeout
+                    });
+                    
+                    // Additional wait time for delayed pixel fires
+                    const actualWaitTime = waitTime || 3000; // Use at least 3 seconds for delayed pixels
+                    console.error(`Waiting ${actualWaitTime}ms for marketing pixels to fire`);
+                    await new Promise(resolve => setTimeout(resolve, actualWaitTime));
+                    
+                    // Get all marketing tech detection from the page
+                    const detectedTechnologies = await page.evaluate(() => {
+                        /**
+                         * Check for common marketing and analytics tools in the global scope
+                         */
+                        function detectMarketingTech() {
+                            const tools = {};
                             
-                            // Try to extract GA settings
-                            try {
-                                if (typeof ga === 'function' && typeof ga.getAll === 'function') {
-                                    const trackers = ga.getAll();
-                                    tools.googleAnalytics.properties.trackers = trackers.map(tracker => ({
-                                        name: tracker.get('name'),
-                                        trackingId: tracker.get('trackingId')
-                                    }));
+                            // Google Analytics presence (Universal Analytics)
+                            if (typeof window.ga === 'function' || typeof window._ga === 'function' || typeof window.GoogleAnalyticsObject === 'string') {
+                                tools.googleAnalytics = {
+                                    name: 'Google Analytics (Universal)',
+                                    found: true,
+                                    properties: {}
+                                };
+                                
+                                // Try to extract GA settings
+                                try {
+                                    if (typeof ga === 'function' && typeof ga.getAll === 'function') {
+                                        const trackers = ga.getAll();
+                                        tools.googleAnalytics.properties.trackers = trackers.map(tracker => ({
+                                            name: tracker.get('name'),
+                                            trackingId: tracker.get('trackingId')
+                                        }));
+                                    }
+                                } catch (e) {
+                                    tools.googleAnalytics.properties.error = e.message;
                                 }
-                            } catch (e) {
-                                tools.googleAnalytics.properties.error = e.message;
                             }
-                        }
-                        
-                        // Google Analytics 4
-                        if (typeof window.gtag === 'function') {
-                            tools.googleAnalytics4 = {
-                                name: 'Google Analytics 4',
-                                found: true,
-                                properties: {}
-                            };
-                        }
-                        
-                        // Google Tag Manager
-                        if (typeof window.dataLayer === 'object') {
-                            tools.googleTagManager = {
-                                name: 'Google Tag Manager',
-                                found: true,
-                                properties: {
-                                    dataLayer: Array.isArray(window.dataLayer) ? 
-                                               window.dataLayer.slice(0, 5) : // Take only the first 5 items
-                                               'detected but not an array'
-                                }
-                            };
                             
-                            // Try to extract the GTM ID from the script tag
-                            const gtmScripts = Array.from(document.querySelectorAll('script[src*="googletagmanager.com"]'));
-                            if (gtmScripts.length > 0) {
-                                const gtmIds = gtmScripts.map(script => {
-                                    const match = script.src.match(/\/gtm\?id=(GTM-[A-Z0-9]+)/);
-                                    return match ? match[1] : null;
-                                }).filter(Boolean);
+                            // Google Analytics 4
+                            if (typeof window.gtag === 'function') {
+                                tools.googleAnalytics4 = {
+                                    name: 'Google Analytics 4',
+                                    found: true,
+                                    properties: {}
+                                };
+                            }
+                            
+                            // Google Tag Manager
+                            if (typeof window.dataLayer === 'object') {
+                                tools.googleTagManager = {
+                                    name: 'Google Tag Manager',
+                                    found: true,
+                                    properties: {
+                                        dataLayer: Array.isArray(window.dataLayer) ? 
+                                                   window.dataLayer.slice(0, 5) : // Take only the first 5 items
+                                                   'detected but not an array'
+                                    }
+                                };
                                 
-                                if (gtmIds.length > 0) {
-                                    tools.googleTagManager.properties.ids = gtmIds;
+                                // Try to extract the GTM ID from the script tag
+                                const gtmScripts = Array.from(document.querySelectorAll('script[src*="googletagmanager.com"]'));
+                                if (gtmScripts.length > 0) {
+                                    const gtmIds = gtmScripts.map(script => {
+                                        const match = script.src.match(/\/gtm\?id=(GTM-[A-Z0-9]+)/);
+                                        return match ? match[1] : null;
+                                    }).filter(Boolean);
+                                    
+                                    if (gtmIds.length > 0) {
+                                        tools.googleTagManager.properties.ids = gtmIds;
+                                    }
                                 }
                             }
-                        }
-                        
-                        // Facebook Pixel
-                        if (typeof window.fbq === 'function' || typeof window._fbq === 'function') {
-                            tools.facebookPixel = {
-                                name: 'Facebook Pixel',
-                                found: true,
-                                properties: {}
-                            };
                             
-                            // Try to extract the pixel ID
-                            try {
-                                if (typeof fbq === 'function' && typeof fbq.getState === 'function') {
-                                    const fbState = fbq.getState();
-                                    if (fbState && fbState.pixelConfigs && fbState.pixelConfigs.length > 0) {
-                                        tools.facebookPixel.properties.pixelIds = fbState.pixelConfigs.map(p => p.id);
+                            // Facebook Pixel
+                            if (typeof window.fbq === 'function' || typeof window._fbq === 'function') {
+                                tools.facebookPixel = {
+                                    name: 'Facebook Pixel',
+                                    found: true,
+                                    properties: {}
+                                };
+                                
+                                // Try to extract the pixel ID
+                                try {
+                                    if (typeof fbq === 'function' && typeof fbq.getState === 'function') {
+                                        const fbState = fbq.getState();
+                                        if (fbState && fbState.pixelConfigs && fbState.pixelConfigs.length > 0) {
+                                            tools.facebookPixel.properties.pixelIds = fbState.pixelConfigs.map(p => p.id);
+                                        }
+                                    }
+                                    
+                                    // Alternative method for older pixels
+                                    const fbMetaTags = Array.from(document.querySelectorAll('meta[property="fb:pixel_id"]'));
+                                    if (fbMetaTags.length > 0) {
+                                        tools.facebookPixel.properties.metaTagIds = fbMetaTags.map(tag => tag.content);
                                     }
+                                } catch (e) {
+                                    tools.facebookPixel.properties.error = e.message;
                                 }
+                            }
+                            
+                            // Adobe Analytics
+                            if (typeof window.s === 'object' && window.s !== null) {
+                                tools.adobeAnalytics = {
+                                    name: 'Adobe Analytics',
+                                    found: true,
+                                    properties: {}
+                                };
                                 
-                                // Alternative method for older pixels
-                                const fbMetaTags = Array.from(document.querySelectorAll('meta[property="fb:pixel_id"]'));
-                                if (fbMetaTags.length > 0) {
-                                    tools.facebookPixel.properties.metaTagIds = fbMetaTags.map(tag => tag.content);
+                                // Try to extract Adobe Analytics properties
+                                try {
+                                    if (window.s.version) {
+                                        tools.adobeAnalytics.properties.version = window.s.version;
+                                    }
+                                    if (window.s.account) {
+                                        tools.adobeAnalytics.properties.reportSuite = window.s.account;
+                                    }
+                                    if (window.s.trackingServer) {
+                                        tools.adobeAnalytics.properties.trackingServer = window.s.trackingServer;
+                                    }
+                                } catch (e) {
+                                    tools.adobeAnalytics.properties.error = e.message;
                                 }
-                            } catch (e) {
-                                tools.facebookPixel.properties.error = e.message;
                             }
-                        }
-                        
-                        // Adobe Analytics
-                        if (typeof window.s === 'object' && window.s !== null) {
-                            tools.adobeAnalytics = {
-                                name: 'Adobe Analytics',
-                                found: true,
-                                properties: {}
-                            };
                             
-                            // Try to extract Adobe Analytics properties
-                            try {
-                                if (window.s.version) {
-                                    tools.adobeAnalytics.properties.version = window.s.version;
-                                }
-                                if (window.s.account) {
-                                    tools.adobeAnalytics.properties.reportSuite = window.s.account;
-                                }
-                                if (window.s.trackingServer) {
-                                    tools.adobeAnalytics.properties.trackingServer = window.s.trackingServer;
+                            // Adobe Launch / Experience Platform Tags
+                            if (typeof window._satellite === 'object' && window._satellite !== null) {
+                                tools.adobeLaunch = {
+                                    name: 'Adobe Experience Platform Launch',
+                                    found: true,
+                                    properties: {}
+                                };
+                                
+                                // Try to extract Launch properties
+                                try {
+                                    if (window._satellite.buildInfo) {
+                                        tools.adobeLaunch.properties.buildInfo = window._satellite.buildInfo;
+                                    }
+                                    if (window._satellite.property && window._satellite.property.name) {
+                                        tools.adobeLaunch.properties.propertyName = window._satellite.property.name;
+                                    }
+                                } catch (e) {
+                                    tools.adobeLaunch.properties.error = e.message;
                                 }
-                            } catch (e) {
-                                tools.adobeAnalytics.properties.error = e.message;
                             }
-                        }
-                        
-                        // Adobe Launch / Experience Platform Tags
-                        if (typeof window._satellite === 'object' && window._satellite !== null) {
-                            tools.adobeLaunch = {
-                                name: 'Adobe Experience Platform Launch',
-                                found: true,
-                                properties: {}
-                            };
                             
-                            // Try to extract Launch properties
-                            try {
-                                if (window._satellite.buildInfo) {
-                                    tools.adobeLaunch.properties.buildInfo = window._satellite.buildInfo;
-                                }
-                                if (window._satellite.property && window._satellite.property.name) {
-                                    tools.adobeLaunch.properties.propertyName = window._satellite.property.name;
+                            // TikTok Pixel
+                            if (typeof window.ttq === 'object' || typeof window.TiktokAnalyticsObject === 'string') {
+                                tools.tiktokPixel = {
+                                    name: 'TikTok Pixel',
+                                    found: true,
+                                    properties: {}
+                                };
+                            }
+                            
+                            // Hotjar
+                            if (typeof window.hj === 'function' || typeof window._hjSettings === 'object') {
+                                tools.hotjar = {
+                                    name: 'Hotjar',
+                                    found: true,
+                                    properties: {}
+                                };
+                                
+                                // Try to extract Hotjar ID
+                                try {
+                                    if (window._hjSettings && window._hjSettings.hjid) {
+                                        tools.hotjar.properties.id = window._hjSettings.hjid;
+                                    }
+                                } catch (e) {
+                                    tools.hotjar.properties.error = e.message;
                                 }
-                            } catch (e) {
-                                tools.adobeLaunch.properties.error = e.message;
                             }
+                            
+                            // Microsoft Clarity
+                            if (typeof window.clarity === 'function' || typeof window.clarity === 'object') {
+                                tools.microsoftClarity = {
+                                    name: 'Microsoft Clarity',
+                                    found: true,
+                                    properties: {}
+                                };
+                            }
+                            
+                            // Segment
+                            if (typeof window.analytics === 'object' && window.analytics !== null) {
+                                tools.segment = {
+                                    name: 'Segment',
+                                    found: true,
+                                    properties: {}
+                                };
+                            }
+                            
+                            // LinkedIn Insight Tag
+                            if (typeof window._linkedin_data_partner_ids === 'object') {
+                                tools.linkedinInsight = {
+                                    name: 'LinkedIn Insight Tag',
+                                    found: true,
+                                    properties: {
+                                        ids: Array.isArray(window._linkedin_data_partner_ids) ? 
+                                             window._linkedin_data_partner_ids : 'detected'
+                                    }
+                                };
+                            }
+                            
+                            // Pinterest Tag
+                            if (typeof window.pintrk === 'function') {
+                                tools.pinterestTag = {
+                                    name: 'Pinterest Tag',
+                                    found: true,
+                                    properties: {}
+                                };
+                            }
+                            
+                            // Twitter/X Pixel
+                            if (typeof window.twq === 'function') {
+                                tools.twitterPixel = {
+                                    name: 'Twitter/X Pixel',
+                                    found: true,
+                                    properties: {}
+                                };
+                            }
+                            
+                            // Snap Pixel
+                            if (typeof window.snaptr === 'function') {
+                                tools.snapPixel = {
+                                    name: 'Snap Pixel',
+                                    found: true,
+                                    properties: {}
+                                };
+                            }
+                            
+                            // Reddit Pixel
+                            if (typeof window.rdt === 'function') {
+                                tools.redditPixel = {
+                                    name: 'Reddit Pixel',
+                                    found: true,
+                                    properties: {}
+                                };
+                            }
+                            
+                            // Quora Pixel
+                            if (typeof window.qp === 'function') {
+                                tools.quoraPixel = {
+                                    name: 'Quora Pixel',
+                                    found: true,
+                                    properties: {}
+                                };
+                            }
+                            
+                            // Criteo OneTag
+                            // criteo_q is an array until OneTag loads and replaces it with its queue object
+                            if (window.criteo_q != null && typeof window.criteo_q === 'object') {
+                                tools.criteoOneTag = {
+                                    name: 'Criteo OneTag',
+                                    found: true,
+                                    properties: {}
+                                };
+                            }
+                            
+                            // DataLayer inspection (for custom implementations)
+                            const dataLayers = {};
+                            
+                            // Check for common data layer patterns
+                            if (typeof window.dataLayer === 'object') {
+                                dataLayers.googleDataLayer = Array.isArray(window.dataLayer) ? 
+                                                            window.dataLayer.slice(0, 3) : // Take only first 3 items
+                                                            'detected but not an array';
+                            }
+                            
+                            if (typeof window.digitalData === 'object') {
+                                dataLayers.adobeDataLayer = 'detected';
+                            }
+                            
+                            if (typeof window.utag_data === 'object') {
+                                dataLayers.tealiumDataLayer = 'detected';
+                            }
+                            
+                            if (Array.isArray(window.adobeDataLayer)) {
+                                dataLayers.adobeClientDataLayer = typeof window.adobeDataLayer.getState === 'function' ?
+                                                                  window.adobeDataLayer.getState() : // Computed ACDL state
+                                                                  'detected but the library is not loaded';
+                            }
+                            
+                            if (Object.keys(dataLayers).length > 0) {
+                                tools.dataLayers = {
+                                    name: 'Data Layers',
+                                    found: true,
+                                    properties: dataLayers
+                                };
+                            }
+                            
+                            return tools;
                         }
                         
-                        // TikTok Pixel
-                        if (typeof window.ttq === 'object' || typeof window.TiktokAnalyticsObject === 'string') {
-                            tools.tiktokPixel = {
-                                name: 'TikTok Pixel',
-                                found: true,
-                                properties: {}
-                            };
-                        }
-                        
-                        // Hotjar
-                        if (typeof window.hj === 'function' || typeof window._hjSettings === 'object') {
-                            tools.hotjar = {
-                                name: 'Hotjar',
-                                found: true,
-                                properties: {}
-                            };
-                            
-                            // Try to extract Hotjar ID
+                        return detectMarketingTech();
+                    });
+                    
+                    // Process captured network requests to find marketing tech calls
+                    const analyticsRequests = [];
+                    const providerInfo = providerRegistry.getProviderInfo(disabledProviders);
+                    
+                    for (const request of requests) {
+                        // Check if this request matches any provider patterns or payload signatures
+                        const matchingProviders = providerRegistry.getProvidersForRequest(request.url, request.postData || "", providerInfo);
+                        if (matchingProviders.length) {
                             try {
-                                if (window._hjSettings && window._hjSettings.hjid) {
-                                    tools.hotjar.properties.id = window._hjSettings.hjid;
+                                for (const provider of matchingProviders) {
+                                    // Parse the request with the provider; batched
+                                    // requests yield one entry per hit
+                                    const parsedBeacons = provider.parseBeacons(request.url, request.postData || "").filter(Boolean);
+                                    
+                                    for (const parsedData of parsedBeacons) {
+                                        analyticsRequests.push({
+                                            url: request.url,
+                                            provider: provider.name,
+                                            type: provider.type,
+                                            time: request.time,
+                                            requestType: getRequestType(parsedData),
+                                            data: parsedData.data
+                                        });
+                                    }
                                 }
                             } catch (e) {
-                                tools.hotjar.properties.error = e.message;
+                                console.error(`Error processing request ${request.url}: ${e.message}`);
+                                analyticsRequests.push({
+                                    url: request.url,
+                                    error: e.message
+                                });
                             }
                         }
-                        
-                        // Microsoft Clarity
-                        if (typeof window.clarity === 'function' || typeof window.clarity === 'object') {
-                            tools.microsoftClarity = {
-                                name: 'Microsoft Clarity',
-                                found: true,
-                                properties: {}
-                            };
-                        }
-                        
-                        // Segment
-                        if (typeof window.analytics === 'object' && window.analytics !== null) {
-                            tools.segment = {
-                                name: 'Segment',
-                                found: true,
-                                properties: {}
-                            };
-                        }
-                        
-                        // LinkedIn Insight Tag
-                        if (typeof window._linkedin_data_partner_ids === 'object') {
-                            tools.linkedinInsight = {
-                                name: 'LinkedIn Insight Tag',
-                                found: true,
-                                properties: {
-                                    ids: Array.isArray(window._linkedin_data_partner_ids) ? 
-                                         window._linkedin_data_partner_ids : 'detected'
-                                }
-                            };
-                        }
-                        
-                        // Pinterest Tag
-                        if (typeof window.pintrk === 'function') {
-                            tools.pinterestTag = {
-                                name: 'Pinterest Tag',
-                                found: true,
-                                properties: {}
-                            };
-                        }
-                        
-                        // Twitter/X Pixel
-                        if (typeof window.twq === 'function') {
-                            tools.twitterPixel = {
-                                name: 'Twitter/X Pixel',
-                                found: true,
-                                properties: {}
-                            };
+                    }
+                    
+                    // Create a summary of detected tech
+                    const detectedTech = {
+                        analytics: [],
+                        advertising: [],
+                        tagmanagers: [],
+                        other: []
+                    };
+                    
+                    // Add global variable detections
+                    Object.values(detectedTechnologies).forEach(tech => {
+                        if (tech.name.includes('Analytics') || tech.name.includes('Hotjar') || tech.name.includes('Clarity')) {
+                            detectedTech.analytics.push({
+                                name: tech.name,
+                                detectionMethod: 'global variable',
+                                properties: tech.properties || {}
+                            });
+                        } else if (tech.name.includes('Pixel') || tech.name.includes('Insight') || tech.name.includes('Tag')) {
+                            detectedTech.advertising.push({
+                                name: tech.name,
+                                detectionMethod: 'global variable',
+                                properties: tech.properties || {}
+                            });
+                        } else if (tech.name.includes('Manager') || tech.name.includes('Launch')) {
+                            detectedTech.tagmanagers.push({
+                                name: tech.name,
+                                detectionMethod: 'global variable',
+                                properties: tech.properties || {}
+                            });
+                        } else {
+                            detectedTech.other.push({
+                                name: tech.name,
+                                detectionMethod: 'global variable',
+                                properties: tech.properties || {}
+                            });
                         }
+                    });
+                    
+                    // Add network request detections
+                    const seenProviders = new Set();
+                    
+                    analyticsRequests.forEach(request => {
+                        const providerKey = `${request.provider}-${request.type}`;
                         
-                        // DataLayer inspection (for custom implementations)
-                        const dataLayers = {};
-                        
-                        // Check for common data layer patterns
-                        if (typeof window.dataLayer === 'object') {
-                            dataLayers.googleDataLayer = Array.isArray(window.dataLayer) ? 
-                                                        window.dataLayer.slice(0, 3) : // Take only first 3 items
-                                                        'detected but not an array';
+                        // Skip duplicates
+                        if (seenProviders.has(providerKey)) {
+                            return;
                         }
                         
-                        if (typeof window.digitalData === 'object') {
-                            dataLayers.adobeDataLayer = 'detected';
-                        }
+                        // Find interesting data items
+                        const accountField = request.data?.find(item => 
+                            item.field === 'Account' || 
+                            item.field === 'Tracking ID' || 
+                            item.field === 'Pixel ID' ||
+                            item.field === 'Container ID' ||
+                            item.field === 'Report Suites'
+                        );
                         
-                        if (typeof window.utag_data === 'object') {
-                            dataLayers.tealiumDataLayer = 'detected';
+                        const properties = {};
+                        if (accountField) {
+                            properties.account = accountField.value;
                         }
                         
-                        if (Object.keys(dataLayers).length > 0) {
-                            tools.dataLayers = {
-                                name: 'Data Layers',
-                                found: true,
-                                properties: dataLayers
-                            };
+                        // Categorize by type
+                        if (request.type === 'Analytics') {
+                            detectedTech.analytics.push({
+                                name: request.provider,
+                                detectionMethod: 'network request',
+                                properties
+                            });
+                        } else if (request.type === 'Marketing') {
+                            detectedTech.advertising.push({
+                                name: request.provider,
+                                detectionMethod: 'network request',
+                                properties
+                            });
+                        } else if (request.type === 'Tag Management') {
+                            detectedTech.tagmanagers.push({
+                                name: request.provider,
+                                detectionMethod: 'network request',
+                                properties
+                            });
+                        } else {
+                            detectedTech.other.push({
+                                name: request.provider,
+                                detectionMethod: 'network request',
+                                properties
+                            });
                         }
                         
-                        return tools;
-                    }
+                        seenProviders.add(providerKey);
+                    });
                     
-                    return detectMarketingTech();
-                });
-                
-                // Process captured network requests to find marketing tech calls
-                const analyticsRequests = [];
-                
-                for (const request of requests) {
-                    // Check if this request matches any provider patterns
-                    if (providerRegistry.checkUrl(request.url)) {
-                        try {
-                            // Get all providers that match this request
-                            const matchingProviders = providerRegistry.getMatchingProviders(request.url);
-                            
-                            for (const provider of matchingProviders) {
-                                // Parse the request with the provider
-                                const parsedData = provider.parseUrl(request.url);
-                                
-                                analyticsRequests.push({
-                                    url: request.url,
-                                    provider: provider.name,
-                                    type: provider.type,
-                                    time: request.time,
-                                    data: parsedData.data
-                                });
-                            }
-                        } catch (e) {
-                            console.error(`Error processing request ${request.url}: ${e.message}`);
-                            analyticsRequests.push({
+                    // Full data layer history, merged with the beacons in the order they happened
+                    const dataLayerTimeline = await collectDataLayerTimeline(page) || [];
+                    const timeline = mergeTimeline(
+                        dataLayerTimeline,
+                        analyticsRequests
+                            .filter(request => !request.error)
+                            .map(request => ({
                                 url: request.url,
-                                error: e.message
-                            });
-                        }
-                    }
-                }
-                
-                // Create a summary of detected tech
-                const detectedTech = {
-                    analytics: [],
-                    advertising: [],
-                    tagmanagers: [],
-                    other: []
-                };
-                
-                // Add global variable detections
-                Object.values(detectedTechnologies).forEach(tech => {
-                    if (tech.name.includes('Analytics') || tech.name.includes('Hotjar') || tech.name.includes('Clarity')) {
-                        detectedTech.analytics.push({
-                            name: tech.name,
-                            detectionMethod: 'global variable',
-                            properties: tech.properties || {}
-                        });
-                    } else if (tech.name.includes('Pixel') || tech.name.includes('Insight') || tech.name.includes('Tag')) {
-                        detectedTech.advertising.push({
-                            name: tech.name,
-                            detectionMethod: 'global variable',
-                            properties: tech.properties || {}
-                        });
-                    } else if (tech.name.includes('Manager') || tech.name.includes('Launch')) {
-                        detectedTech.tagmanagers.push({
-                            name: tech.name,
-                            detectionMethod: 'global variable',
-                            properties: tech.properties || {}
-                        });
-                    } else {
-                        detectedTech.other.push({
-                            name: tech.name,
-                            detectionMethod: 'global variable',
-                            properties: tech.properties || {}
-                        });
-                    }
-                });
-                
-                // Add network request detections
-                const seenProviders = new Set();
-                
-                analyticsRequests.forEach(request => {
-                    const providerKey = `${request.provider}-${request.type}`;
-                    
-                    // Skip duplicates
-                    if (seenProviders.has(providerKey)) {
-                        return;
-                    }
-                    
-                    // Find interesting data items
-                    const accountField = request.data?.find(item => 
-                        item.field === 'Account' || 
-                        item.field === 'Tracking ID' || 
-                        item.field === 'Pixel ID' ||
-                        item.field === 'Container ID' ||
-                        item.field === 'Report Suites'
+                                provider: request.provider,
+                                time: request.time,
+                                requestType: request.requestType
+                            }))
                     );
                     
-                    const properties = {};
-                    if (accountField) {
-                        properties.account = accountField.value;
-                    }
+                    // Compile the comprehensive analysis
+                    const analysis = {
+                        url,
+                        scanTime: new Date().toISOString(),
+                        summary: {
+                            analytics: detectedTech.analytics.length,
+                            advertising: detectedTech.advertising.length,
+                            tagmanagers: detectedTech.tagmanagers.length,
+                            other: detectedTech.other.length,
+                            total: detectedTech.analytics.length + 
+                                   detectedTech.advertising.length + 
+                                   detectedTech.tagmanagers.length + 
+                                   detectedTech.other.length
+                        },
+                        detectedTechnologies: detectedTech,
+                        dataLayers: detectedTechnologies.dataLayers?.properties || {},
+                        requests: {
+                            total: requests.length,
+                            analytics: analyticsRequests.length
+                        },
+                        dataLayerPushes: dataLayerTimeline.length,
+                        timeline
+                    };
                     
-                    // Categorize by type
-                    if (request.type === 'Analytics') {
-                        detectedTech.analytics.push({
-                            name: request.provider,
-                            detectionMethod: 'network request',
-                            properties
-                        });
-                    } else if (request.type === 'Marketing') {
-                        detectedTech.advertising.push({
-                            name: request.provider,
-                            detectionMethod: 'network request',
-                            properties
-                        });
-                    } else if (request.type === 'Tag Management') {
-                        detectedTech.tagmanagers.push({
-                            name: request.provider,
-                            detectionMethod: 'network request',
-                            properties
-                        });
-                    } else {
-                        detectedTech.other.push({
-                            name: request.provider,
-                            detectionMethod: 'network request',
-                            properties
-                        });
+                    // Save the full capture as a HAR file if requested
+                    if (harPath) {
+                        analysis.harFile = await saveHar(requests, harPath, { pageUrl: url, disabledProviders });
                     }
                     
-                    seenProviders.add(providerKey);
-                });
-                
-                // Close the page
-                await page.close();
-                
-                // Compile the comprehensive analysis
-                const analysis = {
-                    url,
-                    scanTime: new Date().toISOString(),
-                    summary: {
-                        analytics: detectedTech.analytics.length,
-                        advertising: detectedTech.advertising.length,
-                        tagmanagers: detectedTech.tagmanagers.length,
-                        other: detectedTech.other.length,
-                        total: detectedTech.analytics.length + 
-                               detectedTech.advertising.length + 
-                               detectedTech.tagmanagers.length + 
-                               detectedTech.other.length
-                    },
-                    detectedTechnologies: detectedTech,
-                    dataLayers: detectedTechnologies.dataLayers?.properties || {},
-                    requests: {
-                        total: requests.length,
-                        analytics: analyticsRequests.length
-                    }
-                };
-                
-                return {
-                    content: [{
-                        type: "text",
-                        text: JSON.stringify(analysis, null, 2)
-                    }]
-                };
+                    return {
+                        content: [{
+                            type: "text",
+                            text: JSON.stringify(analysis, null, 2)
+                        }]
+                    };
+                } finally {
+                    await page.close();
+                }
             } catch (error) {
                 return {
                     content: [{
@@ -5,6 +5,9 @@ import { z } from "zod";
 import * as analyzer from '../marketingAnalyzer.js';
 import { detectMarketingPixels, analyzeNetworkRequests } from '../analytics/pixelDetector.js';
 import { setupRequestInterception, filterMarketingRequests } from '../utils/requestInterceptor.js';
+import { harBlockResources, saveHar } from '../utils/harExport.js';
+import providerRegistry from '../providers/index.js';
+import { installDataLayerRecorder } from '../utils/dataLayerRecorder.js';
 
 export function registerMarketingTools(server, initBrowser) {
   // 1. General marketing tech analysis
@@ -58,6 +61,7 @@ export function registerMarketingTools(server, initBrowser) {
           scanTime: analysisResult.scanTime,
           pageTitle: analysisResult.pageTitle,
           technologies: analysisResult.marketingTech.technologies,
+          dataLayerTimeline: analysisResult.marketingTech.dataLayerTimeline,
           totalTrackers: analysisResult.marketingTech.networkActivity.totalRequests,
           marketingTrackers: analysisResult.marketingTech.networkActivity.marketingRequests
         };
@@ -102,140 +106,144 @@ export function registerMarketingTools(server, initBrowser) {
         
         // Create a new page
         const page = await browser.newPage();
-        
-        // Set a desktop viewport
-        await page.setViewport({ width: 1280, height: 800 });
-        
-        // Use the improved request interception utility
-        // Only block images but not scripts - important for Adobe detection
-        const requests = await setupRequestInterception(page, {
-          blockResources: ['image'] // Don't block font/media which might contain analytics code
-        });
-        
-        // Navigate to URL with extended timeout
-        await page.goto(url, { 
-          waitUntil: 'domcontentloaded', 
-          timeout: 60000 // 60 second timeout
-        });
-        
-        // Wait longer for analytics tools to initialize (Adobe tools load async)
-        const actualWaitTime = waitTime || 3000; // Use at least 3 seconds for analytics
-        console.error(`Waiting ${actualWaitTime}ms for analytics tools to initialize`);
-        await new Promise(resolve => setTimeout(resolve, actualWaitTime));
-        
-        // Detect marketing pixels with focus on analytics
-        const pixelAnalysis = await detectMarketingPixels(page);
-        
-        // Filter analytics-specific technologies and requests
-        const analyticsTech = pixelAnalysis.technologies.filter(tech => 
-          tech.category === 'Analytics' || 
-          tech.vendor === 'Adobe' || // Ensure we capture all Adobe tools regardless of category
-          tech.name.includes('Google Analytics') || 
-          tech.name.includes('Analytics') ||
-          tech.name.includes('Segment') ||
-          tech.name.includes('Mixpanel') ||
-          tech.name.includes('Clarity') ||
-          tech.name.includes('Hotjar')
-        );
-        
-        // Filter for analytics network requests
-        const analyticsRequests = requests.filter(req => 
-          req.url.includes('google-analytics.com') || 
-          req.url.includes('analytics') || 
-          req.url.includes('segment.io') || 
-          req.url.includes('mixpanel.com') || 
-          req.url.includes('hotjar.com') || 
-          req.url.includes('clarity.ms') ||
-          req.url.includes('omtrdc.net') ||
-          req.url.includes('demdex.net') ||
-          req.url.includes('2o7.net') ||
-          req.url.includes('/b/ss/') ||
-          req.url.includes('/AppMeasurement') ||
-          req.url.includes('adobedc.net')
-        );
-        
-        // Extract IDs
-        const analyticsIds = {};
-        if (pixelAnalysis.pixelIds.ga4) {
-          analyticsIds.ga4 = pixelAnalysis.pixelIds.ga4;
-        }
-        if (pixelAnalysis.pixelIds.ua) {
-          analyticsIds.ua = pixelAnalysis.pixelIds.ua;
-        }
-        if (pixelAnalysis.pixelIds.adobeAnalytics) {
-          analyticsIds.adobeAnalytics = pixelAnalysis.pixelIds.adobeAnalytics;
-        }
-        if (pixelAnalysis.pixelIds.adobeReportSuite) {
-          analyticsIds.adobeReportSuite = pixelAnalysis.pixelIds.adobeReportSuite;
-        }
-        if (pixelAnalysis.pixelIds.adobeEcid) {
-          analyticsIds.adobeEcid = pixelAnalysis.pixelIds.adobeEcid;
-        }
-        
-        // Check for custom analytics implementations
-        const customAnalytics = await page.evaluate(() => {
-          // Look for common custom analytics patterns
-          const customPatterns = {
-            analyticsScripts: Array.from(document.scripts)
-              .filter(script => {
-                const src = script.src.toLowerCase();
-                const content = script.innerHTML.toLowerCase();
-                return (
-                  src.includes('/analytics/') ||
-                  src.includes('/stats/') ||
-                  src.includes('/tracking/') ||
-                  src.includes('/core.js') ||
-                  src.includes('/sync.js') ||
-                  content.includes('pageview') ||
-                  content.includes('trackEvent') ||
-                  content.includes('trackPage')
-                ) &&
-                // Exclude known implementations
-                !src.includes('google-analytics.com') &&
-                !src.includes('analytics.tiktok.com');
-              })
-              .map(script => ({
-                src: script.src,
-                inline: script.src ? false : true
-              })).slice(0, 5),
+        try {
+          // Set a desktop viewport
+          await page.setViewport({ width: 1280, height: 800 });
+          
+          // Use the improved request interception utility
+          // Only block images but not scripts - important for Adobe detection
+          const requests = await setupRequestInterception(page, {
+            blockResources: ['image'] // Don't block font/media which might contain analytics code
+          });
+
+          // Record every data layer change from the start of the page load
+          await installDataLayerRecorder(page);
+          
+          // Navigate to URL with extended timeout
+          await page.goto(url, { 
+            waitUntil: 'domcontentloaded', 
+            timeout: 60000 // 60 second timeout
+          });
+          
+          // Wait longer for analytics tools to initialize (Adobe tools load async)
+          const actualWaitTime = waitTime || 3000; // Use at least 3 seconds for analytics
+          console.error(`Waiting ${actualWaitTime}ms for analytics tools to initialize`);
+          await new Promise(resolve => setTimeout(resolve, actualWaitTime));
+          
+          // Detect marketing pixels with focus on analytics
+          const pixelAnalysis = await detectMarketingPixels(page, requests);
+          
+          // Filter analytics-specific technologies and requests
+          const analyticsTech = pixelAnalysis.technologies.filter(tech => 
+            tech.category === 'Analytics' || 
+            tech.vendor === 'Adobe' || // Ensure we capture all Adobe tools regardless of category
+            tech.name.includes('Google Analytics') || 
+            tech.name.includes('Analytics') ||
+            tech.name.includes('Segment') ||
+            tech.name.includes('Mixpanel') ||
+            tech.name.includes('Clarity') ||
+            tech.name.includes('Hotjar')
+          );
+          
+          // Filter for analytics network requests
+          const analyticsRequests = requests.filter(req => 
+            req.url.includes('google-analytics.com') || 
+            req.url.includes('analytics') || 
+            req.url.includes('segment.io') || 
+            req.url.includes('mixpanel.com') || 
+            req.url.includes('hotjar.com') || 
+            req.url.includes('clarity.ms') ||
+            req.url.includes('omtrdc.net') ||
+            req.url.includes('demdex.net') ||
+            req.url.includes('2o7.net') ||
+            req.url.includes('/b/ss/') ||
+            req.url.includes('/AppMeasurement') ||
+            req.url.includes('adobedc.net')
+          );
+          
+          // Extract IDs
+          const analyticsIds = {};
+          if (pixelAnalysis.pixelIds.ga4) {
+            analyticsIds.ga4 = pixelAnalysis.pixelIds.ga4;
+          }
+          if (pixelAnalysis.pixelIds.ua) {
+            analyticsIds.ua = pixelAnalysis.pixelIds.ua;
+          }
+          if (pixelAnalysis.pixelIds.adobeAnalytics) {
+            analyticsIds.adobeAnalytics = pixelAnalysis.pixelIds.adobeAnalytics;
+          }
+          if (pixelAnalysis.pixelIds.adobeReportSuite) {
+            analyticsIds.adobeReportSuite = pixelAnalysis.pixelIds.adobeReportSuite;
+          }
+          if (pixelAnalysis.pixelIds.adobeEcid) {
+            analyticsIds.adobeEcid = pixelAnalysis.pixelIds.adobeEcid;
+          }
+          
+          // Check for custom analytics implementations
+          const customAnalytics = await page.evaluate(() => {
+            // Look for common custom analytics patterns
+            const customPatterns = {
+              analyticsScripts: Array.from(document.scripts)
+                .filter(script => {
+                  const src = script.src.toLowerCase();
+                  const content = script.innerHTML.toLowerCase();
+                  return (
+                    src.includes('/analytics/') ||
+                    src.includes('/stats/') ||
+                    src.includes('/tracking/') ||
+                    src.includes('/core.js') ||
+                    src.includes('/sync.js') ||
+                    content.includes('pageview') ||
+                    content.includes('trackEvent') ||
+                    content.includes('trackPage')
+                  ) &&
+                  // Exclude known implementations
+                  !src.includes('google-analytics.com') &&
+                  !src.includes('analytics.tiktok.com');
+                })
+                .map(script => ({
+                  src: script.src,
+                  inline: script.src ? false : true
+                })).slice(0, 5),
+              
+              // Data layer patterns other than GTM
+              dataObjects: [
+                'digitalData', // Adobe Data Layer
+                'utag_data', // Tealium Data Layer
+                'appEventData', // Facebook CAPI
+                'pageData', // Common custom analytics
+                'analyticsData', // Common custom analytics
+                'trackingData' // Common custom analytics
+              ].filter(varName => typeof window[varName] !== 'undefined')
+            };
             
-            // Data layer patterns other than GTM
-            dataObjects: [
-              'digitalData', // Adobe Data Layer
-              'utag_data', // Tealium Data Layer
-              'appEventData', // Facebook CAPI
-              'pageData', // Common custom analytics
-              'analyticsData', // Common custom analytics
-              'trackingData' // Common custom analytics
-            ].filter(varName => typeof window[varName] !== 'undefined')
+            return customPatterns;
+          });
+          
+          // Compile analytics-specific analysis
+          const analyticsAnalysis = {
+            url,
+            scanTime: new Date().toISOString(),
+            analyticsTools: analyticsTech,
+            dataLayerSample: pixelAnalysis.dataLayerSample,
+            dataLayerTimeline: pixelAnalysis.dataLayerTimeline,
+            analyticsIds: analyticsIds,
+            customAnalytics: customAnalytics,
+            analyticsRequests: analyticsRequests.slice(0, 10).map(req => ({
+              url: req.url,
+              type: req.resourceType
+            }))
           };
           
-          return customPatterns;
-        });
-        
-        // Compile analytics-specific analysis
-        const analyticsAnalysis = {
-          url,
-          scanTime: new Date().toISOString(),
-          analyticsTools: analyticsTech,
-          dataLayerSample: pixelAnalysis.dataLayerSample,
-          analyticsIds: analyticsIds,
-          customAnalytics: customAnalytics,
-          analyticsRequests: analyticsRequests.slice(0, 10).map(req => ({
-            url: req.url,
-            type: req.resourceType
-          }))
-        };
-        
-        // Close the page
-        await page.close();
-        
-        return {
-          content: [{
-            type: "text",
-            text: JSON.stringify(analyticsAnalysis, null, 2)
-          }]
-        };
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify(analyticsAnalysis, null, 2)
+            }]
+          };
+        } finally {
+          await page.close();
+        }
       } catch (error) {
         return {
           content: [{
@@ -270,82 +278,100 @@ export function registerMarketingTools(server, initBrowser) {
         
         // Create a new page
         const page = await browser.newPage();
-        
-        // Set a desktop viewport
-        await page.setViewport({ width: 1280, height: 800 });
-        
-        // Use the improved request interception utility
-        const requests = await setupRequestInterception(page, {
-          blockResources: ['image', 'font'] // Block less essential resources
-        });
-        
-        // Navigate to URL with extended timeout
-        await page.goto(url, { 
-          waitUntil: 'domcontentloaded', 
-          timeout: 60000 // 60 second timeout
-        });
-        
-        // Additional wait time for delayed pixel fires
-        if (waitTime) {
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
-        
-        // Detect marketing pixels with focus on advertising
-        const pixelAnalysis = await detectMarketingPixels(page);
-        
-        // Filter advertising-specific technologies
-        const adTech = pixelAnalysis.technologies.filter(tech => 
-          tech.category === 'Advertising' || 
-          tech.name.includes('Facebook') || 
-          tech.name.includes('TikTok') ||
-          tech.name.includes('Twitter') ||
-          tech.name.includes('Pinterest') ||
-          tech.name.includes('LinkedIn') ||
-          tech.name.includes('Pixel')
-        );
-        
-        // Filter for advertising network requests
-        const adRequests = requests.filter(req => 
-          req.url.includes('facebook.com/tr') || 
-          req.url.includes('facebook.net') || 
-          req.url.includes('analytics.tiktok.com') || 
-          req.url.includes('platform.twitter.com') || 
-          req.url.includes('ads') || 
-          req.url.includes('pixel') ||
-          req.url.includes('pinterest.com/ct') ||
-          req.url.includes('linkedin.com/px')
-        );
-        
-        // Extract advertising IDs
-        const adIds = {};
-        if (pixelAnalysis.pixelIds.facebook) {
-          adIds.facebook = pixelAnalysis.pixelIds.facebook;
-        }
-        if (pixelAnalysis.pixelIds.tiktok) {
-          adIds.tiktok = pixelAnalysis.pixelIds.tiktok;
+        try {
+          // Set a desktop viewport
+          await page.setViewport({ width: 1280, height: 800 });
+          
+          // Use the improved request interception utility
+          const requests = await setupRequestInterception(page, {
+            blockResources: ['image', 'font'] // Block less essential resources
+          });
+
+          // Record every data layer change from the start of the page load
+          await installDataLayerRecorder(page);
+          
+          // Navigate to URL with extended timeout
+          await page.goto(url, { 
+            waitUntil: 'domcontentloaded', 
+            timeout: 60000 // 60 second timeout
+          });
+          
+          // Additional wait time for delayed pixel fires
+          if (waitTime) {
+            await new Promise(resolve => setTimeout(resolve, waitTime));
+          }
+          
+          // Detect marketing pixels with focus on advertising
+          const pixelAnalysis = await detectMarketingPixels(page, requests);
+          
+          // Filter advertising-specific technologies
+          const adTech = pixelAnalysis.technologies.filter(tech => 
+            tech.category === 'Advertising' || 
+            tech.name.includes('Facebook') || 
+            tech.name.includes('TikTok') ||
+            tech.name.includes('Twitter') ||
+            tech.name.includes('Pinterest') ||
+            tech.name.includes('LinkedIn') ||
+            tech.name.includes('Snap') ||
+            tech.name.includes('Reddit') ||
+            tech.name.includes('Quora') ||
+            tech.name.includes('Criteo') ||
+            tech.name.includes('Pixel')
+          );
+          
+          // Filter for advertising network requests
+          const adRequests = requests.filter(req => 
+            req.url.includes('facebook.com/tr') || 
+            req.url.includes('facebook.net') || 
+            req.url.includes('analytics.tiktok.com') || 
+            req.url.includes('platform.twitter.com') || 
+            req.url.includes('ads') || 
+            req.url.includes('pixel') ||
+            req.url.includes('pinterest.com/ct') ||
+            req.url.includes('linkedin.com/px') ||
+            req.url.includes('tr.snapchat.com') ||
+            req.url.includes('alb.reddit.com') ||
+            req.url.includes('q.quora.com') ||
+            req.url.includes('criteo.com') ||
+            req.url.includes('criteo.net')
+          );
+          
+          // Extract advertising IDs
+          const adIds = {};
+          if (pixelAnalysis.pixelIds.facebook) {
+            adIds.facebook = pixelAnalysis.pixelIds.facebook;
+          }
+          if (pixelAnalysis.pixelIds.tiktok) {
+            adIds.tiktok = pixelAnalysis.pixelIds.tiktok;
+          }
+          ['snapchat', 'reddit', 'quora', 'criteo'].forEach(vendor => {
+            if (pixelAnalysis.pixelIds[vendor]) {
+              adIds[vendor] = pixelAnalysis.pixelIds[vendor];
+            }
+          });
+          
+          // Compile advertising-specific analysis
+          const adAnalysis = {
+            url,
+            scanTime: new Date().toISOString(),
+            advertisingTools: adTech,
+            pixelIds: adIds,
+            dataLayerTimeline: pixelAnalysis.dataLayerTimeline,
+            adRequests: adRequests.slice(0, 10).map(req => ({
+              url: req.url,
+              type: req.resourceType
+            }))
+          };
+          
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify(adAnalysis, null, 2)
+            }]
+          };
+        } finally {
+          await page.close();
         }
-        
-        // Compile advertising-specific analysis
-        const adAnalysis = {
-          url,
-          scanTime: new Date().toISOString(),
-          advertisingTools: adTech,
-          pixelIds: adIds,
-          adRequests: adRequests.slice(0, 10).map(req => ({
-            url: req.url,
-            type: req.resourceType
-          }))
-        };
-        
-        // Close the page
-        await page.close();
-        
-        return {
-          content: [{
-            type: "text",
-            text: JSON.stringify(adAnalysis, null, 2)
-          }]
-        };
       } catch (error) {
         return {
           content: [{
@@ -385,9 +411,12 @@ export function registerMarketingTools(server, initBrowser) {
         await page.setViewport({ width: 1280, height: 800 });
         
         // Use the improved request interception utility
-        await setupRequestInterception(page, {
+        const requests = await setupRequestInterception(page, {
           blockResources: ['image', 'font', 'media'] // Block heavy resources
         });
+
+        // Record every dataLayer, adobeDataLayer, digitalData and utag_data change
+        await installDataLayerRecorder(page);
         
         // Navigate to URL with extended timeout
         await page.goto(url, { 
@@ -401,7 +430,7 @@ export function registerMarketingTools(server, initBrowser) {
         }
         
         // Detect marketing pixels with focus on tag managers
-        const pixelAnalysis = await detectMarketingPixels(page);
+        const pixelAnalysis = await detectMarketingPixels(page, requests);
         
         // Filter tag manager technologies
         const tagManagers = pixelAnalysis.technologies.filter(tech => 
@@ -437,6 +466,12 @@ export function registerMarketingTools(server, initBrowser) {
         if (pixelAnalysis.pixelIds.gtm) {
           tagManagerIds.gtm = pixelAnalysis.pixelIds.gtm;
         }
+        if (pixelAnalysis.pixelIds.tealium) {
+          tagManagerIds.tealium = pixelAnalysis.pixelIds.tealium;
+        }
+        if (pixelAnalysis.pixelIds.ensighten) {
+          tagManagerIds.ensighten = pixelAnalysis.pixelIds.ensighten;
+        }
         
         // Compile tag manager analysis
         const tagManagerAnalysis = {
@@ -444,7 +479,9 @@ export function registerMarketingTools(server, initBrowser) {
           scanTime: new Date().toISOString(),
           tagManagers,
           tagManagerIds,
-          ...dataLayerInfo
+          tealium: pixelAnalysis.tealium,
+          ...dataLayerInfo,
+          dataLayerTimeline: pixelAnalysis.dataLayerTimeline
         };
         
         // Close the page
@@ -475,9 +512,11 @@ export function registerMarketingTools(server, initBrowser) {
     {
       url: z.string().url().describe("The URL of the webpage to analyze"),
       waitTime: z.number().optional().describe("Additional time to wait in milliseconds"),
-      maxRequests: z.number().optional().describe("Maximum number of requests to include in results")
+      maxRequests: z.number().optional().describe("Maximum number of requests to include in results"),
+      harPath: z.string().optional().describe("Optional file path to save the full capture as a HAR 1.2 file"),
+      disabledProviders: z.array(z.string()).optional().describe("Provider keys to skip (e.g. \"TWITTER\", \"MICROSOFTCLARITY\")")
     },
-    async ({ url, waitTime, maxRequests }) => {
+    async ({ url, waitTime, maxRequests, harPath, disabledProviders }) => {
       try {
         // Initialize browser
         const browser = await initBrowser({
@@ -490,142 +529,168 @@ export function registerMarketingTools(server, initBrowser) {
         
         // Create a new page
         const page = await browser.newPage();
-        
-        // Set a desktop viewport
-        await page.setViewport({ width: 1280, height: 800 });
-        
-        // Setup request interception with error handling
-        // Only block images to preserve other resources that might be analytics-related
-        let requests = [];
         try {
-          requests = await setupRequestInterception(page, {
-            blockResources: ['image'] // Don't block scripts, fonts, etc. which might have analytics
-          });
-        } catch (error) {
-          console.error(`Error setting up request interception: ${error.message}`);
-          // Continue with empty requests array rather than failing
-        }
-        
-        // Navigate to URL
-        await page.goto(url, { 
-          waitUntil: 'networkidle2', 
-          timeout: 60000 // 60 second timeout
-        });
-        
-        // Additional wait time for delayed pixel fires
-        const actualWaitTime = waitTime || 3000; // Use at least 3 seconds for analytics
-        console.error(`Waiting ${actualWaitTime}ms for network requests to complete`);
-        await new Promise(resolve => setTimeout(resolve, actualWaitTime));
-        
-        // Filter marketing-related requests
-        const marketingRequests = filterMarketingRequests(requests);
-        
-        // Analyze network requests
-        const networkAnalysis = analyzeNetworkRequests(requests);
-        
-        // Run custom analytics beacon detection for technologies that use custom domains
-        const customBeacons = await page.evaluate(() => {
-          // Find all image pixels that might be tracking beacons
-          return Array.from(document.querySelectorAll('img[height="1"], img[width="1"], img[src*="?id="], img[src*="track"]'))
-            .map(img => ({
-              src: img.src,
-              size: `${img.width}x${img.height}`,
-              hidden: img.style.display === 'none' || img.style.visibility === 'hidden'
-            }))
-            .filter(img => img.src); // Only return images with valid src
-        });
-        
-        // Add vendor categorization for custom analytics implementations
-        const customVendors = {
-          adobe: [],
-          custom: []
-        };
-        
-        // Analyze requests for Home Depot-like custom analytics
-        requests.forEach(req => {
-          const url = req.url;
+          // Set a desktop viewport
+          await page.setViewport({ width: 1280, height: 800 });
+          
+          // Setup request interception with error handling
+          // Only block images to preserve other resources that might be analytics-related
+          let requests = [];
           try {
-            const parsedUrl = new URL(url);
-            
-            // Check for Adobe Analytics patterns in custom domains
-            if (
-              (parsedUrl.pathname.includes('/b/ss/') || // Adobe Analytics collection path
-               parsedUrl.pathname.includes('/id') || // Experience Cloud ID service
-               /\/[^\/]+\/s_code\.js/.test(parsedUrl.pathname)) && // s_code.js
-              !networkAnalysis.beaconsByVendor.adobe.some(b => b.url === url)
-            ) {
-              customVendors.adobe.push({
-                url: url,
-                type: req.resourceType,
-                pattern: 'Custom Adobe implementation'
-              });
-            }
-            // Check for custom analytics patterns
-            else if (
-              (parsedUrl.pathname.includes('/analytics/') ||
-               parsedUrl.pathname.includes('/track/') ||
-               parsedUrl.pathname.includes('/stats/') ||
-               parsedUrl.pathname.includes('/sync.js') ||
-               parsedUrl.pathname.includes('/core.js') ||
-               parsedUrl.searchParams.has('event') ||
-               parsedUrl.searchParams.has('track')) &&
-              !Object.values(networkAnalysis.beaconsByVendor).flat().some(b => b.url === url)
-            ) {
-              customVendors.custom.push({
-                url: url,
-                type: req.resourceType,
-                pattern: 'Custom analytics pattern'
-              });
-            }
-          } catch (e) {
-            // Skip URL parsing errors
+            requests = await setupRequestInterception(page, {
+              blockResources: harBlockResources(['image'], harPath), // Don't block scripts, fonts, etc. which might have analytics
+              captureBody: true // First-party collection endpoints are recognised by their POST payload
+            });
+          } catch (error) {
+            console.error(`Error setting up request interception: ${error.message}`);
+            // Continue with empty requests array rather than failing
           }
-        });
-        
-        // Compile network analysis
-        const requestsAnalysis = {
-          url,
-          scanTime: new Date().toISOString(),
-          summary: {
-            totalRequests: requests.length,
-            marketingRequests: marketingRequests.length,
-            trackersByVendor: {
-              google: networkAnalysis.beaconsByVendor.google.length,
-              facebook: networkAnalysis.beaconsByVendor.facebook.length,
-              tiktok: networkAnalysis.beaconsByVendor.tiktok.length,
-              twitter: networkAnalysis.beaconsByVendor.twitter.length,
-              adobe: networkAnalysis.beaconsByVendor.adobe.length + customVendors.adobe.length,
-              microsoft: networkAnalysis.beaconsByVendor.microsoft.length,
-              pinterest: networkAnalysis.beaconsByVendor.pinterest.length,
-              linkedin: networkAnalysis.beaconsByVendor.linkedin.length,
-              other: networkAnalysis.beaconsByVendor.other.length,
-              custom: customVendors.custom.length
+          
+          // Navigate to URL
+          await page.goto(url, { 
+            waitUntil: 'networkidle2', 
+            timeout: 60000 // 60 second timeout
+          });
+          
+          // Additional wait time for delayed pixel fires
+          const actualWaitTime = waitTime || 3000; // Use at least 3 seconds for analytics
+          console.error(`Waiting ${actualWaitTime}ms for network requests to complete`);
+          await new Promise(resolve => setTimeout(resolve, actualWaitTime));
+          
+          // Leave out requests that only a disabled provider recognises
+          const providerInfo = providerRegistry.getProviderInfo(disabledProviders);
+          const trackedRequests = requests.filter(request =>
+            providerRegistry.getProvidersForRequest(request.url, request.postData || "", providerInfo).length > 0 ||
+            providerRegistry.getProvidersForRequest(request.url, request.postData || "").length === 0
+          );
+          
+          // Filter marketing-related requests
+          const marketingRequests = filterMarketingRequests(trackedRequests);
+          
+          // Analyze network requests
+          const networkAnalysis = analyzeNetworkRequests(trackedRequests);
+          
+          // Run custom analytics beacon detection for technologies that use custom domains
+          const customBeacons = await page.evaluate(() => {
+            // Find all image pixels that might be tracking beacons
+            return Array.from(document.querySelectorAll('img[height="1"], img[width="1"], img[src*="?id="], img[src*="track"]'))
+              .map(img => ({
+                src: img.src,
+                size: `${img.width}x${img.height}`,
+                hidden: img.style.display === 'none' || img.style.visibility === 'hidden'
+              }))
+              .filter(img => img.src); // Only return images with valid src
+          });
+          
+          // Add vendor categorization for custom analytics implementations
+          const customVendors = {
+            adobe: [],
+            custom: []
+          };
+          
+          // Analyze requests for Home Depot-like custom analytics
+          trackedRequests.forEach(req => {
+            const url = req.url;
+            try {
+              const parsedUrl = new URL(url);
+              
+              // Check for Adobe Analytics patterns in custom domains
+              if (
+                (parsedUrl.pathname.includes('/b/ss/') || // Adobe Analytics collection path
+                 parsedUrl.pathname.includes('/id') || // Experience Cloud ID service
+                 /\/[^\/]+\/s_code\.js/.test(parsedUrl.pathname)) && // s_code.js
+                !networkAnalysis.beaconsByVendor.adobe.some(b => b.url === url)
+              ) {
+                customVendors.adobe.push({
+                  url: url,
+                  type: req.resourceType,
+                  pattern: 'Custom Adobe implementation'
+                });
+              }
+              // Check for custom analytics patterns
+              else if (
+                (parsedUrl.pathname.includes('/analytics/') ||
+                 parsedUrl.pathname.includes('/track/') ||
+                 parsedUrl.pathname.includes('/stats/') ||
+                 parsedUrl.pathname.includes('/sync.js') ||
+                 parsedUrl.pathname.includes('/core.js') ||
+                 parsedUrl.searchParams.has('event') ||
+                 parsedUrl.searchParams.has('track')) &&
+                !Object.values(networkAnalysis.beaconsByVendor).flat().some(b => b.url === url)
+              ) {
+                customVendors.custom.push({
+                  url: url,
+                  type: req.resourceType,
+                  pattern: 'Custom analytics pattern'
+                });
+              }
+            } catch (e) {
+              // Skip URL parsing errors
+            }
+          });
+          
+          // Compile network analysis
+          const requestsAnalysis = {
+            url,
+            scanTime: new Date().toISOString(),
+            summary: {
+              totalRequests: requests.length,
+              marketingRequests: marketingRequests.length,
+              trackersByVendor: {
+                google: networkAnalysis.beaconsByVendor.google.length,
+                googleAds: networkAnalysis.beaconsByVendor.googleAds.length,
+                facebook: networkAnalysis.beaconsByVendor.facebook.length,
+                tiktok: networkAnalysis.beaconsByVendor.tiktok.length,
+                twitter: networkAnalysis.beaconsByVendor.twitter.length,
+                adobe: networkAnalysis.beaconsByVendor.adobe.length + customVendors.adobe.length,
+                microsoft: networkAnalysis.beaconsByVendor.microsoft.length,
+                pinterest: networkAnalysis.beaconsByVendor.pinterest.length,
+                linkedin: networkAnalysis.beaconsByVendor.linkedin.length,
+                snapchat: networkAnalysis.beaconsByVendor.snapchat.length,
+                reddit: networkAnalysis.beaconsByVendor.reddit.length,
+                quora: networkAnalysis.beaconsByVendor.quora.length,
+                criteo: networkAnalysis.beaconsByVendor.criteo.length,
+                segment: networkAnalysis.beaconsByVendor.segment.length,
+                other: networkAnalysis.beaconsByVendor.other.length,
+                custom: customVendors.custom.length
+              }
+            },
+            firstPartyEndpoints: networkAnalysis.firstPartyEndpoints,
+            trackingPixels: customBeacons.slice(0, maxRequests || 5),
+            detailedTrackers: {
+              google: networkAnalysis.beaconsByVendor.google.slice(0, maxRequests || 5),
+              googleAds: networkAnalysis.beaconsByVendor.googleAds.slice(0, maxRequests || 5),
+              facebook: networkAnalysis.beaconsByVendor.facebook.slice(0, maxRequests || 5),
+              tiktok: networkAnalysis.beaconsByVendor.tiktok.slice(0, maxRequests || 5),
+              twitter: networkAnalysis.beaconsByVendor.twitter.slice(0, maxRequests || 5),
+              adobe: networkAnalysis.beaconsByVendor.adobe.slice(0, maxRequests || 5).concat(customVendors.adobe.slice(0, maxRequests || 5)),
+              microsoft: networkAnalysis.beaconsByVendor.microsoft.slice(0, maxRequests || 5),
+              pinterest: networkAnalysis.beaconsByVendor.pinterest.slice(0, maxRequests || 5),
+              linkedin: networkAnalysis.beaconsByVendor.linkedin.slice(0, maxRequests || 5),
+              snapchat: networkAnalysis.beaconsByVendor.snapchat.slice(0, maxRequests || 5),
+              reddit: networkAnalysis.beaconsByVendor.reddit.slice(0, maxRequests || 5),
+              quora: networkAnalysis.beaconsByVendor.quora.slice(0, maxRequests || 5),
+              criteo: networkAnalysis.beaconsByVendor.criteo.slice(0, maxRequests || 5),
+              segment: networkAnalysis.beaconsByVendor.segment.slice(0, maxRequests || 5),
+              other: networkAnalysis.beaconsByVendor.other.slice(0, maxRequests || 5),
+              custom: customVendors.custom.slice(0, maxRequests || 5)
             }
-          },
-          trackingPixels: customBeacons.slice(0, maxRequests || 5),
-          detailedTrackers: {
-            google: networkAnalysis.beaconsByVendor.google.slice(0, maxRequests || 5),
-            facebook: networkAnalysis.beaconsByVendor.facebook.slice(0, maxRequests || 5),
-            tiktok: networkAnalysis.beaconsByVendor.tiktok.slice(0, maxRequests || 5),
-            twitter: networkAnalysis.beaconsByVendor.twitter.slice(0, maxRequests || 5),
-            adobe: networkAnalysis.beaconsByVendor.adobe.slice(0, maxRequests || 5).concat(customVendors.adobe.slice(0, maxRequests || 5)),
-            microsoft: networkAnalysis.beaconsByVendor.microsoft.slice(0, maxRequests || 5),
-            pinterest: networkAnalysis.beaconsByVendor.pinterest.slice(0, maxRequests || 5),
-            linkedin: networkAnalysis.beaconsByVendor.linkedin.slice(0, maxRequests || 5),
-            other: networkAnalysis.beaconsByVendor.other.slice(0, maxRequests || 5),
-            custom: customVendors.custom.slice(0, maxRequests || 5)
+          };
+          
+          // Save the full capture as a HAR file if requested
+          if (harPath) {
+            requestsAnalysis.harFile = await saveHar(requests, harPath, { pageUrl: url, disabledProviders });
           }
-        };
-        
-        // Close the page
-        await page.close();
-        
-        return {
-          content: [{
-            type: "text",
-            text: JSON.stringify(requestsAnalysis, null, 2)
-          }]
-        };
+          
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify(requestsAnalysis, null, 2)
+            }]
+          };
+        } finally {
+          await page.close();
+        }
       } catch (error) {
         return {
           content: [{
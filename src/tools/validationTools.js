@@ -0,0 +1,162 @@
+/**
+ * Tracking Validation Tools
+ * Tools for checking captured beacons against a tracking specification
+ */
+import { z } from "zod";
+import { captureAnalyticsBeacons, parseHarBeacons } from '../utils/beaconCapture.js';
+import { setupRequestInterception } from '../utils/requestInterceptor.js';
+import { loadTrackingSpec, validateTrackingSpec } from '../validation/trackingSpecValidator.js';
+import { testProviderDefinitions } from '../validation/providerDefinitionTester.js';
+import { loadProviderDefinitions } from '../providers/DeclarativeProvider.js';
+import providerRegistry from '../providers/index.js';
+
+/**
+ * Register tracking validation tools with the server
+ *
+ * @param {Object} server - MCP server instance
+ * @param {Function} initBrowser - Browser initialization function
+ */
+export function registerValidationTools(server, initBrowser) {
+    server.tool(
+        "validate-tracking-spec",
+        "Validate analytics and marketing beacons against a declarative JSON/YAML tracking specification",
+        {
+            url: z.string().url().optional().describe("The URL of the webpage to capture beacons from"),
+            harPath: z.string().optional().describe("Path to a HAR file to validate instead of loading a URL"),
+            specPath: z.string().optional().describe("Path to a JSON or YAML tracking spec"),
+            spec: z.string().optional().describe("Inline JSON or YAML tracking spec"),
+            waitTime: z.number().optional().describe("Time to wait for beacons to fire (milliseconds)"),
+            disabledProviders: z.array(z.string()).optional().describe("Provider keys to skip (e.g. \"TWITTER\", \"MICROSOFTCLARITY\")")
+        },
+        async ({ url, harPath, specPath, spec, waitTime = 3000, disabledProviders }) => {
+            try {
+                if (!url && !harPath) {
+                    throw new Error('Either url or harPath is required');
+                }
+
+                const trackingSpec = await loadTrackingSpec({ specPath, spec });
+
+                let captured;
+                if (harPath) {
+                    captured = await parseHarBeacons(harPath, { disabledProviders });
+                } else {
+                    const browser = await initBrowser({
+                        args: [
+                            '--no-sandbox',
+                            '--disable-setuid-sandbox',
+                            '--disable-dev-shm-usage'
+                        ]
+                    });
+
+                    const page = await browser.newPage();
+                    try {
+                        await page.setViewport({ width: 1280, height: 800 });
+
+                        // Intercept before navigating so page load beacons are validated too;
+                        // images stay unblocked as most pixel beacons load as images
+                        await setupRequestInterception(page, {
+                            blockResources: ['font', 'media'],
+                            captureBody: true
+                        });
+
+                        await page.goto(url, {
+                            waitUntil: 'networkidle2',
+                            timeout: 60000
+                        });
+
+                        // Validate beacons from every provider type
+                        captured = await captureAnalyticsBeacons(page, {
+                            waitTime,
+                            includeBody: true,
+                            providerTypes: [],
+                            disabledProviders
+                        });
+                    } finally {
+                        await page.close();
+                    }
+                }
+
+                const validation = validateTrackingSpec(captured.beacons, trackingSpec);
+
+                const result = {
+                    source: harPath || url,
+                    scanTime: new Date().toISOString(),
+                    beaconCount: captured.beacons.length,
+                    summary: validation.summary,
+                    results: validation.results
+                };
+
+                return {
+                    content: [{
+                        type: "text",
+                        text: JSON.stringify(result, null, 2)
+                    }]
+                };
+            } catch (error) {
+                return {
+                    content: [{
+                        type: "text",
+                        text: `Error validating tracking spec: ${error.message}`
+                    }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    server.tool(
+        "test-provider-definition",
+        "Test declarative JSON/YAML provider definitions against sample URLs, optionally registering them for this session",
+        {
+            definitionPath: z.string().optional().describe("Path to a JSON or YAML provider definition file"),
+            definition: z.string().optional().describe("Inline JSON or YAML provider definition(s)"),
+            samples: z.array(z.object({
+                url: z.string().describe("Sample request URL"),
+                postData: z.string().optional().describe("Sample POST body"),
+                expect: z.object({
+                    match: z.boolean().optional().describe("Whether the URL should match the provider (default: true)"),
+                    requestType: z.string().optional().describe("Expected request type"),
+                    fields: z.record(z.string()).optional().describe("Expected parsed values keyed by parameter")
+                }).optional()
+            })).optional().describe("Extra samples to run in addition to those in the definition"),
+            register: z.boolean().optional().describe("Add the providers to the registry when every sample passes"),
+            replace: z.boolean().optional().describe("Allow registered providers to replace existing providers with the same key")
+        },
+        async ({ definitionPath, definition, samples = [], register = false, replace = false }) => {
+            try {
+                const definitions = await loadProviderDefinitions({ definitionPath, definition });
+                const result = testProviderDefinitions(definitions, { samples });
+
+                if (register) {
+                    const passed = result.summary.failed === 0 && result.summary.invalidDefinitions === 0;
+                    const existing = definitions
+                        .map(item => String(item.key).toUpperCase())
+                        .filter(key => Object.prototype.hasOwnProperty.call(providerRegistry.providers, key));
+
+                    result.registered = [];
+                    if (passed && existing.length && !replace) {
+                        result.registrationError = `Providers already registered: ${existing.join(', ')}. Set replace to replace them`;
+                    } else if (passed) {
+                        result.registered = definitions.map(item => providerRegistry.addDefinition(item).key);
+                        result.replaced = existing;
+                    }
+                }
+
+                return {
+                    content: [{
+                        type: "text",
+                        text: JSON.stringify(result, null, 2)
+                    }]
+                };
+            } catch (error) {
+                return {
+                    content: [{
+                        type: "text",
+                        text: `Error testing provider definition: ${error.message}`
+                    }],
+                    isError: true
+                };
+            }
+        }
+    );
+}
@@ -2,8 +2,10 @@
  * Beacon Capture Utility
  * Advanced utilities for capturing and processing analytics beacons
  */
+import { readFile } from 'fs/promises';
 import providerRegistry from '../providers/index.js';
 import { setupRequestInterception } from './requestInterceptor.js';
+import { isVendorHost } from '../analytics/firstPartyDetector.js';
 
 /**
  * Captures analytics beacons from a page with enhanced filtering and processing
@@ -39,11 +41,24 @@ export async function captureAnalyticsBeacons(page, options = {}) {
     return processAnalyticsBeacons(requests, config);
 }
 
+/**
+ * Resolve the request type of a parsed beacon using the provider's column mapping
+ * 
+ * @param {Object} parsedData - Result of BaseProvider.parseUrl
+ * @returns {string} Request type, or 'Unknown'
+ */
+export function getRequestType(parsedData) {
+    const requestTypeKey = parsedData.provider?.columns?.requestType || 'requestType';
+    return parsedData.data.find(d => d.key === requestTypeKey)?.value || 'Unknown';
+}
+
 /**
  * Process captured network requests to identify and parse analytics beacons
  * 
  * @param {Array} requests - Captured network requests
  * @param {Object} options - Processing options
+ * @param {string[]} options.providerTypes - Types of providers to capture (default: all)
+ * @param {string[]} options.disabledProviders - Provider keys to skip
  * @returns {Object} Processed analytics data
  */
 export function processAnalyticsBeacons(requests, options = {}) {
@@ -53,23 +68,27 @@ export function processAnalyticsBeacons(requests, options = {}) {
         summary: {
             totalRequests: requests.length,
             analyticsRequests: 0,
+            cookielessPings: 0,
+            warnings: 0,
+            firstPartyRequests: 0,
             providers: {}
         }
     };
     
+    // Providers disabled for this run, e.g. from tool arguments
+    const providerInfo = providerRegistry.getProviderInfo(options.disabledProviders);
+    
     // Filter requests for analytics beacons
     for (const request of requests) {
         // Skip non-network requests
         if (!request.url) continue;
 
-        // Check if this URL matches any provider
-        if (providerRegistry.checkUrl(request.url)) {
-            // Get matching providers
-            const matchingProviders = providerRegistry.getMatchingProviders(request.url);
-            
-            // Skip if no matching providers
-            if (!matchingProviders.length) continue;
-            
+        // Get the providers matching this URL, or its payload signature when
+        // it was sent to a first-party endpoint
+        const matchingProviders = providerRegistry.getProvidersForRequest(request.url, request.postData || "", providerInfo);
+        
+        // Only requests recognised by a provider are beacons
+        if (matchingProviders.length) {
             // Filter by provider type if specified
             const filteredProviders = options.providerTypes?.length
                 ? matchingProviders.filter(provider => 
@@ -82,42 +101,71 @@ export function processAnalyticsBeacons(requests, options = {}) {
             // Process each matching provider
             for (const provider of filteredProviders) {
                 try {
-                    // Parse the request with the provider
-                    const parsedData = provider.parseUrl(
+                    // Parse the request with the provider; batched requests
+                    // (e.g. several GA4 events in one POST) yield one beacon per hit
+                    const parsedBeacons = provider.parseBeacons(
                         request.url, 
                         request.postData || ""
-                    );
+                    ).filter(Boolean);
                     
                     // Skip if no parsed data
-                    if (!parsedData) continue;
+                    if (!parsedBeacons.length) continue;
                     
                     // Count this as an analytics request
                     result.summary.analyticsRequests++;
                     
-                    // Track provider counts
-                    const providerName = provider.name;
-                    if (!result.summary.providers[providerName]) {
-                        result.summary.providers[providerName] = 1;
-                    } else {
-                        result.summary.providers[providerName]++;
+                    // Collection through the site's own hostname (CNAME or server-side proxy)
+                    const hostname = new URL(request.url).hostname;
+                    const firstParty = !isVendorHost(hostname);
+                    if (firstParty) {
+                        result.summary.firstPartyRequests++;
                     }
                     
-                    // Add the beacon to the result
-                    result.beacons.push({
-                        url: request.url,
-                        method: request.method,
-                        timestamp: request.timestamp || new Date().toISOString(),
-                        provider: provider.name,
-                        providerKey: provider.key,
-                        type: provider.type,
-                        requestType: parsedData.data.find(d => d.key === 'requestType')?.value || 'Unknown',
-                        parsedData: parsedData.data,
-                        groups: parsedData.provider.groups,
-                        rawContent: options.includeRaw ? {
+                    for (const parsedData of parsedBeacons) {
+                        // Track provider counts
+                        const providerName = provider.name;
+                        if (!result.summary.providers[providerName]) {
+                            result.summary.providers[providerName] = 1;
+                        } else {
+                            result.summary.providers[providerName]++;
+                        }
+                        
+                        // Count hits sent without analytics storage consent (Consent Mode)
+                        const cookielessPing = parsedData.data.some(d => d.key === 'omnibug_cookielessPing' && d.value === 'true');
+                        if (cookielessPing) {
+                            result.summary.cookielessPings++;
+                        }
+                        
+                        // Providers flag data problems (e.g. totals that don't add up) as warnings
+                        const warnings = parsedData.data
+                            .filter(d => d.key === 'omnibug_warning')
+                            .map(d => d.value);
+                        result.summary.warnings += warnings.length;
+                        
+                        // Add the beacon to the result
+                        result.beacons.push({
                             url: request.url,
-                            postData: request.postData || null
-                        } : undefined
-                    });
+                            method: request.method,
+                            timestamp: request.timestamp || new Date().toISOString(),
+                            status: request.status,
+                            timing: request.timing,
+                            provider: provider.name,
+                            providerKey: provider.key,
+                            type: provider.type,
+                            requestType: getRequestType(parsedData),
+                            batch: parsedData.batch,
+                            cookielessPing: cookielessPing || undefined,
+                            warnings: warnings.length ? warnings : undefined,
+                            firstParty: firstParty || undefined,
+                            collectionHost: firstParty ? hostname : undefined,
+                            parsedData: parsedData.data,
+                            groups: parsedData.provider.groups,
+                            rawContent: options.includeRaw ? {
+                                url: request.url,
+                                postData: request.postData || null
+                            } : undefined
+                        });
+                    }
                 } catch (error) {
                     console.error(`Error processing beacon with ${provider.name}: ${error.message}`);
                 }
@@ -135,6 +183,100 @@ export function processAnalyticsBeacons(requests, options = {}) {
     return result;
 }
 
+/**
+ * Convert a list of HAR name/value pairs into a plain object
+ *
+ * @param {Array} pairs - HAR headers or params
+ * @returns {Object} Map of names to values
+ */
+function harPairsToObject(pairs = []) {
+    const result = {};
+    for (const pair of pairs) {
+        if (pair && pair.name) {
+            result[pair.name.toLowerCase()] = pair.value;
+        }
+    }
+    return result;
+}
+
+/**
+ * Convert the entries of a HAR 1.2 log into the request shape produced by
+ * setupRequestInterception, so they can be fed to processAnalyticsBeacons
+ *
+ * @param {Object} har - Parsed HAR document
+ * @returns {Array} Captured network requests
+ */
+export function harToRequests(har) {
+    const entries = har?.log?.entries;
+    if (!Array.isArray(entries)) {
+        throw new Error('Invalid HAR file: log.entries is missing');
+    }
+
+    return entries.map(entry => {
+        const request = entry.request || {};
+        const response = entry.response || {};
+        const time = Date.parse(entry.startedDateTime);
+
+        const requestObj = {
+            url: request.url,
+            method: request.method || 'GET',
+            resourceType: entry._resourceType || 'other',
+            headers: harPairsToObject(request.headers),
+            time: isNaN(time) ? undefined : time,
+            timestamp: isNaN(time) ? undefined : new Date(time).toISOString(),
+            status: response.status,
+            responseHeaders: harPairsToObject(response.headers),
+            timing: entry.time,
+            timings: entry.timings
+        };
+
+        // Prefer the raw body; fall back to rebuilding a form body from params
+        const postData = request.postData;
+        if (postData?.text) {
+            requestObj.postData = postData.text;
+        } else if (Array.isArray(postData?.params) && postData.params.length) {
+            requestObj.postData = postData.params
+                .map(param => `${encodeURIComponent(param.name)}=${encodeURIComponent(param.value || '')}`)
+                .join('&');
+        }
+
+        return requestObj;
+    });
+}
+
+/**
+ * Load a HAR 1.2 file from disk and parse its analytics beacons without a browser
+ *
+ * @param {string} harPath - Path to the HAR file
+ * @param {Object} options - Processing options (see processAnalyticsBeacons)
+ * @returns {Promise<Object>} Processed analytics data with HAR metadata and the requests read from the file
+ */
+export async function parseHarBeacons(harPath, options = {}) {
+    let har;
+    try {
+        har = JSON.parse(await readFile(harPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Unable to read HAR file ${harPath}: ${error.message}`);
+    }
+
+    const requests = harToRequests(har);
+    const result = processAnalyticsBeacons(requests, options);
+
+    result.requests = requests;
+    result.har = {
+        file: harPath,
+        creator: har.log.creator?.name || null,
+        pages: (har.log.pages || []).map(page => ({
+            id: page.id,
+            title: page.title,
+            startedDateTime: page.startedDateTime
+        })),
+        entries: requests.length
+    };
+
+    return result;
+}
+
 /**
  * Simulates a user interaction and captures resulting beacons
  * 
@@ -163,8 +305,9 @@ export async function captureInteractionBeacons(page, selector, action = 'click'
     // Wait before interaction to establish baseline
     await new Promise(resolve => setTimeout(resolve, config.preWait));
     
-    // Clear requests captured during the pre-wait period
-    requests.length = 0;
+    // Ignore requests captured before the interaction; the array may be shared
+    // with an earlier capture on the same page, so leave it intact
+    const baseline = requests.length;
     
     // Perform the requested interaction
     try {
@@ -202,7 +345,7 @@ export async function captureInteractionBeacons(page, selector, action = 'click'
     await new Promise(resolve => setTimeout(resolve, config.waitTime));
     
     // Process captured beacons
-    const result = processAnalyticsBeacons(requests, config);
+    const result = processAnalyticsBeacons(requests.slice(baseline), config);
     
     // Add interaction metadata
     result.interaction = {
@@ -213,3 +356,241 @@ export async function captureInteractionBeacons(page, selector, action = 'click'
     
     return result;
 }
+
+/**
+ * Actions supported by runTrackingJourney
+ */
+export const JOURNEY_ACTIONS = [
+    'navigate',
+    'click',
+    'type',
+    'select',
+    'submit',
+    'scroll-to',
+    'wait-for-selector',
+    'wait-for-beacon',
+    'evaluate'
+];
+
+// Quiet period after a submit that does not navigate (milliseconds)
+const SUBMIT_SETTLE_TIME = 500;
+
+/**
+ * Check whether a processed beacon matches a wait-for-beacon step
+ * 
+ * @param {Object} beacon - Beacon produced by processAnalyticsBeacons
+ * @param {Object} step - Journey step with optional provider and requestType
+ * @returns {boolean} True if the beacon matches
+ */
+function beaconMatchesStep(beacon, step) {
+    const normalize = value => String(value || '').toLowerCase().replace(/[_\s]+/g, ' ').trim();
+    
+    if (step.provider &&
+        normalize(step.provider) !== normalize(beacon.providerKey) &&
+        normalize(step.provider) !== normalize(beacon.provider)) {
+        return false;
+    }
+    
+    return !step.requestType || normalize(step.requestType) === normalize(beacon.requestType);
+}
+
+/**
+ * Perform a single journey step on the page
+ * 
+ * @param {Object} page - Puppeteer page object
+ * @param {Object} step - Journey step
+ * @param {Array} requests - Shared request log from setupRequestInterception
+ * @param {number} baseline - Index of the first request captured during this step
+ * @param {Object} config - Journey configuration
+ * @returns {Promise<*>} Value produced by the step (evaluate only)
+ */
+async function performJourneyStep(page, step, requests, baseline, config) {
+    const timeout = step.timeout || config.stepTimeout;
+    const requireSelector = () => {
+        if (!step.selector) {
+            throw new Error(`The ${step.action} step requires a selector`);
+        }
+    };
+    
+    switch (step.action) {
+        case 'navigate':
+            if (!step.url) {
+                throw new Error('The navigate step requires a url');
+            }
+            await page.goto(step.url, { waitUntil: 'networkidle2', timeout: Math.max(timeout, 60000) });
+            return undefined;
+        case 'click':
+            requireSelector();
+            await page.waitForSelector(step.selector, { timeout });
+            await page.click(step.selector);
+            return undefined;
+        case 'type':
+            requireSelector();
+            await page.waitForSelector(step.selector, { timeout });
+            await page.type(step.selector, step.text || '');
+            return undefined;
+        case 'select': {
+            requireSelector();
+            const values = [].concat(step.value ?? []);
+            if (!values.length) {
+                throw new Error('The select step requires a value');
+            }
+            await page.waitForSelector(step.selector, { timeout });
+            await page.select(step.selector, ...values.map(String));
+            return undefined;
+        }
+        case 'submit': {
+            requireSelector();
+            await page.waitForSelector(step.selector, { timeout });
+            // Submit the form (or the form owning the element) and follow any navigation
+            const navigation = page.waitForNavigation({ waitUntil: 'networkidle2', timeout }).catch(() => null);
+            await page.$eval(step.selector, element => {
+                const form = element.tagName === 'FORM' ? element : element.form;
+                if (!form) {
+                    throw new Error('Element is not a form or a form control');
+                }
+                if (form.requestSubmit) {
+                    form.requestSubmit();
+                } else {
+                    form.submit();
+                }
+            });
+            // AJAX submits never navigate, so stop once the network settles instead
+            await Promise.race([
+                navigation,
+                page.waitForNetworkIdle({ idleTime: SUBMIT_SETTLE_TIME, timeout }).catch(() => null)
+            ]);
+            return undefined;
+        }
+        case 'scroll-to':
+            if (step.selector) {
+                await page.waitForSelector(step.selector, { timeout });
+                await page.$eval(step.selector, element => element.scrollIntoView());
+            } else {
+                await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+            }
+            return undefined;
+        case 'wait-for-selector':
+            requireSelector();
+            await page.waitForSelector(step.selector, { timeout, visible: Boolean(step.visible) });
+            return undefined;
+        case 'wait-for-beacon': {
+            const started = Date.now();
+            while (Date.now() - started < timeout) {
+                const { beacons } = processAnalyticsBeacons(requests.slice(baseline), config);
+                if (beacons.some(beacon => beaconMatchesStep(beacon, step))) {
+                    return undefined;
+                }
+                await new Promise(resolve => setTimeout(resolve, 250));
+            }
+            throw new Error(`Timed out after ${timeout}ms waiting for a ${step.provider || 'matching'} ${step.requestType || ''} beacon`.replace(/\s+/g, ' '));
+        }
+        case 'evaluate':
+            if (!step.script) {
+                throw new Error('The evaluate step requires a script');
+            }
+            return page.evaluate(step.script);
+        default:
+            throw new Error(`Unknown journey action: ${step.action}`);
+    }
+}
+
+/**
+ * Runs an ordered list of steps in a single page and attributes every beacon
+ * to the step during which it was sent
+ * 
+ * A beacon belongs to the step that was running, or waiting for beacons to
+ * settle, when the request was made. Requests that fire after a step's wait
+ * time has elapsed are attributed to the following step.
+ * 
+ * @param {Object} page - Puppeteer page object
+ * @param {Array} steps - Journey steps ({ action, selector, url, text, value, script, provider, requestType, waitTime, timeout, label })
+ * @param {Object} options - Configuration options
+ * @param {number} options.waitTime - Default time to wait for beacons after each step (milliseconds)
+ * @param {number} options.stepTimeout - Default timeout for selectors, navigation and beacon waits (milliseconds)
+ * @param {boolean} options.continueOnError - Keep running the remaining steps after a step fails
+ * @param {string[]} options.providerTypes - Types of providers to capture (default: all)
+ * @param {string[]} options.disabledProviders - Provider keys to skip
+ * @returns {Promise<Object>} Per-step beacons and a journey summary
+ */
+export async function runTrackingJourney(page, steps, options = {}) {
+    const defaultOptions = {
+        waitTime: 1500,
+        stepTimeout: 10000,
+        continueOnError: false,
+        includeBody: true,
+        providerTypes: []
+    };
+    
+    const config = { ...defaultOptions, ...options };
+    
+    // Reuses the request log if interception is already set up on this page;
+    // images stay unblocked as most pixel beacons load as images
+    const requests = await setupRequestInterception(page, {
+        blockResources: ['font', 'media'],
+        captureBody: config.includeBody
+    });
+    
+    const result = {
+        steps: [],
+        summary: {
+            totalSteps: steps.length,
+            completedSteps: 0,
+            failedSteps: 0,
+            totalBeacons: 0,
+            providers: {}
+        }
+    };
+    
+    let stopped = false;
+    for (const [index, step] of steps.entries()) {
+        const stepResult = {
+            index,
+            action: step.action,
+            label: step.label,
+            selector: step.selector,
+            url: step.url,
+            status: 'skipped'
+        };
+        result.steps.push(stepResult);
+        
+        if (stopped) continue;
+        
+        const baseline = requests.length;
+        const started = Date.now();
+        stepResult.startedAt = new Date(started).toISOString();
+        
+        try {
+            const value = await performJourneyStep(page, step, requests, baseline, config);
+            if (step.action === 'evaluate') {
+                stepResult.result = value;
+            }
+            stepResult.status = 'completed';
+            result.summary.completedSteps++;
+        } catch (error) {
+            stepResult.status = 'failed';
+            stepResult.error = error.message;
+            result.summary.failedSteps++;
+            stopped = !config.continueOnError;
+        }
+        
+        // Let beacons triggered by the step fire before moving on
+        const waitTime = step.waitTime ?? config.waitTime;
+        if (waitTime > 0) {
+            await new Promise(resolve => setTimeout(resolve, waitTime));
+        }
+        
+        const stepBeacons = processAnalyticsBeacons(requests.slice(baseline), config);
+        stepResult.duration = Date.now() - started;
+        stepResult.pageUrl = page.url();
+        stepResult.beaconCount = stepBeacons.beacons.length;
+        stepResult.beacons = stepBeacons.beacons;
+        
+        result.summary.totalBeacons += stepBeacons.beacons.length;
+        for (const [provider, count] of Object.entries(stepBeacons.summary.providers)) {
+            result.summary.providers[provider] = (result.summary.providers[provider] || 0) + count;
+        }
+    }
+    
+    return result;
+}
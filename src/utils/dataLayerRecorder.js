@@ -0,0 +1,316 @@
+/**
+ * Utility for recording every change to the page's data layers as a timeline
+ *
+ * The recorder is installed with evaluateOnNewDocument, before any page script
+ * runs, and records:
+ * - `dataLayer` and `adobeDataLayer`: every push, plus the event listeners
+ *   registered on the Adobe Client Data Layer
+ * - `digitalData`: every assignment and every push to `digitalData.event`
+ * - `utag_data`: every assignment, plus `utag.view()` / `utag.link()` calls
+ *
+ * Each entry has a timestamp, the URL of the script that made the change
+ * (read from the call stack) and a deep-cloned payload.
+ */
+
+// Page global the recorder writes its entries into
+const RECORDER_LOG = '__martechDataLayerLog';
+
+// Data layers recorded by default
+const DATA_LAYERS = ['dataLayer', 'adobeDataLayer', 'digitalData', 'utag_data'];
+
+/**
+ * Installs the recorder in the page. Must be called before navigating.
+ * Calling it again on the same page only adds the layers not yet recorded.
+ * @param {Page} page - Puppeteer page object
+ * @param {Object} options - Recorder options
+ * @param {string[]} options.layers - Data layer globals to record (default: all of DATA_LAYERS)
+ * @returns {Promise<void>}
+ */
+async function installDataLayerRecorder(page, { layers = DATA_LAYERS } = {}) {
+  await page.evaluateOnNewDocument((logName, layerNames) => {
+    if (!window[logName]) {
+      Object.defineProperty(window, logName, {
+        value: { entries: [], listeners: [], layers: [] },
+        enumerable: false
+      });
+    }
+    const log = window[logName];
+
+    // Deep clone that survives functions, DOM nodes, cycles and arguments objects
+    function clone(value, seen = new WeakSet(), depth = 0) {
+      if (typeof value === 'function') return '[function]';
+      if (value === null || typeof value !== 'object') return value;
+      if (typeof Node !== 'undefined' && value instanceof Node) {
+        return `[${value.nodeName ? value.nodeName.toLowerCase() : 'node'}]`;
+      }
+      if (seen.has(value)) return '[circular]';
+      if (depth > 10) return '[object]';
+      seen.add(value);
+      let copy;
+      if (Array.isArray(value) || Object.prototype.toString.call(value) === '[object Arguments]') {
+        copy = Array.from(value, item => clone(item, seen, depth + 1));
+      } else if (value instanceof Date) {
+        copy = value.toISOString();
+      } else {
+        copy = {};
+        for (const key of Object.keys(value)) {
+          try {
+            copy[key] = clone(value[key], seen, depth + 1);
+          } catch (e) {
+            copy[key] = '[unreadable]';
+          }
+        }
+      }
+      seen.delete(value);
+      return copy;
+    }
+
+    // The recorder's own frames have no http(s) URL, so the first one that
+    // does belongs to the script that made the change
+    function callerScripts() {
+      const frames = String(new Error().stack || '').split('\n');
+      const urls = [];
+      for (const frame of frames) {
+        const match = frame.match(/(https?:\/\/[^\s)]+?):\d+:\d+\)?$/);
+        if (match && urls[urls.length - 1] !== match[1]) {
+          urls.push(match[1]);
+        }
+      }
+      return urls.slice(0, 5);
+    }
+
+    function record(layer, method, payload) {
+      const stack = callerScripts();
+      log.entries.push({
+        layer,
+        method,
+        time: Date.now(),
+        source: stack[0] || null,
+        stack,
+        payload: clone(payload)
+      });
+    }
+
+    // Turns push into an accessor: libraries that replace it later (GTM,
+    // ACDL) store their function through the setter and the getter always
+    // hands out a recording wrapper around the current one
+    const hookedArrays = new WeakSet();
+    function hookArray(layer, method, array) {
+      if (!Array.isArray(array) || hookedArrays.has(array)) return false;
+      hookedArrays.add(array);
+      // Items in an array literal assigned before any push
+      array.forEach(item => record(layer, method, item));
+      let inner = array.push;
+      let recording = null;
+      Object.defineProperty(array, 'push', {
+        configurable: true,
+        enumerable: false,
+        get() {
+          const target = inner;
+          return function (...items) {
+            // GTM chains to the push it replaced, which calls back in with
+            // the same items; record those only once
+            const chained = recording && recording.length === items.length &&
+              items.every((item, i) => item === recording[i]);
+            if (chained) return target.apply(this, items);
+            const outer = recording;
+            recording = items;
+            items.forEach(item => record(layer, method, item));
+            try {
+              return target.apply(this, items);
+            } finally {
+              recording = outer;
+            }
+          };
+        },
+        set(fn) {
+          inner = fn;
+        }
+      });
+      return true;
+    }
+
+    // ACDL defines addEventListener/removeEventListener on the array when it
+    // initializes; the Launch extension and AEM components register through them
+    function hookListeners(array) {
+      ['addEventListener', 'removeEventListener'].forEach(method => {
+        let inner = array[method];
+        Object.defineProperty(array, method, {
+          configurable: true,
+          enumerable: false,
+          get() {
+            if (typeof inner !== 'function') return inner;
+            const target = inner;
+            return function (type, listener, options) {
+              const stack = callerScripts();
+              log.listeners.push({
+                method,
+                eventType: type,
+                path: options && options.path ? String(options.path) : null,
+                scope: options && options.scope ? String(options.scope) : null,
+                time: Date.now(),
+                source: stack[0] || null
+              });
+              return target.apply(this, arguments);
+            };
+          },
+          set(fn) {
+            inner = fn;
+          }
+        });
+      });
+    }
+
+    // Records assignments to a window global and hooks each assigned value
+    function watchGlobal(name, onAssign) {
+      let current = window[name];
+      if (current !== undefined) onAssign(current);
+      Object.defineProperty(window, name, {
+        configurable: true,
+        enumerable: true,
+        get() {
+          return current;
+        },
+        set(value) {
+          current = value;
+          onAssign(value);
+        }
+      });
+    }
+
+    const recorders = {
+      dataLayer: () => watchGlobal('dataLayer', value => hookArray('dataLayer', 'push', value)),
+      adobeDataLayer: () => watchGlobal('adobeDataLayer', value => {
+        if (hookArray('adobeDataLayer', 'push', value)) {
+          hookListeners(value);
+        }
+      }),
+      digitalData: () => watchGlobal('digitalData', value => {
+        record('digitalData', 'assign', value);
+        if (value && Array.isArray(value.event)) {
+          hookArray('digitalData', 'event.push', value.event);
+        }
+      }),
+      utag_data: () => {
+        watchGlobal('utag_data', value => record('utag_data', 'assign', value));
+        // utag.view()/utag.link() are Tealium's tracking calls
+        watchGlobal('utag', value => {
+          if (!value || typeof value !== 'object' || value.__martechHooked) return;
+          Object.defineProperty(value, '__martechHooked', { value: true, enumerable: false });
+          ['view', 'link'].forEach(method => {
+            let original = value[method];
+            Object.defineProperty(value, method, {
+              configurable: true,
+              enumerable: true,
+              get() {
+                if (typeof original !== 'function') return original;
+                return function (data, ...rest) {
+                  record('utag_data', `utag.${method}`, data);
+                  return original.call(this, data, ...rest);
+                };
+              },
+              set(fn) {
+                original = fn;
+              }
+            });
+          });
+        });
+      }
+    };
+
+    for (const layer of layerNames) {
+      if (recorders[layer] && !log.layers.includes(layer)) {
+        log.layers.push(layer);
+        try {
+          recorders[layer]();
+        } catch (e) {
+          // A page-defined non-configurable global cannot be watched
+        }
+      }
+    }
+  }, RECORDER_LOG, layers);
+}
+
+/**
+ * Reads the recorded entries from the page
+ * @param {Page} page - Puppeteer page object
+ * @param {Object} options - Collection options
+ * @param {string[]} options.layers - Only return entries for these layers
+ * @returns {Promise<(Array|null)>} Timeline entries in push order, or null when the recorder is not installed
+ */
+async function collectDataLayerTimeline(page, { layers } = {}) {
+  const entries = await page.evaluate((logName) => {
+    const log = window[logName];
+    return log ? log.entries : null;
+  }, RECORDER_LOG);
+  if (!entries) {
+    return null;
+  }
+  return entries
+    .filter(entry => !layers || layers.includes(entry.layer))
+    .map(entry => ({
+      ...entry,
+      timestamp: new Date(entry.time).toISOString()
+    }));
+}
+
+/**
+ * Reads the Adobe Client Data Layer listener registrations recorded in the page
+ * @param {Page} page - Puppeteer page object
+ * @returns {Promise<(Array|null)>} Registrations in call order, or null when the recorder is not installed
+ */
+async function collectDataLayerListeners(page) {
+  const listeners = await page.evaluate((logName) => {
+    const log = window[logName];
+    return log ? log.listeners : null;
+  }, RECORDER_LOG);
+  if (!listeners) {
+    return null;
+  }
+  return listeners.map(listener => ({
+    ...listener,
+    timestamp: new Date(listener.time).toISOString()
+  }));
+}
+
+/**
+ * Merges data layer entries and beacons into one chronological stream
+ * @param {Array} entries - Entries from collectDataLayerTimeline
+ * @param {Array} beacons - Beacons with a `timestamp` (ISO) or `time` (ms)
+ * @returns {Array} Stream items tagged with `kind` ("dataLayer" or "beacon")
+ */
+function mergeTimeline(entries = [], beacons = []) {
+  const toTime = item => (typeof item.time === 'number' ? item.time : Date.parse(item.timestamp));
+  const stream = [
+    ...entries.map(entry => ({
+      kind: 'dataLayer',
+      time: entry.time,
+      timestamp: entry.timestamp || new Date(entry.time).toISOString(),
+      layer: entry.layer,
+      method: entry.method,
+      source: entry.source,
+      payload: entry.payload
+    })),
+    ...beacons.map(beacon => ({
+      kind: 'beacon',
+      time: toTime(beacon),
+      timestamp: beacon.timestamp || new Date(beacon.time).toISOString(),
+      provider: beacon.provider,
+      providerKey: beacon.providerKey,
+      requestType: beacon.requestType,
+      url: beacon.url
+    }))
+  ];
+  // Stable sort keeps push order for entries recorded in the same millisecond
+  return stream
+    .sort((a, b) => (a.time || 0) - (b.time || 0))
+    .map(({ time, ...item }) => item);
+}
+
+export {
+  DATA_LAYERS,
+  installDataLayerRecorder,
+  collectDataLayerTimeline,
+  collectDataLayerListeners,
+  mergeTimeline
+};
@@ -0,0 +1,185 @@
+/**
+ * Utility for exporting captured network requests as HAR 1.2 files
+ * Each entry that matches a provider carries its decoded parses under `_martech`
+ */
+import { writeFile } from 'fs/promises';
+import { createRequire } from 'module';
+import providerRegistry from '../providers/index.js';
+
+const { version } = createRequire(import.meta.url)('../../package.json');
+
+/**
+ * Converts a header/param object into HAR name/value pairs
+ * @param {Object} obj - Map of names to values
+ * @returns {Array} HAR name/value pairs
+ */
+function toHarPairs(obj = {}) {
+  return Object.entries(obj || {}).map(([name, value]) => ({
+    name,
+    value: String(value)
+  }));
+}
+
+/**
+ * Builds the HAR entry for a single captured request
+ * @param {Object} request - Request captured by setupRequestInterception
+ * @param {string} pageId - ID of the HAR page the entry belongs to
+ * @param {Object} providerInfo - Providers disabled for the decode (see ProviderRegistry.getProviderInfo)
+ * @returns {Object} HAR entry
+ */
+function buildHarEntry(request, pageId, providerInfo = {}) {
+  let queryString = [];
+  try {
+    queryString = Array.from(new URL(request.url).searchParams.entries())
+      .map(([name, value]) => ({ name, value }));
+  } catch (e) {
+    // Leave the query string empty for unparseable URLs
+  }
+
+  const requestHeaders = request.headers || {};
+  const responseHeaders = request.responseHeaders || {};
+  const timing = typeof request.timing === 'number' ? request.timing : 0;
+
+  const entry = {
+    pageref: pageId,
+    startedDateTime: request.timestamp || new Date(request.time || Date.now()).toISOString(),
+    time: timing,
+    request: {
+      method: request.method || 'GET',
+      url: request.url,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarPairs(requestHeaders),
+      queryString,
+      headersSize: -1,
+      bodySize: request.postData ? Buffer.byteLength(request.postData) : 0
+    },
+    response: {
+      status: request.status || 0,
+      statusText: request.statusText || '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarPairs(responseHeaders),
+      content: {
+        size: -1,
+        mimeType: responseHeaders['content-type'] || ''
+      },
+      redirectURL: responseHeaders.location || '',
+      headersSize: -1,
+      bodySize: -1
+    },
+    cache: {},
+    timings: {
+      send: 0,
+      wait: timing,
+      receive: 0
+    },
+    _resourceType: request.resourceType
+  };
+
+  if (request.postData) {
+    entry.request.postData = {
+      mimeType: requestHeaders['content-type'] || '',
+      text: request.postData
+    };
+  }
+
+  // Attach the decoded parses of every provider that recognises the request;
+  // batched requests yield one parse per beacon
+  const providers = request.url
+    ? providerRegistry.getProvidersForRequest(request.url, request.postData || '', providerInfo)
+    : [];
+  if (providers.length) {
+    entry._martech = {
+      providers: providers.map(provider => {
+        const annotation = {
+          provider: {
+            name: provider.name,
+            key: provider.key,
+            type: provider.type
+          }
+        };
+        try {
+          annotation.beacons = provider.parseBeacons(request.url, request.postData || '')
+            .filter(Boolean)
+            .map(parsed => ({
+              batch: parsed.batch,
+              data: parsed.data
+            }));
+        } catch (error) {
+          annotation.error = error.message;
+        }
+        return annotation;
+      })
+    };
+  }
+
+  return entry;
+}
+
+/**
+ * Resource types to block during a capture that is saved as HAR. Pixel
+ * beacons load as images, so image requests are kept for the export.
+ * @param {string[]} blockResources - Resource types the capture would block
+ * @param {string} harPath - HAR destination, if the capture is exported
+ * @returns {string[]} Resource types to block
+ */
+function harBlockResources(blockResources, harPath) {
+  return harPath ? blockResources.filter(type => type !== 'image') : blockResources;
+}
+
+/**
+ * Builds a HAR 1.2 document from captured network requests
+ * @param {Array} requests - Requests captured by setupRequestInterception
+ * @param {Object} options - Export options
+ * @param {string} options.pageUrl - URL of the page the capture was taken on
+ * @param {string} options.pageTitle - Title to record for the page
+ * @param {string[]} options.disabledProviders - Provider keys to leave undecoded
+ * @returns {Object} HAR document
+ */
+function buildHar(requests, options = {}) {
+  const pageId = 'page_1';
+  const providerInfo = providerRegistry.getProviderInfo(options.disabledProviders);
+  const firstRequest = requests.find(request => request.timestamp);
+
+  return {
+    log: {
+      version: '1.2',
+      creator: {
+        name: 'puppeteer-plus-martech',
+        version
+      },
+      pages: [{
+        startedDateTime: firstRequest ? firstRequest.timestamp : new Date().toISOString(),
+        id: pageId,
+        title: options.pageTitle || options.pageUrl || '',
+        pageTimings: {}
+      }],
+      entries: requests
+        .filter(request => request.url)
+        .map(request => buildHarEntry(request, pageId, providerInfo))
+    }
+  };
+}
+
+/**
+ * Writes captured network requests to disk as a HAR 1.2 file
+ * @param {Array} requests - Requests captured by setupRequestInterception
+ * @param {string} harPath - Destination file path
+ * @param {Object} options - Export options (see buildHar)
+ * @returns {Promise<Object>} Path and number of entries written
+ */
+async function saveHar(requests, harPath, options = {}) {
+  const har = buildHar(requests, options);
+  await writeFile(harPath, JSON.stringify(har, null, 2), 'utf8');
+  return {
+    path: harPath,
+    entries: har.log.entries.length
+  };
+}
+
+export {
+  buildHar,
+  harBlockResources,
+  saveHar
+};
@@ -3,9 +3,14 @@
  * Updated version with improved handling for request interception conflicts
  */
 
+import { detectFirstPartyRequest } from '../analytics/firstPartyDetector.js';
+
 // Symbol to track if a page has been set up for interception
 const INTERCEPTION_SETUP = Symbol('request-interception-setup');
 
+// Symbol holding the requests array collected for a page
+const INTERCEPTION_REQUESTS = Symbol('request-interception-requests');
+
 /**
  * Sets up request interception on a Puppeteer page with conflict prevention
  * @param {Page} page - Puppeteer page object
@@ -21,7 +26,7 @@ async function setupRequestInterception(page, options = {}) {
   if (page[INTERCEPTION_SETUP]) {
     // If already set up, just return the existing requests array to avoid conflicts
     console.error('Request interception already set up for this page, reusing existing configuration');
-    return requests;
+    return page[INTERCEPTION_REQUESTS] || requests;
   }
   
   try {
@@ -38,6 +43,7 @@ async function setupRequestInterception(page, options = {}) {
     
     // Mark this page as having interception set up
     page[INTERCEPTION_SETUP] = true;
+    page[INTERCEPTION_REQUESTS] = requests;
     
     // Create a single request handler that will be used for all requests
     const requestHandler = (request) => {
@@ -110,14 +116,17 @@ async function setupRequestInterception(page, options = {}) {
     page.once('close', () => {
       page.removeListener('request', requestHandler);
       delete page[INTERCEPTION_SETUP];
+      delete page[INTERCEPTION_REQUESTS];
     });
     
     // Add response handler to capture response data
     page.on('response', response => {
       try {
-        const request = requests.find(req => req.url === response.url());
+        // Match the earliest request for this URL that has no response yet
+        const request = requests.find(req => req.url === response.url() && req.status === undefined);
         if (request) {
           request.status = response.status();
+          request.statusText = response.statusText();
           request.responseHeaders = response.headers();
           request.responseTime = Date.now();
           request.timing = request.responseTime - request.time;
@@ -147,6 +156,7 @@ function filterMarketingRequests(requests) {
     'googletagmanager.com',
     'doubleclick.net',
     'googlesyndication.com',
+    'googleadservices.com',
     
     // Facebook/Meta
     'facebook.com/tr',
@@ -192,8 +202,28 @@ function filterMarketingRequests(requests) {
     'snap.licdn.com',
     'px.ads.linkedin.com',
     
-    // Other Analytics/Marketing
+    // Snap
+    'tr.snapchat.com',
     'sc-static.net',
+    
+    // Reddit
+    'alb.reddit.com',
+    'redditstatic.com',
+    
+    // Quora
+    'q.quora.com',
+    'a.quora.com',
+    
+    // Criteo
+    'criteo.com',
+    'criteo.net',
+    
+    // Tealium & Ensighten
+    'tiqcdn.com',
+    'tealiumiq.com',
+    'ensighten.com',
+    
+    // Other Analytics/Marketing
     'contentsquare.net',
     'hotjar.com',
     'clicktale.net',
@@ -261,6 +291,13 @@ function filterMarketingRequests(requests) {
     '/i.gif' // Common tracking pixel pattern
   ];
   
+  // Shared hostnames where only some paths carry marketing hits
+  const marketingHostPaths = [
+    'google.com/pagead/',
+    'google.com/rmkt/collect',
+    'google.com/ccm/collect'
+  ];
+  
   return requests.filter(request => {
     try {
       const url = new URL(request.url);
@@ -274,6 +311,16 @@ function filterMarketingRequests(requests) {
         return true;
       }
       
+      // Check if host and path match known marketing endpoints
+      const hostPath = url.hostname + url.pathname;
+      const hostPathMatch = marketingHostPaths.some(prefix =>
+        hostPath.includes(prefix)
+      );
+      
+      if (hostPathMatch) {
+        return true;
+      }
+      
       // Check if path matches known marketing paths
       const pathMatch = marketingPaths.some(path => 
         url.pathname.includes(path)
@@ -283,6 +330,11 @@ function filterMarketingRequests(requests) {
         return true;
       }
       
+      // Check for vendor payloads sent through first-party hostnames
+      if (detectFirstPartyRequest(request)) {
+        return true;
+      }
+      
       // Check URL parameters for marketing indicators
       for (const [key, value] of url.searchParams.entries()) {
         const paramKey = key.toLowerCase();
@@ -0,0 +1,112 @@
+/**
+ * Provider Definition Tester
+ * Runs declarative provider definitions against sample URLs so analysts can
+ * check new coverage before adding it to the registry
+ *
+ * Each sample lists what the parse should produce:
+ *
+ *   samples:
+ *     - url: https://tr.snapchat.com/p?pid=123&ev=PAGE_VIEW
+ *       expect:
+ *         requestType: Page View
+ *         fields: { pid: "123" }
+ *     - url: https://www.example.com/
+ *       expect: { match: false }
+ */
+import DeclarativeProvider from '../providers/DeclarativeProvider.js';
+
+/**
+ * Check one sample against a provider
+ *
+ * @param {DeclarativeProvider} provider - Provider built from the definition
+ * @param {Object} sample - Sample with url, optional postData and expect
+ * @returns {Object} Sample result with failures
+ */
+function testSample(provider, sample) {
+    const expect = sample.expect || {};
+    const shouldMatch = expect.match !== false;
+    const failures = [];
+
+    const matched = provider.checkUrl(sample.url);
+    if (matched !== shouldMatch) {
+        failures.push(shouldMatch ? 'URL does not match the provider pattern' : 'URL unexpectedly matches the provider pattern');
+    }
+
+    let requestType = null;
+    let fields = {};
+    if (matched) {
+        let parsed;
+        try {
+            parsed = provider.parseUrl(sample.url, sample.postData || '');
+        } catch (error) {
+            parsed = { data: [], error: error.message };
+        }
+        if (parsed.error) {
+            failures.push(`Parse error: ${parsed.error}`);
+        }
+        requestType = parsed.data.find(item => item.key === 'requestType')?.value ?? null;
+        parsed.data.filter(item => !item.hidden).forEach(item => {
+            fields[item.key] = item.value;
+        });
+
+        if (expect.requestType !== undefined && String(expect.requestType) !== String(requestType)) {
+            failures.push(`Expected request type "${expect.requestType}" but got "${requestType}"`);
+        }
+        Object.entries(expect.fields || {}).forEach(([key, value]) => {
+            if (fields[key] === undefined) {
+                failures.push(`Expected field ${key} is missing`);
+            } else if (String(fields[key]) !== String(value)) {
+                failures.push(`Expected ${key} to be "${value}" but got "${fields[key]}"`);
+            }
+        });
+    }
+
+    return {
+        url: sample.url,
+        passed: failures.length === 0,
+        matched,
+        requestType,
+        fields,
+        failures
+    };
+}
+
+/**
+ * Build providers from definitions and run their samples
+ *
+ * @param {Array} definitions - Provider definitions
+ * @param {Object} options - Test options
+ * @param {Array} options.samples - Extra samples, run against every definition
+ * @returns {{summary: {providers: number, invalidDefinitions: number, samples: number, passed: number, failed: number}, results: Array}}
+ */
+export function testProviderDefinitions(definitions, { samples = [] } = {}) {
+    const results = definitions.map(definition => {
+        let provider;
+        try {
+            provider = new DeclarativeProvider(definition);
+        } catch (error) {
+            return { key: definition?.key || null, valid: false, error: error.message, samples: [] };
+        }
+
+        const providerSamples = (definition.samples || []).concat(samples);
+        return {
+            key: provider.key,
+            name: provider.name,
+            type: provider.type,
+            valid: true,
+            samples: providerSamples.map(sample => testSample(provider, sample))
+        };
+    });
+
+    const sampleResults = results.flatMap(result => result.samples);
+    return {
+        summary: {
+            providers: results.length,
+            invalidDefinitions: results.filter(result => !result.valid).length,
+            samples: sampleResults.length,
+            passed: sampleResults.filter(sample => sample.passed).length,
+            failed: sampleResults.filter(sample => !sample.passed).length
+        },
+        results
+    };
+}
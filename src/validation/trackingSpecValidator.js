@@ -0,0 +1,296 @@
+/**
+ * Tracking Specification Validator
+ * Checks parsed beacons against a declarative solution design reference
+ *
+ * A spec is keyed by provider key, then by beacon request type ("*" matches
+ * every request type), and lists the rules each matching beacon must satisfy:
+ *
+ *   GOOGLEANALYTICS4:
+ *     purchase:
+ *       required: [ep.transaction_id, cu]
+ *       regex: { ep.transaction_id: "^T-\\d+$" }
+ *       enum: { cu: [USD, EUR] }
+ *       range: { epn.value: { min: 0 } }
+ *       forbidden: [ep.email]
+ */
+import { readFile } from 'fs/promises';
+import yaml from 'js-yaml';
+
+const RULE_TYPES = ['required', 'forbidden', 'regex', 'enum', 'range'];
+
+/**
+ * Load a tracking spec from a JSON/YAML file or from inline JSON/YAML content
+ *
+ * @param {Object} source - Where to read the spec from
+ * @param {string} source.specPath - Path to a JSON or YAML file
+ * @param {string} source.spec - Inline JSON or YAML content
+ * @returns {Promise<Object>} Parsed spec
+ */
+export async function loadTrackingSpec({ specPath, spec } = {}) {
+    let content = spec;
+    if (specPath) {
+        try {
+            content = await readFile(specPath, 'utf8');
+        } catch (error) {
+            throw new Error(`Unable to read tracking spec ${specPath}: ${error.message}`);
+        }
+    }
+
+    if (!content) {
+        throw new Error('A tracking spec is required (specPath or spec)');
+    }
+
+    // YAML is a superset of JSON, so a single parser handles both formats
+    const parsed = yaml.load(content);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('Tracking spec must be an object keyed by provider key');
+    }
+    checkTrackingSpec(parsed);
+    return parsed;
+}
+
+/**
+ * Check whether a spec node is a mapping (YAML/JSON object)
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Reject specs whose rules would be silently skipped: a misspelt rule type
+ * (`requried`) or range bound (`mn`) would otherwise make the rule pass
+ *
+ * @param {Object} spec - Parsed spec
+ * @throws {Error} Naming the provider, request type, parameter and offending key
+ */
+function checkTrackingSpec(spec) {
+    for (const [providerKey, requestTypes] of Object.entries(spec)) {
+        if (!isPlainObject(requestTypes)) {
+            throw new Error(`Tracking spec for ${providerKey} must be an object keyed by request type`);
+        }
+        for (const [requestType, ruleBlock] of Object.entries(requestTypes)) {
+            const location = `${providerKey} "${requestType}"`;
+            if (!isPlainObject(ruleBlock)) {
+                throw new Error(`Rules for ${location} must be an object of rule types`);
+            }
+            for (const [ruleType, definition] of Object.entries(ruleBlock)) {
+                if (!RULE_TYPES.includes(ruleType)) {
+                    throw new Error(`Unknown rule "${ruleType}" for ${location}; expected one of: ${RULE_TYPES.join(', ')}`);
+                }
+                if (ruleType === 'required' || ruleType === 'forbidden') {
+                    continue;
+                }
+                if (!isPlainObject(definition)) {
+                    throw new Error(`Rule "${ruleType}" for ${location} must map parameters to their expected values`);
+                }
+                for (const [field, expected] of Object.entries(definition)) {
+                    if (ruleType === 'regex') {
+                        try {
+                            new RegExp(expected);
+                        } catch (error) {
+                            throw new Error(`Invalid regex for parameter ${field} in ${location}: ${error.message}`);
+                        }
+                    }
+                    if (ruleType === 'range') {
+                        if (!isPlainObject(expected)) {
+                            throw new Error(`Range for parameter ${field} in ${location} must be an object with min and/or max`);
+                        }
+                        const unknown = Object.keys(expected).filter(key => key !== 'min' && key !== 'max');
+                        if (unknown.length) {
+                            throw new Error(`Unknown range key "${unknown[0]}" for parameter ${field} in ${location}; expected min or max`);
+                        }
+                    }
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Normalize a request type for comparison ("add_to_cart" matches "Add To Cart")
+ *
+ * @param {string} requestType
+ * @returns {string}
+ */
+function normalizeRequestType(requestType) {
+    return String(requestType || '').toLowerCase().replace(/[_\s]+/g, ' ').trim();
+}
+
+/**
+ * Find the values of a field in a beacon's parsed data, by parameter key or field name
+ *
+ * @param {Object} beacon - Beacon produced by processAnalyticsBeacons
+ * @param {string} field - Parameter key (e.g. "ep.transaction_id") or field name
+ * @returns {Array} Matching values
+ */
+function getFieldValues(beacon, field) {
+    return (beacon.parsedData || [])
+        .filter(item => item.key === field || item.field === field)
+        .map(item => typeof item.value === 'object' && item.value !== null ? JSON.stringify(item.value) : item.value);
+}
+
+/**
+ * Check whether a value counts as present
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPresent(value) {
+    return value !== undefined && value !== null && String(value) !== '';
+}
+
+/**
+ * Evaluate a single rule against a single beacon
+ *
+ * @param {string} ruleType - One of RULE_TYPES
+ * @param {string} field - Field the rule applies to
+ * @param {*} expected - Rule argument (regex source, allowed values, range)
+ * @param {Object} beacon - Beacon to evaluate
+ * @returns {{status: string, actual: *, message: string}}
+ */
+function evaluateRule(ruleType, field, expected, beacon) {
+    const values = getFieldValues(beacon, field).filter(isPresent);
+    const actual = values.length > 1 ? values : values[0];
+
+    if (ruleType === 'required') {
+        return values.length
+            ? { status: 'pass', actual, message: `${field} is present` }
+            : { status: 'fail', actual, message: `${field} is missing or empty` };
+    }
+
+    if (ruleType === 'forbidden') {
+        return values.length
+            ? { status: 'fail', actual, message: `${field} must not be sent` }
+            : { status: 'pass', actual, message: `${field} is not sent` };
+    }
+
+    if (!values.length) {
+        return { status: 'fail', actual, message: `${field} is missing` };
+    }
+
+    if (ruleType === 'regex') {
+        // checkTrackingSpec has already rejected invalid patterns
+        const pattern = new RegExp(expected);
+        const failed = values.filter(value => !pattern.test(String(value)));
+        return failed.length
+            ? { status: 'fail', actual, message: `${field} does not match /${expected}/` }
+            : { status: 'pass', actual, message: `${field} matches /${expected}/` };
+    }
+
+    if (ruleType === 'enum') {
+        const allowed = (Array.isArray(expected) ? expected : [expected]).map(String);
+        const failed = values.filter(value => !allowed.includes(String(value)));
+        return failed.length
+            ? { status: 'fail', actual, message: `${field} must be one of: ${allowed.join(', ')}` }
+            : { status: 'pass', actual, message: `${field} is an allowed value` };
+    }
+
+    // range, the last of RULE_TYPES
+    const { min, max } = expected || {};
+    const failed = values.filter(value => {
+        const number = Number(value);
+        return isNaN(number) ||
+            (typeof min === 'number' && number < min) ||
+            (typeof max === 'number' && number > max);
+    });
+    const bounds = [
+        typeof min === 'number' ? `>= ${min}` : null,
+        typeof max === 'number' ? `<= ${max}` : null
+    ].filter(Boolean).join(' and ');
+    return failed.length
+        ? { status: 'fail', actual, message: `${field} must be a number ${bounds}`.trim() }
+        : { status: 'pass', actual, message: `${field} is within range` };
+}
+
+/**
+ * Expand a request type's rule block into individual [ruleType, field, expected] rules
+ *
+ * @param {Object} ruleBlock - Rules for one provider/request type
+ * @returns {Array} Flattened rules
+ */
+function expandRules(ruleBlock = {}) {
+    const rules = [];
+    for (const ruleType of RULE_TYPES) {
+        const definition = ruleBlock[ruleType];
+        if (!definition) continue;
+
+        if (ruleType === 'required' || ruleType === 'forbidden') {
+            const fields = Array.isArray(definition) ? definition : [definition];
+            fields.forEach(field => rules.push([ruleType, field, null]));
+        } else {
+            Object.entries(definition).forEach(([field, expected]) => rules.push([ruleType, field, expected]));
+        }
+    }
+    return rules;
+}
+
+/**
+ * Validate parsed beacons against a tracking spec
+ *
+ * @param {Array} beacons - Beacons produced by processAnalyticsBeacons
+ * @param {Object} spec - Spec loaded with loadTrackingSpec
+ * @returns {Object} Pass/fail report for each rule
+ */
+export function validateTrackingSpec(beacons, spec) {
+    const results = [];
+
+    for (const [providerKey, requestTypes] of Object.entries(spec)) {
+        for (const [requestType, ruleBlock] of Object.entries(requestTypes || {})) {
+            // Find the beacons this block applies to
+            const matchingBeacons = beacons
+                .map((beacon, index) => ({ beacon, index }))
+                .filter(({ beacon }) => beacon.providerKey === providerKey.toUpperCase() &&
+                    (requestType === '*' || normalizeRequestType(beacon.requestType) === normalizeRequestType(requestType)));
+
+            for (const [ruleType, field, expected] of expandRules(ruleBlock)) {
+                const result = {
+                    provider: providerKey,
+                    requestType,
+                    rule: ruleType,
+                    field,
+                    expected: expected === null ? undefined : expected,
+                    status: 'fail',
+                    evaluations: []
+                };
+
+                if (!matchingBeacons.length) {
+                    result.message = `No ${providerKey} "${requestType}" beacon fired`;
+                    results.push(result);
+                    continue;
+                }
+
+                for (const { beacon, index } of matchingBeacons) {
+                    const evaluation = evaluateRule(ruleType, field, expected, beacon);
+                    result.evaluations.push({
+                        ...evaluation,
+                        beacon: {
+                            index,
+                            url: beacon.url,
+                            timestamp: beacon.timestamp,
+                            requestType: beacon.requestType
+                        }
+                    });
+                }
+
+                const failures = result.evaluations.filter(evaluation => evaluation.status === 'fail');
+                result.status = failures.length ? 'fail' : 'pass';
+                result.message = failures.length
+                    ? `${failures.length} of ${result.evaluations.length} beacon(s) violated this rule`
+                    : `Satisfied by ${result.evaluations.length} beacon(s)`;
+                results.push(result);
+            }
+        }
+    }
+
+    return {
+        summary: {
+            rules: results.length,
+            passed: results.filter(result => result.status === 'pass').length,
+            failed: results.filter(result => result.status === 'fail').length
+        },
+        results
+    };
+}
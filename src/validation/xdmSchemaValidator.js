@@ -0,0 +1,233 @@
+/**
+ * XDM Schema Validator
+ * Checks the XDM payload of Web SDK events against a JSON Schema, such as one
+ * exported from Adobe Experience Platform
+ *
+ * Supports the subset of JSON Schema used by XDM schemas: type, required,
+ * properties, additionalProperties: false, items, enum, format: date-time,
+ * allOf and $ref (local "#/..." pointers or the $id of an embedded definition).
+ */
+import { readFile } from 'fs/promises';
+import providerRegistry from '../providers/index.js';
+
+/**
+ * Load an XDM JSON schema from a file
+ *
+ * @param {string} schemaPath - Path to a JSON schema file
+ * @returns {Promise<Object>} Parsed schema
+ */
+export async function loadXdmSchema(schemaPath) {
+    let content;
+    try {
+        content = await readFile(schemaPath, 'utf8');
+    } catch (error) {
+        throw new Error(`Unable to read XDM schema ${schemaPath}: ${error.message}`);
+    }
+
+    let schema;
+    try {
+        schema = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`XDM schema ${schemaPath} is not valid JSON: ${error.message}`);
+    }
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        throw new Error('XDM schema must be a JSON object');
+    }
+    return schema;
+}
+
+/**
+ * Resolve a $ref against the root schema
+ *
+ * @param {Object} root - Root schema document
+ * @param {string} ref - Reference to resolve
+ * @returns {Object|null} Referenced schema, or null if it cannot be resolved
+ */
+function resolveRef(root, ref) {
+    if (ref.startsWith('#')) {
+        return ref.slice(1).split('/').filter(Boolean).reduce((node, part) => {
+            const segment = decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~');
+            return node && typeof node === 'object' ? node[segment] : undefined;
+        }, root) || null;
+    }
+
+    // Absolute refs point at embedded definitions by their $id
+    const definitions = { ...(root.definitions || {}), ...(root.$defs || {}) };
+    return Object.values(definitions).find((definition) => definition?.$id === ref) || null;
+}
+
+/**
+ * Get the JSON Schema type name of a value
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function getType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Check a value against one or more allowed type names
+ *
+ * @param {*} value
+ * @param {string|Array<string>} expected
+ * @returns {boolean}
+ */
+function matchesType(value, expected) {
+    const actual = getType(value);
+    return [].concat(expected).some((type) => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+/**
+ * Recursively validate a value against a schema node
+ *
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} path - Dotted path of the value, for reporting
+ * @param {Object} root - Root schema document, for $ref resolution
+ * @param {Array} errors - Collected errors
+ * @param {number} depth - Current recursion depth
+ */
+function validateNode(value, schema, path, root, errors, depth = 0) {
+    if (!schema || typeof schema !== 'object' || depth > 50) {
+        return;
+    }
+
+    if (schema.$ref) {
+        const resolved = resolveRef(root, schema.$ref);
+        if (!resolved) {
+            errors.push({ path, type: 'unresolved-ref', message: `Cannot resolve schema reference ${schema.$ref}` });
+            return;
+        }
+        validateNode(value, resolved, path, root, errors, depth + 1);
+    }
+
+    if (Array.isArray(schema.allOf)) {
+        schema.allOf.forEach((subSchema) => validateNode(value, subSchema, path, root, errors, depth + 1));
+    }
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        errors.push({
+            path,
+            type: 'type-mismatch',
+            message: `Expected ${[].concat(schema.type).join(' or ')} but got ${getType(value)}`,
+            expected: schema.type,
+            actual: getType(value)
+        });
+        // Nested checks are meaningless once the type is wrong
+        return;
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.some((allowed) => allowed === value)) {
+        errors.push({
+            path,
+            type: 'enum',
+            message: `Value ${JSON.stringify(value)} is not one of ${JSON.stringify(schema.enum)}`,
+            expected: schema.enum,
+            actual: value
+        });
+    }
+
+    if (schema.format === 'date-time' && typeof value === 'string' && Number.isNaN(Date.parse(value))) {
+        errors.push({ path, type: 'format', message: `Value "${value}" is not a valid date-time`, actual: value });
+    }
+
+    if (getType(value) === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach((field) => {
+            if (value[field] === undefined) {
+                errors.push({
+                    path: path ? `${path}.${field}` : field,
+                    type: 'missing-required',
+                    message: `Required field ${field} is missing`
+                });
+            }
+        });
+
+        Object.entries(value).forEach(([field, fieldValue]) => {
+            const fieldPath = path ? `${path}.${field}` : field;
+            if (properties[field]) {
+                validateNode(fieldValue, properties[field], fieldPath, root, errors, depth + 1);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: fieldPath, type: 'unknown-field', message: `Field ${field} is not defined in the schema` });
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateNode(fieldValue, schema.additionalProperties, fieldPath, root, errors, depth + 1);
+            }
+        });
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => {
+            validateNode(item, schema.items, `${path}[${index}]`, root, errors, depth + 1);
+        });
+    }
+}
+
+/**
+ * Validate a single XDM object against a schema
+ *
+ * @param {Object} xdm - XDM payload of an event
+ * @param {Object} schema - XDM JSON schema
+ * @returns {{valid: boolean, errors: Array}} Validation result
+ */
+export function validateXdm(xdm, schema) {
+    const errors = [];
+    validateNode(xdm, schema, '', schema, errors);
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate the XDM of every event in captured Web SDK requests. The XDM is
+ * read from the raw request body, as the parsed beacons only keep it flattened.
+ *
+ * @param {Array} requests - Captured requests (only Web SDK requests are checked)
+ * @param {Object} schema - XDM JSON schema
+ * @param {Object} options - Validation options
+ * @param {string[]} options.disabledProviders - Provider keys to skip
+ * @returns {{summary: {events: number, valid: number, invalid: number, errors: number}, results: Array}}
+ */
+export function validateWebSdkBeacons(requests, schema, options = {}) {
+    const providerInfo = providerRegistry.getProviderInfo(options.disabledProviders);
+    const results = [];
+
+    for (const request of requests) {
+        if (!request.url || !request.postData) continue;
+        const isWebSdk = providerRegistry.getProvidersForRequest(request.url, request.postData, providerInfo)
+            .some((provider) => provider.key === 'ADOBEWEBSDK');
+        if (!isWebSdk) continue;
+
+        let body;
+        try {
+            body = JSON.parse(request.postData);
+        } catch (error) {
+            continue;
+        }
+
+        const events = Array.isArray(body?.events) ? body.events : [];
+        events.forEach((event, index) => {
+            const xdm = event?.xdm || {};
+            const { valid, errors } = validateXdm(xdm, schema);
+            results.push({
+                url: request.url,
+                timestamp: request.timestamp,
+                eventIndex: index,
+                eventType: event?.eventType || xdm.eventType || null,
+                valid,
+                errors
+            });
+        });
+    }
+
+    return {
+        summary: {
+            events: results.length,
+            valid: results.filter((result) => result.valid).length,
+            invalid: results.filter((result) => !result.valid).length,
+            errors: results.reduce((total, result) => total + result.errors.length, 0)
+        },
+        results
+    };
+}
@@ -0,0 +1,201 @@
+/**
+ * Shared fixtures for the offline checks
+ * Stand-ins for the Puppeteer page, browser and MCP server, so code that
+ * normally drives Chrome runs without one
+ */
+
+import os from 'os';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { mkdtemp, rm } from 'fs/promises';
+
+const checks = [];
+
+/**
+ * Register a check to run with runChecks
+ * @param {string} description - What the check verifies
+ * @param {Function} fn - Check body; throws (or rejects) on failure
+ */
+export function check(description, fn) {
+    checks.push({ description, fn });
+}
+
+/**
+ * Run every registered check and set a failing exit code if any fails
+ * @param {string} title - Heading printed before the results
+ */
+export async function runChecks(title) {
+    console.log(`\n=== ${title} ===\n`);
+
+    for (const { description, fn } of checks) {
+        try {
+            await fn();
+            console.log(`✅ ${description}`);
+        } catch (e) {
+            process.exitCode = 1;
+            console.log(`❌ ${description}: ${e.message}`);
+        }
+    }
+}
+
+/**
+ * Stands in for a Puppeteer page whose functions run in Node against the
+ * given globals, which are removed again once the callback is done
+ * @param {Object} globals - Globals the page functions expect (window is added)
+ * @param {Function} fn - Receives the page
+ * @returns {Promise<*>} Result of fn
+ */
+export async function withFakePage(globals, fn) {
+    const names = Object.keys(globals);
+    names.forEach(name => { globalThis[name] = globals[name]; });
+    globalThis.window = globalThis;
+    const page = {
+        evaluateOnNewDocument: async (pageFunction, ...args) => { pageFunction(...args); },
+        evaluate: async (pageFunction, ...args) => JSON.parse(JSON.stringify(pageFunction(...args)))
+    };
+    try {
+        return await fn(page);
+    } finally {
+        [...names, 'window'].forEach(name => { delete globalThis[name]; });
+    }
+}
+
+/**
+ * Run a callback with a temporary directory that is removed afterwards
+ * @param {Function} fn - Receives the directory path
+ * @returns {Promise<*>} Result of fn
+ */
+export async function withTempDir(fn) {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'martech-'));
+    try {
+        return await fn(dir);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Builds an intercepted request as Puppeteer hands it to 'request' listeners
+ * @param {Object} spec - url, optional method, resourceType, headers and postData
+ * @param {Object} log - Collects the URLs that were aborted or continued
+ * @returns {Object} Fake HTTPRequest
+ */
+function createFakeRequest(spec, log) {
+    return {
+        url: () => spec.url,
+        method: () => spec.method || (spec.postData ? 'POST' : 'GET'),
+        resourceType: () => spec.resourceType || 'other',
+        headers: () => spec.headers || {},
+        postData: () => spec.postData,
+        response: () => null,
+        redirectChain: () => [],
+        abort: async () => { log.aborted.push(spec.url); },
+        continue: async () => { log.continued.push(spec.url); }
+    };
+}
+
+/**
+ * Creates a fake Puppeteer page that emits scripted requests
+ *
+ * Each entry of `on` handles one page method: it receives the method
+ * arguments and returns the requests the page makes in response, or throws
+ * to make the method fail. Unscripted interactions succeed without requests.
+ *
+ * @param {Object} options - Page behaviour
+ * @param {Object} options.on - Handlers for goto, click, type, select, $eval and evaluate
+ * @param {boolean} options.navigates - Whether waitForNavigation resolves (default: false, it times out)
+ * @returns {Object} Fake page; `closed`, `aborted`, `continued` and `newDocumentScripts` record what happened
+ */
+export function createFakePage({ on = {}, navigates = false } = {}) {
+    const page = new EventEmitter();
+    const log = { aborted: [], continued: [] };
+    const timers = [];
+    let currentUrl = 'about:blank';
+
+    const emitRequests = specs => {
+        (specs || []).forEach(spec => page.emit('request', createFakeRequest(spec, log)));
+    };
+    const perform = async (method, ...args) => {
+        if (page.closed) {
+            throw new Error('Page is closed');
+        }
+        if (on[method]) {
+            emitRequests(await on[method](...args));
+        }
+    };
+
+    Object.assign(page, {
+        closed: false,
+        aborted: log.aborted,
+        continued: log.continued,
+        newDocumentScripts: [],
+        url: () => currentUrl,
+        setViewport: async () => {},
+        setCacheEnabled: async () => {},
+        setRequestInterception: async () => {},
+        evaluateOnNewDocument: async (...args) => { page.newDocumentScripts.push(args); },
+        goto: async (url, ...args) => {
+            await perform('goto', url, ...args);
+            currentUrl = url;
+        },
+        click: selector => perform('click', selector),
+        hover: selector => perform('hover', selector),
+        type: (selector, text) => perform('type', selector, text),
+        select: (selector, ...values) => perform('select', selector, ...values),
+        $eval: selector => perform('$eval', selector),
+        evaluate: async (...args) => {
+            if (!on.evaluate) {
+                throw new Error('No DOM in offline checks');
+            }
+            return on.evaluate(...args);
+        },
+        waitForSelector: async () => {},
+        waitForNetworkIdle: async () => {},
+        waitForNavigation: ({ timeout = 30000 } = {}) => new Promise((resolve, reject) => {
+            if (navigates) {
+                resolve(null);
+                return;
+            }
+            timers.push(setTimeout(() => reject(new Error(`Navigation timeout of ${timeout} ms exceeded`)), timeout));
+        }),
+        close: async () => {
+            // Pending navigation waits are dropped with the page
+            timers.forEach(clearTimeout);
+            page.closed = true;
+            page.emit('close');
+        }
+    });
+    return page;
+}
+
+/**
+ * Creates a fake browser whose pages are built by createFakePage
+ * @param {Object} pageOptions - Options passed to createFakePage for every page
+ * @returns {{browser: Object, pages: Array}} Browser and the pages it opened
+ */
+export function createFakeBrowser(pageOptions = {}) {
+    const pages = [];
+    const browser = {
+        newPage: async () => {
+            const page = createFakePage(pageOptions);
+            pages.push(page);
+            return page;
+        }
+    };
+    return { browser, pages };
+}
+
+/**
+ * Registers a group of MCP tools against a fake server and browser
+ * @param {Function} register - Tool registration function (e.g. registerAnalyticsTools)
+ * @param {Object} browser - Browser returned by initBrowser
+ * @returns {Object} Tool handlers keyed by tool name
+ */
+export function registerFakeTools(register, browser) {
+    const handlers = {};
+    const server = {
+        tool: (name, description, schema, handler) => { handlers[name] = handler; }
+    };
+    register(server, async () => browser);
+    return handlers;
+}
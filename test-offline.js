@@ -0,0 +1,697 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for the modules that work without a browser
+ * Run with: node test-offline.js
+ */
+
+import assert from 'assert';
+import path from 'path';
+import { readFile, writeFile } from 'fs/promises';
+import { check, runChecks, withFakePage, withTempDir, createFakePage, createFakeBrowser, registerFakeTools } from './test-fixtures.js';
+import { harToRequests, parseHarBeacons, processAnalyticsBeacons, runTrackingJourney } from './src/utils/beaconCapture.js';
+import { buildHar } from './src/utils/harExport.js';
+import providerRegistry from './src/providers/index.js';
+import { loadTrackingSpec, validateTrackingSpec } from './src/validation/trackingSpecValidator.js';
+import { detectConsentManagers } from './src/consent/cmpDetector.js';
+import { CONSENT_STATES, scanConsentStates } from './src/consent/consentScanner.js';
+import { loadProcessingRules, simulateProcessingRules } from './src/analytics/adobeProcessingRules.js';
+import { validateXdm, validateWebSdkBeacons } from './src/validation/xdmSchemaValidator.js';
+import DeclarativeProvider, { loadProviderDefinitions } from './src/providers/DeclarativeProvider.js';
+import { testProviderDefinitions } from './src/validation/providerDefinitionTester.js';
+import { installDataLayerRecorder, collectDataLayerTimeline, mergeTimeline } from './src/utils/dataLayerRecorder.js';
+import { computeAcdlStates, stateAtTime, matchLaunchRules } from './src/analytics/acdlInspector.js';
+import { filterMarketingRequests } from './src/utils/requestInterceptor.js';
+import { isVendorHost } from './src/analytics/firstPartyDetector.js';
+import { registerAnalyticsTools } from './src/tools/analyticsTools.js';
+import { registerMarketingTools } from './src/tools/marketingTools.js';
+import { registerMarketingAnalysisTools } from './src/tools/marketingAnalysisTool.js';
+import { registerValidationTools } from './src/tools/validationTools.js';
+
+// HAR 1.2 log with a GA4 page view, a batched GA4 POST sent as form params and a non-beacon image
+const sampleHar = {
+    log: {
+        version: '1.2',
+        creator: { name: 'WebInspector', version: '537.36' },
+        pages: [{ id: 'page_1', title: 'https://www.example.com/', startedDateTime: '2024-01-01T12:00:00.000Z' }],
+        entries: [
+            {
+                startedDateTime: '2024-01-01T12:00:01.000Z',
+                time: 35,
+                request: {
+                    method: 'GET',
+                    url: 'https://www.google-analytics.com/g/collect?v=2&tid=G-12345&cid=555&en=page_view',
+                    headers: [{ name: 'Referer', value: 'https://www.example.com/' }]
+                },
+                response: { status: 204, headers: [] }
+            },
+            {
+                startedDateTime: '2024-01-01T12:00:02.000Z',
+                time: 40,
+                request: {
+                    method: 'POST',
+                    url: 'https://www.google-analytics.com/g/collect?v=2&tid=G-12345&cid=555',
+                    headers: [],
+                    postData: {
+                        mimeType: 'application/x-www-form-urlencoded',
+                        params: [{ name: 'en', value: 'scroll' }, { name: 'epn.percent_scrolled', value: '90' }]
+                    }
+                },
+                response: { status: 204, headers: [] }
+            },
+            {
+                startedDateTime: '2024-01-01T12:00:00.500Z',
+                time: 12,
+                request: { method: 'GET', url: 'https://www.example.com/logo.png', headers: [] },
+                response: { status: 200, headers: [{ name: 'Content-Type', value: 'image/png' }] }
+            }
+        ]
+    }
+};
+
+check('harToRequests converts HAR entries to captured requests', () => {
+    const requests = harToRequests(sampleHar);
+    assert.strictEqual(requests.length, 3);
+    assert.strictEqual(requests[0].headers.referer, 'https://www.example.com/');
+    assert.strictEqual(requests[0].timestamp, '2024-01-01T12:00:01.000Z');
+    assert.strictEqual(requests[1].method, 'POST');
+    assert.strictEqual(requests[1].postData, 'en=scroll&epn.percent_scrolled=90');
+    assert.throws(() => harToRequests({}), /log\.entries is missing/);
+});
+
+check('parseHarBeacons decodes the beacons in a HAR file', async () => {
+    await withTempDir(async dir => {
+        const harPath = path.join(dir, 'capture.har');
+        await writeFile(harPath, JSON.stringify(sampleHar), 'utf8');
+
+        const result = await parseHarBeacons(harPath);
+        assert.strictEqual(result.har.entries, 3);
+        assert.strictEqual(result.har.creator, 'WebInspector');
+        assert.deepStrictEqual(result.beacons.map(beacon => beacon.requestType), ['Page View', 'scroll']);
+
+        const disabled = await parseHarBeacons(harPath, { disabledProviders: ['GOOGLEANALYTICS4'] });
+        assert.strictEqual(disabled.beacons.length, 0);
+
+        await assert.rejects(parseHarBeacons(path.join(dir, 'missing.har')), /Unable to read HAR file/);
+    });
+});
+
+check('browser tools close their page when navigation fails', async () => {
+    const { browser, pages } = createFakeBrowser({
+        on: { goto: () => { throw new Error('Navigation timeout of 60000 ms exceeded'); } }
+    });
+    const tools = {
+        ...registerFakeTools(registerAnalyticsTools, browser),
+        ...registerFakeTools(registerMarketingTools, browser),
+        ...registerFakeTools(registerMarketingAnalysisTools, browser),
+        ...registerFakeTools(registerValidationTools, browser)
+    };
+
+    const names = ['parse-analytics-beacons', 'analyze-analytics-platforms', 'detect-ad-pixels', 'scan-marketing-stack', 'validate-tracking-spec'];
+    for (const name of names) {
+        const result = await tools[name]({ url: 'https://www.example.com/', spec: 'GOOGLEANALYTICS4: {}' });
+        assert.strictEqual(result.isError, true, `${name} did not report the failure`);
+        assert.match(result.content[0].text, /Navigation timeout/);
+    }
+    assert.strictEqual(pages.length, names.length);
+    assert.ok(pages.every(page => page.closed), 'A page was left open');
+});
+
+check('pixel tools record the data layer before navigating and merge it with the beacons', async () => {
+    let recorded = false;
+    const { browser, pages } = createFakeBrowser({
+        on: {
+            goto: () => {
+                recorded = pages.at(-1).newDocumentScripts.length > 0;
+                return [{ url: 'https://www.google-analytics.com/g/collect?v=2&tid=G-12345&cid=555&en=page_view', resourceType: 'ping' }];
+            },
+            // The recorder log, then empty results for every other page script
+            evaluate: (pageFunction, ...args) => {
+                if (args[0] === '__martechDataLayerLog') {
+                    return recorded ? [{ layer: 'dataLayer', method: 'push', time: 1000, payload: { event: 'gtm.js' } }] : null;
+                }
+                return { technologies: [], pixelIds: {} };
+            }
+        }
+    });
+    const tools = registerFakeTools(registerMarketingTools, browser);
+
+    for (const name of ['find-marketing-technologies', 'analyze-analytics-platforms', 'detect-ad-pixels', 'identify-tag-managers']) {
+        const result = await tools[name]({ url: 'https://www.example.com/', waitTime: 1 });
+        assert.ok(!result.isError, `${name}: ${result.content[0].text}`);
+        const { dataLayerTimeline } = JSON.parse(result.content[0].text);
+        assert.deepStrictEqual(
+            dataLayerTimeline.map(item => `${item.kind}:${item.payload?.event || item.providerKey}`),
+            ['dataLayer:gtm.js', 'beacon:GOOGLEANALYTICS4'],
+            name
+        );
+    }
+});
+
+check('buildHar exports decoded beacons that harToRequests reads back', () => {
+    const requests = [{
+        url: 'https://www.google-analytics.com/g/collect?v=2&tid=G-12345&cid=555',
+        method: 'POST',
+        postData: 'en=page_view\nen=scroll',
+        headers: { 'content-type': 'text/plain' },
+        timestamp: '2024-01-01T12:00:01.000Z',
+        status: 204
+    }];
+
+    const har = buildHar(requests, { pageUrl: 'https://www.example.com/' });
+    assert.strictEqual(har.log.version, '1.2');
+    assert.strictEqual(har.log.pages[0].title, 'https://www.example.com/');
+    const [entry] = har.log.entries;
+    assert.strictEqual(entry.request.postData.text, 'en=page_view\nen=scroll');
+    const [annotation] = entry._martech.providers;
+    assert.strictEqual(annotation.provider.key, 'GOOGLEANALYTICS4');
+    assert.deepStrictEqual(annotation.beacons.map(beacon => beacon.batch), [{ index: 0, size: 2 }, { index: 1, size: 2 }]);
+    assert.deepStrictEqual(
+        annotation.beacons.map(beacon => beacon.data.find(item => item.key === 'en')?.value),
+        ['page_view', 'scroll']
+    );
+
+    const [request] = harToRequests(har);
+    assert.strictEqual(request.postData, requests[0].postData);
+    assert.strictEqual(request.timestamp, requests[0].timestamp);
+
+    const disabled = buildHar(requests, { disabledProviders: ['GOOGLEANALYTICS4'] });
+    assert.strictEqual(disabled.log.entries[0]._martech, undefined);
+});
+
+check('buildHar annotates every provider that recognises a request', () => {
+    // A session provider that also recognises GA4 collection requests
+    providerRegistry.addDefinition({ key: 'COLLECTMIRROR', name: 'Collect Mirror', pattern: '/g/collect' });
+    try {
+        const [entry] = buildHar([{ url: 'https://www.google-analytics.com/g/collect?v=2&tid=G-12345&en=page_view' }]).log.entries;
+        assert.deepStrictEqual(
+            entry._martech.providers.map(annotation => annotation.provider.key).sort(),
+            ['COLLECTMIRROR', 'GOOGLEANALYTICS4']
+        );
+        assert.ok(entry._martech.providers.every(annotation => annotation.beacons.length === 1));
+    } finally {
+        providerRegistry.removeProvider('COLLECTMIRROR');
+    }
+});
+
+check('track-marketing-beacons keeps image beacons in the HAR and closes the page when the write fails', async () => {
+    const { browser, pages } = createFakeBrowser({
+        on: {
+            goto: () => [
+                { url: 'https://www.facebook.com/tr/?id=12345678901&ev=PageView', resourceType: 'image' },
+                { url: 'https://www.example.com/logo.png', resourceType: 'image' }
+            ],
+            evaluate: () => []
+        }
+    });
+    const tools = registerFakeTools(registerMarketingTools, browser);
+
+    await withTempDir(async dir => {
+        const harPath = path.join(dir, 'capture.har');
+        const saved = await tools['track-marketing-beacons']({ url: 'https://www.example.com/', waitTime: 1, harPath });
+        assert.strictEqual(saved.isError, undefined, saved.content[0].text);
+        assert.deepStrictEqual(pages[0].aborted, []);
+        const har = JSON.parse(await readFile(harPath, 'utf8'));
+        const pixel = har.log.entries.find(entry => entry.request.url.includes('facebook.com/tr'));
+        assert.strictEqual(pixel?._martech.providers[0].provider.key, 'FACEBOOKPIXEL');
+
+        const failed = await tools['track-marketing-beacons']({
+            url: 'https://www.example.com/',
+            waitTime: 1,
+            harPath: path.join(dir, 'missing', 'capture.har')
+        });
+        assert.strictEqual(failed.isError, true);
+        assert.match(failed.content[0].text, /ENOENT/);
+    });
+    assert.ok(pages.every(page => page.closed), 'A page was left open');
+});
+
+check('runTrackingJourney attributes beacons, image pixels included, to the step that sent them', async () => {
+    const page = createFakePage({
+        on: {
+            goto: () => [
+                { url: 'https://www.google-analytics.com/g/collect?v=2&tid=G-12345&en=page_view' },
+                { url: 'https://www.facebook.com/tr/?id=12345678901&ev=PageView', resourceType: 'image' }
+            ],
+            click: () => [{ url: 'https://www.google-analytics.com/g/collect?v=2&tid=G-12345&en=add_to_cart' }],
+            $eval: () => [{ url: 'https://www.google-analytics.com/g/collect?v=2&tid=G-12345&en=generate_lead' }]
+        }
+    });
+
+    let journey;
+    try {
+        journey = await runTrackingJourney(page, [
+            { action: 'navigate', url: 'https://www.example.com/' },
+            { action: 'click', selector: '#add-to-cart' },
+            { action: 'select', selector: '#size' },
+            { action: 'submit', selector: '#newsletter' }
+        ], { waitTime: 0, stepTimeout: 5000, continueOnError: true });
+    } finally {
+        await page.close();
+    }
+
+    // The AJAX submit settles without waiting out the navigation timeout
+    assert.ok(journey.steps[3].duration < 5000, 'The submit step waited for a navigation that never came');
+    assert.deepStrictEqual(journey.steps.map(step => step.status), ['completed', 'completed', 'failed', 'completed']);
+    assert.strictEqual(journey.steps[2].error, 'The select step requires a value');
+    assert.deepStrictEqual(
+        journey.steps.map(step => step.beacons.map(beacon => `${beacon.providerKey}:${beacon.requestType}`)),
+        [
+            ['GOOGLEANALYTICS4:Page View', 'FACEBOOKPIXEL:PageView'],
+            ['GOOGLEANALYTICS4:add to cart'],
+            [],
+            ['GOOGLEANALYTICS4:generate lead']
+        ]
+    );
+    assert.deepStrictEqual(page.aborted, []);
+});
+
+check('loadTrackingSpec rejects unknown rules and invalid regexes', async () => {
+    await assert.rejects(
+        loadTrackingSpec({ spec: 'GOOGLEANALYTICS4:\n  purchase:\n    requried: [cu]\n' }),
+        /Unknown rule "requried" for GOOGLEANALYTICS4 "purchase"/
+    );
+    await assert.rejects(
+        loadTrackingSpec({ spec: 'GOOGLEANALYTICS4:\n  purchase:\n    range: { epn.value: { mn: 0 } }\n' }),
+        /Unknown range key "mn"/
+    );
+    await assert.rejects(
+        loadTrackingSpec({ spec: 'GOOGLEANALYTICS4:\n  purchase:\n    regex: { cu: "(" }\n' }),
+        /Invalid regex for parameter cu/
+    );
+});
+
+check('validateTrackingSpec reports passing and failing rules', async () => {
+    const { beacons } = processAnalyticsBeacons([{
+        url: 'https://www.google-analytics.com/g/collect?v=2&tid=G-12345&en=purchase&cu=GBP&epn.value=30&ep.transaction_id=T-100',
+        timestamp: '2024-01-01T12:00:01.000Z'
+    }]);
+    const spec = await loadTrackingSpec({
+        spec: [
+            'GOOGLEANALYTICS4:',
+            '  purchase:',
+            '    required: [ep.transaction_id]',
+            '    regex: { ep.transaction_id: "^T-\\\\d+$" }',
+            '    enum: { cu: [USD, EUR] }',
+            '    range: { epn.value: { min: 0 } }',
+            '    forbidden: [ep.email]',
+            '  refund:',
+            '    required: [ep.transaction_id]'
+        ].join('\n')
+    });
+
+    const report = validateTrackingSpec(beacons, spec);
+    assert.deepStrictEqual(report.summary, { rules: 6, passed: 4, failed: 2 });
+    const failed = report.results.filter(result => result.status === 'fail');
+    assert.deepStrictEqual(failed.map(result => `${result.requestType}:${result.rule}`), ['purchase:enum', 'refund:required']);
+    assert.match(failed[1].message, /No GOOGLEANALYTICS4 "refund" beacon fired/);
+});
+
+check('validate-tracking-spec validates image pixel beacons and closes its page', async () => {
+    const { browser, pages } = createFakeBrowser({
+        on: {
+            goto: () => [
+                { url: 'https://www.facebook.com/tr/?id=12345678901&ev=PageView', resourceType: 'image' },
+                { url: 'https://metrics.example.com/b/ss/rsid1/1/JS-2.22.0/s1?pageName=home', resourceType: 'image' }
+            ]
+        }
+    });
+    const tools = registerFakeTools(registerValidationTools, browser);
+
+    const spec = 'FACEBOOKPIXEL:\n  "*":\n    required: [id]\nADOBEANALYTICS:\n  "*":\n    required: [pageName]\n';
+    const result = await tools['validate-tracking-spec']({ url: 'https://www.example.com/', spec, waitTime: 1 });
+    assert.strictEqual(result.isError, undefined, result.content[0].text);
+    const report = JSON.parse(result.content[0].text);
+    assert.deepStrictEqual(report.summary, { rules: 2, passed: 2, failed: 0 });
+    assert.deepStrictEqual(pages[0].aborted, []);
+    assert.strictEqual(pages[0].closed, true);
+});
+
+check('detectConsentManagers finds CMPs and the Consent Mode state', async () => {
+    const detection = await withFakePage({
+        OneTrust: { AllowAll() {} },
+        document: { querySelector: selector => (selector === '#onetrust-banner-sdk' ? {} : null) },
+        dataLayer: [
+            ['consent', 'default', { ad_storage: 'denied', analytics_storage: 'denied' }],
+            { event: 'gtm.js' },
+            ['consent', 'update', { analytics_storage: 'granted' }]
+        ]
+    }, detectConsentManagers);
+
+    assert.deepStrictEqual(detection.cmps.map(cmp => cmp.key), ['ONETRUST']);
+    assert.deepStrictEqual(detection.cmps[0].evidence, ['OneTrust global object present', '#onetrust-banner-sdk element present']);
+    assert.strictEqual(detection.consentMode.detected, true);
+    assert.deepStrictEqual(detection.consentMode.commands.map(command => command.index), [0, 2]);
+    assert.deepStrictEqual(detection.consentMode.effectiveState, { ad_storage: 'denied', analytics_storage: 'granted' });
+});
+
+check('scanConsentStates applies its defaults when tool arguments are undefined', async () => {
+    const browser = {
+        createBrowserContext: async () => {
+            throw new Error('No browser in offline checks');
+        }
+    };
+
+    // Tool handlers pass omitted arguments through as undefined
+    const result = await scanConsentStates(browser, 'https://www.example.com/', {
+        states: undefined,
+        waitTime: undefined,
+        cmpTimeout: undefined
+    });
+    assert.deepStrictEqual(result.states.map(state => state.state), Object.keys(CONSENT_STATES));
+    assert.ok(result.states.every(state => state.error === 'No browser in offline checks'));
+
+    await assert.rejects(scanConsentStates(browser, 'https://www.example.com/', { states: ['accept'] }), /Unknown consent state: accept/);
+});
+
+check('Adobe context data is listed as one dotted key per variable', () => {
+    const { beacons: [beacon] } = processAnalyticsBeacons([{
+        url: 'https://metrics.example.com/b/ss/rsid1/1/JS-2.22.0/s1?pageName=home&c.&a.&page.&name=Home&type=landing&.page&.a&campaign=spring&.c'
+    }]);
+    const context = beacon.parsedData.filter(item => item.group === 'context');
+    assert.deepStrictEqual(context.map(item => [item.field, item.value]), [
+        ['a.page.name', 'Home'],
+        ['a.page.type', 'landing'],
+        ['campaign', 'spring']
+    ]);
+    assert.ok(!beacon.parsedData.some(item => item.key === 'omnibug_contextData'));
+});
+
+check('loadProcessingRules rejects invalid patterns with the rule number', async () => {
+    const rules = [
+        { name: 'Valid', conditions: { criteria: [{ variable: 'pageName', operator: 'isSet' }] } },
+        { name: 'Bad', conditions: { criteria: [{ variable: 'pageName', operator: 'matches', value: '(' }] } }
+    ];
+    await assert.rejects(loadProcessingRules({ rules: JSON.stringify({ rules }) }), /^Error: Rule 2 \(Bad\), condition 1: invalid regex "\("/);
+});
+
+check('simulateProcessingRules applies matching rules and keeps event serialization', async () => {
+    const { beacons } = processAnalyticsBeacons([{
+        url: 'https://metrics.example.com/b/ss/rsid1/1/JS-2.22.0/s1?pageName=home&events=purchase%2Cevent2%3AORD123%2Cevent3%3D5&c.&a.&page.name=Home&.a&.c'
+    }]);
+    const ruleSet = await loadProcessingRules({
+        rules: JSON.stringify({
+            rules: [{
+                name: 'Home page',
+                conditions: { criteria: [{ variable: 'pageName', operator: 'matches', value: '^home$' }] },
+                actions: [
+                    { action: 'copy', variable: 'eVar1', from: 'c.a.page.name' },
+                    { action: 'set', variable: 'event5', value: '1' }
+                ]
+            }, {
+                name: 'Checkout',
+                conditions: { criteria: [{ variable: 'pageName', operator: 'equals', value: 'checkout' }] },
+                actions: [{ action: 'set', variable: 'prop1', value: 'checkout' }]
+            }]
+        })
+    });
+
+    const [hit] = simulateProcessingRules(beacons, ruleSet).hits;
+    assert.deepStrictEqual(hit.rules.map(rule => rule.matched), [true, false]);
+    assert.deepStrictEqual(hit.changedVariables, ['eVar1', 'events']);
+    const variable = name => hit.variables.find(item => item.variable === name);
+    assert.strictEqual(variable('eVar1').processed, 'Home');
+    assert.strictEqual(variable('events').raw, 'purchase,event2:ORD123,event3=5');
+    assert.strictEqual(variable('events').processed, 'purchase,event2:ORD123,event3=5,event5');
+});
+
+const xdmSchema = {
+    type: 'object',
+    required: ['eventType', 'timestamp'],
+    properties: {
+        eventType: { enum: ['web.webpagedetails.pageViews', 'commerce.purchases'] },
+        timestamp: { type: 'string', format: 'date-time' },
+        web: { $ref: '#/definitions/web' }
+    },
+    definitions: {
+        web: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                webPageDetails: {
+                    type: 'object',
+                    properties: { name: { type: 'string' } }
+                }
+            }
+        }
+    }
+};
+
+check('validateXdm reports each schema violation with its path', () => {
+    assert.deepStrictEqual(validateXdm({
+        eventType: 'web.webpagedetails.pageViews',
+        timestamp: '2024-01-01T12:00:00.000Z',
+        web: { webPageDetails: { name: 'home' } }
+    }, xdmSchema), { valid: true, errors: [] });
+
+    const { valid, errors } = validateXdm({
+        eventType: 'web.pageView',
+        timestamp: 'yesterday',
+        web: { webPageDetails: { name: 42 }, webReferrer: {} }
+    }, xdmSchema);
+    assert.strictEqual(valid, false);
+    assert.deepStrictEqual(errors.map(error => `${error.path}:${error.type}`), [
+        'eventType:enum',
+        'timestamp:format',
+        'web.webPageDetails.name:type-mismatch',
+        'web.webReferrer:unknown-field'
+    ]);
+});
+
+check('validateWebSdkBeacons checks every event in an Edge request', () => {
+    const requests = [{
+        url: 'https://edge.adobedc.net/ee/v2/interact?configId=0a1b2c3d-4e5f-6789-abcd-ef0123456789',
+        method: 'POST',
+        postData: JSON.stringify({
+            events: [
+                { xdm: { eventType: 'web.webpagedetails.pageViews', timestamp: '2024-01-01T12:00:00.000Z' } },
+                { xdm: { eventType: 'commerce.purchases' } }
+            ]
+        })
+    }];
+
+    const report = validateWebSdkBeacons(requests, xdmSchema);
+    assert.deepStrictEqual(report.summary, { events: 2, valid: 1, invalid: 1, errors: 1 });
+    assert.strictEqual(report.results[1].eventType, 'commerce.purchases');
+    assert.strictEqual(report.results[1].errors[0].type, 'missing-required');
+
+    const { beacons } = processAnalyticsBeacons(requests);
+    const fields = Object.fromEntries(beacons[0].parsedData.map(row => [row.key, row.value]));
+    assert.strictEqual(beacons[0].requestType, 'Interact');
+    assert.deepStrictEqual(fields.omnibug_eventTypes, ['web.webpagedetails.pageViews', 'commerce.purchases']);
+    assert.deepStrictEqual(Object.keys(fields.omnibug_events[0]).sort(), ['eventType', 'index', 'webPageDetails']);
+});
+
+const sampleDefinition = [
+    'key: examplepixel',
+    'name: Example Pixel',
+    'type: Marketing',
+    'pattern: "px\\\\.example\\\\.net/e"',
+    'account: pid',
+    'params:',
+    '  pid: { name: Pixel ID, group: general }',
+    '  ev: Event',
+    'paramPatterns:',
+    '  "^cd\\\\[(\\\\w+)\\\\]$": { name: "Custom Data ($1)", group: custom }',
+    'requestType:',
+    '  param: ev',
+    '  map: { PAGE_VIEW: Page View }',
+    'samples:',
+    '  - url: https://px.example.net/e?pid=123&ev=PAGE_VIEW',
+    '    expect: { requestType: Page View, fields: { pid: "123" } }',
+    '  - url: https://px.example.net/e?pid=123&ev=SIGNUP',
+    '    expect: { requestType: Sign Up }'
+].join('\n');
+
+check('DeclarativeProvider parses requests from a YAML definition', async () => {
+    const [definition] = await loadProviderDefinitions({ definition: sampleDefinition });
+    const provider = new DeclarativeProvider(definition);
+    assert.strictEqual(provider.key, 'EXAMPLEPIXEL');
+    assert.strictEqual(provider.type, 'Marketing');
+    assert.strictEqual(provider.checkUrl('https://px.example.net/e?pid=1'), true);
+    assert.strictEqual(provider.checkUrl('https://www.example.net/e?pid=1'), false);
+
+    const parsed = provider.parseUrl('https://px.example.net/e?pid=123&ev=PAGE_VIEW&cd[plan]=pro');
+    const field = key => parsed.data.find(item => item.key === key);
+    assert.strictEqual(field('pid').field, 'Pixel ID');
+    assert.strictEqual(field('requestType').value, 'Page View');
+    assert.deepStrictEqual(
+        { field: field('cd[plan]').field, value: field('cd[plan]').value, group: field('cd[plan]').group },
+        { field: 'Custom Data (plan)', value: 'pro', group: 'custom' }
+    );
+
+    assert.throws(() => new DeclarativeProvider({ ...definition, type: 'billboard' }), /Unknown provider type "billboard"/);
+    assert.throws(() => new DeclarativeProvider({ ...definition, pattern: '(' }), /Invalid pattern for examplepixel/);
+    assert.throws(() => new DeclarativeProvider({ ...definition, paramPatterns: { '[': 'Broken' } }), /Invalid pattern for examplepixel/);
+    assert.throws(() => new DeclarativeProvider({ ...definition, requestType: { path: '/e/(' } }), /Invalid pattern for examplepixel/);
+    assert.throws(() => new DeclarativeProvider({ ...definition, patternFlags: 'g' }), /Invalid patternFlags "g" for examplepixel/);
+    assert.ok(new DeclarativeProvider({ ...definition, patternFlags: 'i' }).checkUrl('https://PX.example.net/e?pid=1'));
+});
+
+check('testProviderDefinitions runs the samples of each definition', async () => {
+    const definitions = await loadProviderDefinitions({ definition: sampleDefinition });
+    const report = testProviderDefinitions(definitions, {
+        samples: [{ url: 'https://www.example.com/', expect: { match: false } }]
+    });
+    assert.deepStrictEqual(report.summary, { providers: 1, invalidDefinitions: 0, samples: 3, passed: 2, failed: 1 });
+    assert.deepStrictEqual(report.results[0].samples[1].failures, ['Expected request type "Sign Up" but got "SIGNUP"']);
+
+    const invalid = testProviderDefinitions([{ ...definitions[0], requestType: { path: '/e/(' } }]);
+    assert.strictEqual(invalid.summary.invalidDefinitions, 1);
+    assert.match(invalid.results[0].error, /Invalid pattern for examplepixel/);
+
+    // A sticky or global flag would make the sample results depend on order
+    const flagged = testProviderDefinitions([{ ...definitions[0], patternFlags: 'gy' }]);
+    assert.strictEqual(flagged.summary.invalidDefinitions, 1);
+    assert.match(flagged.results[0].error, /only "i" is supported/);
+
+    // A parse that throws fails its sample instead of aborting the run
+    const handleCustom = DeclarativeProvider.prototype.handleCustom;
+    DeclarativeProvider.prototype.handleCustom = () => { throw new Error('boom'); };
+    try {
+        const failing = testProviderDefinitions(definitions);
+        assert.deepStrictEqual(failing.summary, { providers: 1, invalidDefinitions: 0, samples: 2, passed: 0, failed: 2 });
+        assert.strictEqual(failing.results[0].samples[0].failures[0], 'Parse error: boom');
+    } finally {
+        DeclarativeProvider.prototype.handleCustom = handleCustom;
+    }
+});
+
+check('test-provider-definition only replaces an existing provider when asked', async () => {
+    const tools = registerFakeTools(registerValidationTools, createFakeBrowser().browser);
+    const builtIn = providerRegistry.providers.GOOGLEANALYTICS4;
+    const run = async args => JSON.parse((await tools['test-provider-definition']({ register: true, ...args })).content[0].text);
+    // Leave out the sample that is meant to fail
+    const definition = sampleDefinition.split('\n').slice(0, -2).join('\n');
+
+    try {
+        const colliding = await run({ definition: definition.replace('key: examplepixel', 'key: GOOGLEANALYTICS4') });
+        assert.deepStrictEqual(colliding.registered, []);
+        assert.match(colliding.registrationError, /already registered: GOOGLEANALYTICS4/);
+        assert.strictEqual(providerRegistry.providers.GOOGLEANALYTICS4, builtIn);
+
+        const replacing = await run({ definition: definition.replace('key: examplepixel', 'key: GOOGLEANALYTICS4'), replace: true });
+        assert.deepStrictEqual(replacing.registered, ['GOOGLEANALYTICS4']);
+        assert.deepStrictEqual(replacing.replaced, ['GOOGLEANALYTICS4']);
+        assert.notStrictEqual(providerRegistry.providers.GOOGLEANALYTICS4, builtIn);
+
+        const added = await run({ definition });
+        assert.deepStrictEqual(added.registered, ['EXAMPLEPIXEL']);
+        assert.deepStrictEqual(added.replaced, []);
+    } finally {
+        providerRegistry.addProvider(builtIn);
+        providerRegistry.removeProvider('EXAMPLEPIXEL');
+    }
+});
+
+check('installDataLayerRecorder records each push once when GTM replaces push', async () => {
+    // dataLayer is listed so the accessor the recorder defines is removed afterwards
+    const timeline = await withFakePage({ dataLayer: undefined }, async page => {
+        await installDataLayerRecorder(page, { layers: ['dataLayer'] });
+        window.dataLayer = [{ 'gtm.start': 1 }];
+        window.dataLayer.push({ event: 'gtm.js' });
+
+        // GTM swaps in its own push, which chains to the one it replaced
+        const previousPush = window.dataLayer.push;
+        window.dataLayer.push = function (...items) {
+            return previousPush.apply(this, items);
+        };
+        window.dataLayer.push({ event: 'purchase', ecommerce: { value: 10 } });
+        assert.strictEqual(window.dataLayer.length, 3);
+
+        return collectDataLayerTimeline(page, { layers: ['dataLayer'] });
+    });
+
+    assert.deepStrictEqual(timeline.map(entry => entry.payload), [
+        { 'gtm.start': 1 },
+        { event: 'gtm.js' },
+        { event: 'purchase', ecommerce: { value: 10 } }
+    ]);
+    assert.ok(timeline.every(entry => entry.layer === 'dataLayer' && entry.method === 'push' && entry.timestamp));
+});
+
+check('mergeTimeline interleaves data layer entries and beacons by time', () => {
+    const stream = mergeTimeline([
+        { layer: 'dataLayer', method: 'push', time: 1000, payload: { event: 'gtm.js' } },
+        { layer: 'dataLayer', method: 'push', time: 3000, payload: { event: 'purchase' } }
+    ], [
+        { provider: 'Google Analytics 4', providerKey: 'GOOGLEANALYTICS4', requestType: 'purchase', timestamp: new Date(3500).toISOString() },
+        { provider: 'Google Analytics 4', providerKey: 'GOOGLEANALYTICS4', requestType: 'Page View', time: 2000 }
+    ]);
+
+    assert.deepStrictEqual(stream.map(item => `${item.kind}:${item.payload?.event || item.requestType}`), [
+        'dataLayer:gtm.js',
+        'beacon:Page View',
+        'dataLayer:purchase',
+        'beacon:purchase'
+    ]);
+    assert.strictEqual(stream[1].timestamp, new Date(2000).toISOString());
+    assert.ok(stream.every(item => !('time' in item)));
+});
+
+const acdlPushes = [
+    { time: 1000, payload: { page: { name: 'home', language: 'en' }, cart: { items: [{ sku: 'A' }, { sku: 'B' }] } } },
+    { time: 2000, payload: { event: 'cmp:click', eventInfo: { path: 'component.button' }, page: { language: null }, cart: { items: [null, { qty: 2 }] } } },
+    { time: 3000, payload: '[function]' },
+    { time: 4000, payload: { event: 42 } }
+];
+
+check('computeAcdlStates replays pushes with the ACDL merge rules', () => {
+    const history = computeAcdlStates(acdlPushes);
+    assert.deepStrictEqual(history.map(item => item.kind), ['data', 'event', 'function', 'invalid']);
+    assert.strictEqual(history[1].event, 'cmp:click');
+    assert.deepStrictEqual(history[1].eventInfo, { path: 'component.button' });
+
+    // null removes a key and array items merge by index
+    assert.deepStrictEqual(history[1].state, { page: { name: 'home' }, cart: { items: [{ sku: 'B', qty: 2 }] } });
+    assert.deepStrictEqual(history[0].state, { page: { name: 'home', language: 'en' }, cart: { items: [{ sku: 'A' }, { sku: 'B' }] } });
+    assert.strictEqual(history[3].state, history[1].state);
+
+    assert.deepStrictEqual(stateAtTime(history, 2500), { lastPushIndex: 1, lastEvent: 'cmp:click', state: history[1].state });
+    assert.deepStrictEqual(stateAtTime(history, 500), { lastPushIndex: null, lastEvent: null, state: {} });
+});
+
+check('matchLaunchRules links ACDL-triggered rules to pushed events', () => {
+    const history = computeAcdlStates(acdlPushes);
+    const rules = [{
+        id: 'RL1',
+        name: 'Component click',
+        fired: true,
+        events: [{
+            extension: 'adobe-client-data-layer',
+            type: 'data-layer-event-pushed',
+            modulePath: 'adobe-client-data-layer/src/lib/events/dataLayerEventPushed.js',
+            settings: { eventSpecificOptions: { eventName: 'cmp:click' } }
+        }]
+    }, {
+        id: 'RL2',
+        name: 'Page load',
+        fired: false,
+        events: [{ extension: 'core', type: 'library-loaded', settings: {} }]
+    }];
+
+    const matches = matchLaunchRules(rules, history);
+    assert.strictEqual(matches.length, 1);
+    assert.deepStrictEqual(
+        { ruleId: matches[0].ruleId, eventNames: matches[0].eventNames, matchedEvents: matches[0].matchedEvents },
+        { ruleId: 'RL1', eventNames: ['cmp:click'], matchedEvents: ['cmp:click'] }
+    );
+});
+
+check('filterMarketingRequests keeps Google Ads hits on google.com', () => {
+    const conversion = { url: 'https://www.google.com/pagead/1p-conversion/123456789/?random=1&cv=11&label=abc' };
+    const search = { url: 'https://www.google.com/search?q=shoes' };
+    assert.deepStrictEqual(filterMarketingRequests([conversion, search]), [conversion]);
+});
+
+check('isVendorHost treats Google country domains as vendor hosts', () => {
+    assert.strictEqual(isVendorHost('www.google.co.uk'), true);
+    assert.strictEqual(isVendorHost('www.google.de'), true);
+    assert.strictEqual(isVendorHost('www.google.com.au'), true);
+    assert.strictEqual(isVendorHost('metrics.example.co.uk'), false);
+    assert.strictEqual(isVendorHost('google.example.com'), false);
+});
+
+await runChecks('Running Offline Checks');
+
+console.log("\nOffline checks complete");
@@ -5,6 +5,7 @@
  * Tests the enhanced Omnibug-inspired provider system
  */
 
+import assert from 'assert';
 import providerRegistry from './src/providers/index.js';
 import https from 'https';
 import http from 'http';
@@ -14,18 +15,39 @@ const testUrls = [
     // Google Analytics 4
     'https://www.google-analytics.com/g/collect?v=2&tid=G-12345&cid=555&en=page_view',
     
+    // Google Analytics 4 with Consent Mode v2 (cookieless ping)
+    'https://www.google-analytics.com/g/collect?v=2&tid=G-12345&gcs=G100&gcd=13q3q3q3q5&npa=1&dma=1&en=page_view',
+    
+    // Google Analytics 4 purchase with items
+    'https://www.google-analytics.com/g/collect?v=2&tid=G-12345&en=purchase&cu=USD&epn.value=30&pr1=idSKU_1~nmShirt~pr10~qt2~k0color~v0blue&pr2=idSKU_2~nmHat~pr10~qt1',
+    
     // Universal Analytics
     'https://www.google-analytics.com/collect?v=1&tid=UA-12345-1&cid=555&t=pageview',
     
     // Adobe Analytics
     'https://metrics.example.com/b/ss/rsid1/1/JS-2.22.0/s43324?AQB=1&ndh=1&t=12/4/2024 13:30:5 6 -480&pageName=home%20page&g=https://www.example.com/',
     
+    // Adobe Analytics purchase with products and serialized events
+    'https://metrics.example.com/b/ss/rsid1/1/JS-2.22.0/s43325?pageName=confirmation&events=purchase%2Cevent1%3D5%2Cevent2%3AORD123&products=Apparel%3BSKU1%3B2%3B19.98%3Bevent1%3D5%3BeVar5%3Dred',
+    
+    // Adobe Analytics link click with Activity Map context data
+    'https://metrics.example.com/b/ss/rsid1/1/JS-2.22.0/s43326?pe=lnk_o&pev2=Buy&c.&a.&activitymap.&page=home&link=Buy%20now&region=hero&pageIDType=1&.activitymap&.a&.c',
+    
+    // Adobe Web SDK sendBeacon hit through a regional first-party CNAME
+    'https://smetrics.example.com/ee/irl1/v1/collect?configId=0a1b2c3d-4e5f-6789-abcd-ef0123456789&requestId=1234',
+    
     // Facebook Pixel
     'https://www.facebook.com/tr/?id=12345678901&ev=PageView&dl=https://www.example.com/',
     
     // Google Tag Manager
     'https://www.googletagmanager.com/gtm.js?id=GTM-XXXXXX',
     
+    // Google Tag Manager served from a server-side tagging container
+    'https://sgtm.example.com/gtm.js?id=GTM-XXXXXX',
+    
+    // GA4 through a server-side tagging container
+    'https://sgtm.example.com/g/collect?v=2&tid=G-12345&cid=555&en=page_view&_gsid=abc123',
+    
     // Adobe Launch
     'https://assets.adobedtm.com/launch-EN12345678901234567890123456789012345678901234.min.js',
     
@@ -40,7 +62,38 @@ const testUrls = [
     
     // Twitter
     'https://analytics.twitter.com/i/adsct?txn_id=12345&p_id=Twitter',
-    
+
+    // Google Ads conversion with enhanced conversions data
+    'https://www.googleadservices.com/pagead/conversion/123456789/?random=1&cv=11&label=AbC-dEf&value=49.99&currency_code=EUR&oid=ORD-1&em=tv.1~em.dGVzdGhhc2g',
+
+    // Google Ads remarketing
+    'https://www.google.com/rmkt/collect/123456789/?random=1&data=event%3Dpurchase%3Becomm_prodid%3DSKU1',
+
+    // Floodlight sales tag (matrix parameters)
+    'https://ad.doubleclick.net/activity;src=1234567;type=sales0;cat=purch0;qty=2;cost=59.98;u1=%5BSKU1%5D;ord=ORD-99?',
+
+    // Floodlight unique counter tag (iframe)
+    'https://1234567.fls.doubleclick.net/activityi;src=1234567;type=count0;cat=visit0;ord=1;num=8372615?',
+
+    // Tealium iQ library and tag loads
+    'https://tags.tiqcdn.com/utag/acme/main/prod/utag.js',
+    'https://tags.tiqcdn.com/utag/acme/main/prod/utag.42.js?utv=ut4.51.202401011200',
+
+    // Tealium Collect event hit
+    'https://collect.tealiumiq.com/acme/main/2/i.gif?tealium_event=view&page_name=home',
+
+    // Snap Pixel with a hashed email
+    'https://tr.snapchat.com/p?pid=abc-123&ev=PURCHASE&e_cur=USD&e_pr=19.99&u_hem=8f7e2ad0b3c6c1a1dbb0c9c7f1e9b5f2c8f0a4b2d9a3c1e7f5b6a8d0c2e4f6a8',
+
+    // Reddit Pixel custom event
+    'https://alb.reddit.com/rp.gif?id=t2_abc123&event=Custom&m.customEventName=Newsletter&m.value=10',
+
+    // Quora Pixel
+    'https://q.quora.com/_/ad/0123456789abcdef/pixel?tag=Purchase&noscript=1',
+
+    // Criteo OneTag
+    'https://sslwidget.criteo.com/event?a=12345&v=5.23.0&p0=e%3Dexd%26site_type%3Dd&p1=e%3Dvb%26p%3D%5Bi%3DSKU1%26pr%3D10.5%26q%3D2%5D',
+
     // Microsoft Clarity
     'https://www.clarity.ms/tag/123456789012'
 ];
@@ -81,6 +134,154 @@ testUrls.forEach(url => {
     console.log('');
 });
 
+// Expected decodes for some of the samples above; any mismatch fails the run
+const expectedParses = [
+    {
+        description: 'GA4 Consent Mode v2 flags',
+        url: 'https://www.google-analytics.com/g/collect?v=2&tid=G-12345&gcs=G100&gcd=13q3q3q3q5&npa=1&dma=1&en=page_view',
+        provider: 'GOOGLEANALYTICS4',
+        beacons: [{
+            'gcs.analytics_storage': 'denied',
+            'gcs.ad_storage': 'denied',
+            'gcd.ad_user_data': 'denied (default: denied, update: denied)',
+            omnibug_cookielessPing: 'true'
+        }]
+    },
+    {
+        description: 'GA4 batched request split into one beacon per event',
+        url: 'https://www.google-analytics.com/g/collect?v=2&tid=G-12345&cid=555',
+        postData: 'en=page_view&dl=https%3A%2F%2Fwww.example.com%2F\nen=scroll&epn.percent_scrolled=90\nen=click',
+        provider: 'GOOGLEANALYTICS4',
+        beacons: [
+            { tid: 'G-12345', en: 'page_view', dl: 'https://www.example.com/' },
+            { tid: 'G-12345', en: 'scroll', 'epn.percent_scrolled': '90' },
+            { tid: 'G-12345', en: 'click' }
+        ]
+    },
+    {
+        description: 'Adobe Analytics products string and events list',
+        url: 'https://metrics.example.com/b/ss/rsid1/1/JS-2.22.0/s43325?pageName=confirmation&events=purchase%2Cevent1%3D5%2Cevent2%3AORD123&products=Apparel%3BSKU1%3B2%3B19.98%3Bevent1%3D5%3BeVar5%3Dred',
+        provider: 'ADOBEANALYTICS',
+        beacons: [{
+            rsid: 'rsid1',
+            omnibug_events: [
+                { name: 'purchase', valueType: 'counter' },
+                { name: 'event1', value: 5, valueType: 'numeric' },
+                { name: 'event2', serial: 'ORD123', valueType: 'counter' }
+            ],
+            omnibug_products: [{
+                category: 'Apparel',
+                product: 'SKU1',
+                quantity: 2,
+                price: 19.98,
+                events: [{ name: 'event1', value: 5 }],
+                eVars: { eVar5: 'red' }
+            }]
+        }]
+    },
+    {
+        description: 'Adobe Analytics Activity Map click',
+        url: 'https://metrics.example.com/b/ss/rsid1/1/JS-2.22.0/s43326?pe=lnk_o&pev2=Buy&c.&a.&activitymap.&page=home&link=Buy%20now&region=hero&pageIDType=1&.activitymap&.a&.c',
+        provider: 'ADOBEANALYTICS',
+        beacons: [{
+            'c.a.activitymap.link': 'Buy now',
+            omnibug_activityMap: { link: 'Buy now', region: 'hero', page: 'home', pageIDType: 'Page URL' }
+        }]
+    },
+    {
+        description: 'Google Ads conversion with enhanced conversions',
+        url: 'https://www.googleadservices.com/pagead/conversion/123456789/?random=1&cv=11&label=AbC-dEf&value=49.99&currency_code=EUR&oid=ORD-1&em=tv.1~em.dGVzdGhhc2g',
+        provider: 'GOOGLEADS',
+        beacons: [{
+            conversionId: 'AW-123456789',
+            label: 'AbC-dEf',
+            requestType: 'Conversion',
+            enhancedConversions: 'Yes (email)'
+        }]
+    },
+    {
+        description: 'Floodlight sales tag matrix parameters',
+        url: 'https://ad.doubleclick.net/activity;src=1234567;type=sales0;cat=purch0;qty=2;cost=59.98;u1=%5BSKU1%5D;ord=ORD-99?',
+        provider: 'FLOODLIGHT',
+        beacons: [{
+            src: '1234567',
+            cost: '59.98',
+            u1: '[SKU1]',
+            ord: 'ORD-99',
+            tagType: 'Sales',
+            requestType: 'Sales: sales0 / purch0'
+        }]
+    },
+    {
+        description: 'Tealium library load',
+        url: 'https://tags.tiqcdn.com/utag/acme/main/prod/utag.js',
+        provider: 'TEALIUM',
+        beacons: [{ account: 'acme', profile: 'main', environment: 'prod', requestType: 'Library Load' }]
+    },
+    {
+        description: 'Tealium Collect event',
+        url: 'https://collect.tealiumiq.com/acme/main/2/i.gif?tealium_event=view&page_name=home',
+        provider: 'TEALIUM',
+        beacons: [{ account: 'acme', profile: 'main', page_name: 'home', requestType: 'view' }]
+    },
+    {
+        description: 'Snap Pixel purchase',
+        url: 'https://tr.snapchat.com/p?pid=abc-123&ev=PURCHASE&e_cur=USD&e_pr=19.99',
+        provider: 'SNAPCHAT',
+        beacons: [{ pid: 'abc-123', e_pr: '19.99', requestType: 'Purchase' }]
+    },
+    {
+        description: 'Reddit Pixel custom event',
+        url: 'https://alb.reddit.com/rp.gif?id=t2_abc123&event=Custom&m.customEventName=Newsletter&m.value=10',
+        provider: 'REDDIT',
+        beacons: [{ id: 't2_abc123', 'm.value': '10', requestType: 'Newsletter' }]
+    },
+    {
+        description: 'Quora Pixel',
+        url: 'https://q.quora.com/_/ad/0123456789abcdef/pixel?tag=Purchase&noscript=1',
+        provider: 'QUORA',
+        beacons: [{ pixelId: '0123456789abcdef', requestType: 'Purchase' }]
+    },
+    {
+        description: 'Criteo OneTag events',
+        url: 'https://sslwidget.criteo.com/event?a=12345&v=5.23.0&p0=e%3Dexd%26site_type%3Dd&p1=e%3Dvb%26p%3D%5Bi%3DSKU1%26pr%3D10.5%26q%3D2%5D',
+        provider: 'CRITEO',
+        beacons: [{
+            a: '12345',
+            requestType: 'View Basket',
+            omnibug_events: [
+                { code: 'exd', event: 'Set Site Type', site_type: 'd' },
+                { code: 'vb', event: 'View Basket', products: [{ id: 'SKU1', price: 10.5, quantity: 2 }] }
+            ]
+        }]
+    }
+];
+
+console.log("\n=== Checking Parsed Values ===\n");
+
+expectedParses.forEach(({ description, url, postData, provider: providerKey, beacons: expected }) => {
+    try {
+        const provider = providerRegistry.getMatchingProviders(url).find(item => item.key === providerKey);
+        assert.ok(provider, `${providerKey} does not match the URL`);
+
+        const beacons = provider.parseBeacons(url, postData || "");
+        assert.strictEqual(beacons.length, expected.length, 'Unexpected number of beacons');
+
+        expected.forEach((fields, index) => {
+            Object.entries(fields).forEach(([key, value]) => {
+                const item = beacons[index].data.find(field => field.key === key);
+                assert.ok(item, `Beacon ${index + 1}: ${key} is missing`);
+                assert.deepStrictEqual(item.value, value, `Beacon ${index + 1}: unexpected ${key}`);
+            });
+        });
+
+        console.log(`✅ ${description}`);
+    } catch (e) {
+        process.exitCode = 1;
+        console.log(`❌ ${description}: ${e.message}`);
+    }
+});
+
 // Test a real website
 if (process.argv.includes('--live')) {
     console.log("\n=== Testing Live Website Detection ===\n");